@@ -0,0 +1,44 @@
+const { PrismaClient } = require('@prisma/client');
+require('dotenv').config();
+const { createSlugHelpers } = require('./slugs');
+
+const prisma = new PrismaClient({
+  datasources: {
+    db: {
+      url: process.env.PRISMA_DATABASE_URL || process.env.DATABASE_URL
+    }
+  }
+});
+
+const { withUniqueSlug } = createSlugHelpers(prisma);
+
+// Uses the API's own slug rules, so a backfilled slug never collides with a
+// live slug or with a redirect left behind by a rename
+async function backfill(type, model) {
+  const rows = await model.findMany({ where: { slug: null }, orderBy: { id: 'asc' } });
+  console.log(`Found ${rows.length} ${type}s without a slug`);
+
+  for (const row of rows) {
+    const { slug } = await withUniqueSlug(type, row.title, (candidate) => model.update({
+      where: { id: row.id },
+      data: { slug: candidate }
+    }), row.id);
+    console.log(`  ${row.id} → ${slug}`);
+  }
+}
+
+async function backfillSlugs() {
+  console.log('🔗 Generating slugs for posts and events...');
+
+  try {
+    await backfill('post', prisma.post);
+    await backfill('event', prisma.event);
+    console.log('✅ Slugs generated');
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillSlugs();
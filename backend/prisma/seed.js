@@ -6,40 +6,27 @@ const prisma = new PrismaClient();
 async function main() {
   console.log('🌱 Starting database seeding...');
 
-  // Seed Admins
+  // Seed the initial admin. Further admins are created from the admin panel, so
+  // re-running the seed never overwrites an existing password.
   console.log('📝 Seeding admins...');
-  const adminPassword = await bcrypt.hash('buccusa', 10);
+  const adminUsername = process.env.SEED_ADMIN_USERNAME || 'buccusa';
+  const adminEmail = process.env.SEED_ADMIN_EMAIL || 'admin@buccusa.org';
+  const adminPasswordPlain = process.env.SEED_ADMIN_PASSWORD;
+  if (!adminPasswordPlain) {
+    throw new Error('SEED_ADMIN_PASSWORD must be set to seed the initial admin account');
+  }
+  const adminPassword = await bcrypt.hash(adminPasswordPlain, 10);
   const admin = await prisma.admin.upsert({
-    where: { username: 'buccusa' },
-    update: {
-      password_hash: adminPassword
-    },
+    where: { username: adminUsername },
+    update: {},
     create: {
-      username: 'buccusa',
+      username: adminUsername,
       password_hash: adminPassword,
-      email: 'admin@buccusa.org',
-      created_at: new Date('2026-01-15T18:21:53.000Z'),
-      updated_at: new Date('2026-01-15T21:43:53.000Z')
+      email: adminEmail
     }
   });
   const adminId = admin.id;
 
-  // Seed Additional Admin (Kelly)
-  const kellyPassword = await bcrypt.hash('kellyflo@341', 10);
-  await prisma.admin.upsert({
-    where: { email: 'kelly123simiyu@gmail.com' },
-    update: {
-      password_hash: kellyPassword
-    },
-    create: {
-      username: 'kelly123simiyu',
-      password_hash: kellyPassword,
-      email: 'kelly123simiyu@gmail.com',
-      created_at: new Date(),
-      updated_at: new Date()
-    }
-  });
-
   // Seed Contact Messages
   console.log('💬 Seeding contact messages...');
   const contactMessagesData = [
@@ -71,10 +58,10 @@ async function main() {
   // Seed Events
   console.log('📅 Seeding events...');
   const eventsData = [
-    { title: 'Leadership Summit 2026', description: 'Annual gathering of student leaders to discuss challenges and solutions', event_date: '2026-02-15T09:00:00.000Z', location: 'Bungoma County Headquarters', image_url: '', is_upcoming: true, created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-15T20:06:43.000Z' },
-    { title: 'Community Service Day', description: 'Give back to community through service projects and cleanup', event_date: '2026-02-28T08:00:00.000Z', location: 'Multiple Locations in Bungoma', image_url: '', is_upcoming: true, created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-15T20:06:43.000Z' },
-    { title: 'Youth Entrepreneurship Workshop', description: 'Learn practical skills for starting your own business', event_date: '2026-03-10T10:00:00.000Z', location: 'Webuye Technical Training Institute', image_url: '', is_upcoming: true, created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-15T20:06:43.000Z' },
-    { title: 'Sports and Recreation Festival', description: 'Celebrate unity through football, volleyball and athletics', event_date: '2026-01-16T21:18:00.000Z', location: 'Bungoma Sports Complex', image_url: '', is_upcoming: true, created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-16T18:18:18.000Z' }
+    { title: 'Leadership Summit 2026', description: 'Annual gathering of student leaders to discuss challenges and solutions', event_date: '2026-02-15T09:00:00.000Z', location: 'Bungoma County Headquarters', image_url: '', created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-15T20:06:43.000Z' },
+    { title: 'Community Service Day', description: 'Give back to community through service projects and cleanup', event_date: '2026-02-28T08:00:00.000Z', location: 'Multiple Locations in Bungoma', image_url: '', created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-15T20:06:43.000Z' },
+    { title: 'Youth Entrepreneurship Workshop', description: 'Learn practical skills for starting your own business', event_date: '2026-03-10T10:00:00.000Z', location: 'Webuye Technical Training Institute', image_url: '', created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-15T20:06:43.000Z' },
+    { title: 'Sports and Recreation Festival', description: 'Celebrate unity through football, volleyball and athletics', event_date: '2026-01-16T21:18:00.000Z', location: 'Bungoma Sports Complex', image_url: '', created_at: '2026-01-15T19:58:59.000Z', updated_at: '2026-01-16T18:18:18.000Z' }
   ];
 
   for (const event of eventsData) {
@@ -85,7 +72,6 @@ async function main() {
         event_date: new Date(event.event_date),
         location: event.location,
         image_url: event.image_url,
-        is_upcoming: event.is_upcoming,
         created_at: new Date(event.created_at),
         updated_at: new Date(event.updated_at)
       }
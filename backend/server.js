@@ -1,19 +1,26 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const QRCode = require('qrcode');
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { createSlugHelpers, isSlugConflict } = require('./slugs');
 
 const app = express();
 const router = express.Router();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 5000;
 
-app.use(cors());
 app.use(express.json());
+app.use(cookieParser());
 
 // Cloudinary Configuration
 cloudinary.config({
@@ -32,187 +39,2761 @@ const storage = new CloudinaryStorage({
 });
 const upload = multer({ storage: storage });
 
+// Email configuration
+// SMTP_HOST points at any SMTP server (e.g. a local MailHog on port 1025 during
+// development); otherwise fall back to the Gmail account in EMAIL_USER/EMAIL_PASS.
+let transporter = null;
+if (process.env.SMTP_HOST) {
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+} else if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+  transporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+  });
+} else {
+  console.warn('Email service not configured');
+}
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_USER || 'BUCCUSA <no-reply@buccusa.org>';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// The public API can be read from anywhere, but credentialed requests (those
+// carrying the admin session cookies) are only allowed from the admin frontend
+// and any extra origins listed in CORS_ORIGINS
+const CREDENTIALED_ORIGINS = [FRONTEND_URL, ...(process.env.CORS_ORIGINS || '').split(',')]
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+app.use(cors((req, callback) => {
+  callback(null, CREDENTIALED_ORIGINS.includes(req.get('Origin'))
+    ? { origin: true, credentials: true }
+    : { origin: '*' });
+}));
+
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  if (!transporter) throw new Error('Email service not configured');
+  return transporter.sendMail({ from: MAIL_FROM, to, subject, text, html, attachments });
+};
+
+// Access tokens are short-lived JWTs signed with JWT_SECRET. Production refuses
+// to start without a real secret; elsewhere a random one is generated per
+// process, which only means refreshing the access token after a restart.
+const JWT_PLACEHOLDERS = ['fallback-secret', 'your_secure_jwt_secret_here'];
+const MIN_JWT_SECRET_LENGTH = 32;
+const JWT_SECRET = (() => {
+  const secret = process.env.JWT_SECRET;
+  if (secret && secret.length >= MIN_JWT_SECRET_LENGTH && !JWT_PLACEHOLDERS.includes(secret)) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`JWT_SECRET must be set to a random value of at least ${MIN_JWT_SECRET_LENGTH} characters in production`);
+  }
+  console.warn('JWT_SECRET is missing or too weak; using a random secret for this process');
+  return crypto.randomBytes(48).toString('hex');
+})();
+
+// The admin session lives in httpOnly cookies so page scripts cannot read it.
+// SESSION_COOKIE_SAMESITE defaults to "lax", which works when the API and the
+// frontend share a site (e.g. api.buccusa.org and buccusa.org); set it to
+// "none" when they are on unrelated domains. Cookies are Secure in production.
+const SESSION_COOKIE = 'buccusa_session';
+const REFRESH_COOKIE = 'buccusa_refresh';
+// The refresh token is only ever sent to the refresh endpoint
+const REFRESH_COOKIE_PATH = '/api/admin/refresh';
+const COOKIE_SAME_SITE = (process.env.SESSION_COOKIE_SAMESITE || 'lax').toLowerCase();
+if (!['strict', 'lax', 'none'].includes(COOKIE_SAME_SITE)) {
+  throw new Error('SESSION_COOKIE_SAMESITE must be one of: strict, lax, none');
+}
+
+const cookieOptions = (path, maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production' || COOKIE_SAME_SITE === 'none',
+  sameSite: COOKIE_SAME_SITE,
+  path,
+  ...(maxAge && { maxAge })
+});
+
+// CSRF protection. Every state-changing request made with the session cookie
+// must also send X-CSRF-Token, which the frontend receives when it signs in or
+// refreshes. The token is derived from the session id, so it needs no storage
+// and stops working when the session ends.
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const csrfTokenFor = (sessionId) => crypto.createHmac('sha256', JWT_SECRET).update(`csrf:${sessionId}`).digest('hex');
+
+const hasValidCsrfToken = (req, sessionId) => {
+  const sent = Buffer.from(String(req.get('X-CSRF-Token') || ''));
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+};
+
 // Auth middleware
+// Tokens carry the admin's session id and token_version. Revoking the session
+// (logout) or bumping token_version (e.g. on password reset) invalidates them
+// immediately rather than when they expire. Super admins without two-factor
+// authentication are signed out so that their next login enrols them.
 const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = req.cookies?.[SESSION_COOKIE];
   if (!token) return res.sendStatus(401);
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    // 401 (rather than 403) tells the admin panel to refresh its access token
+    if (err) return res.sendStatus(401);
+    try {
+      const session = user.sid && await prisma.adminSession.findUnique({
+        where: { id: user.sid },
+        include: { admin: { select: { token_version: true, is_active: true, role: true, totp_enabled_at: true } } }
+      });
+      const admin = session?.admin;
+      if (!admin || session.revoked_at || session.admin_id !== user.id || !admin.is_active || admin.token_version !== user.token_version) {
+        return res.sendStatus(401);
+      }
+      if (requiresTwoFactor(admin) && !admin.totp_enabled_at) return res.sendStatus(401);
+      if (!SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req, session.id)) {
+        return res.status(403).json({ message: 'Invalid or missing CSRF token. Please reload the page.' });
+      }
+      // Read the role from the database so role changes apply immediately
+      req.user = { ...user, role: admin.role };
+      next();
+    } catch (error) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+};
+
+// Role-based permissions. Each admin route requires at least one of the listed
+// permissions; super admins hold all of them.
+const ROLE_PERMISSIONS = {
+  super_admin: ['admins', 'members', 'messages', 'announcements', 'content'],
+  content_editor: ['announcements', 'content'],
+  communications_officer: ['messages', 'announcements'],
+  membership_secretary: ['members']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Roles that may only sign in with two-factor authentication
+const TWO_FACTOR_ROLES = ['super_admin'];
+const requiresTwoFactor = (admin) => TWO_FACTOR_ROLES.includes(admin.role);
+
+const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = getPermissions(req.user?.role);
+  if (!permissions.some(permission => granted.includes(permission))) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Shared request helpers
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Optional text fields may be omitted or null; anything else has to be a string
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Post content and event descriptions are stored as Markdown. Raw HTML inside
+// the Markdown is allowed through marked and then stripped down to this list,
+// so only the rendered output is ever sent to the browser as HTML.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'p', 'br', 'hr', 'strong', 'em', 'del', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img', 'code', 'pre', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['https', 'http'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+  }
+};
+
+const renderMarkdown = (markdown) => markdown
+  ? sanitizeHtml(marked.parse(markdown, { gfm: true, breaks: true }), SANITIZE_OPTIONS)
+  : '';
+
+// Plain-text version for cards, link previews and other places that cannot show HTML
+const markdownToText = (markdown) => markdown
+  ? sanitizeHtml(marked.parse(markdown), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim()
+  : '';
+
+const getPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Password policy for admin accounts
+const validatePasswordStrength = (password) => {
+  if (!password || password.length < 8) return 'Password must be at least 8 characters long';
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    return 'Password must contain both uppercase and lowercase letters';
+  }
+  if (!/\d/.test(password)) return 'Password must contain at least one number';
+  if (!/[^A-Za-z0-9]/.test(password)) return 'Password must contain at least one symbol';
+  return null;
+};
+
+const paginationMeta = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  totalPages: Math.max(Math.ceil(total / limit), 1)
+});
+
+// Slugs for posts and events (see slugs.js)
+const { withUniqueSlug, slugUpdate, findBySlug } = createSlugHelpers(prisma);
+
+// Revision history for posts and events. Every save stores a snapshot of the
+// tracked fields so editors can compare versions and restore an older one.
+const REVISIONED = {
+  post: {
+    label: 'Post',
+    model: prisma.post,
+    revisions: prisma.postRevision,
+    key: 'post_id',
+    fields: ['title', 'slug', 'excerpt', 'content', 'image_url', 'published', 'published_at']
+  },
+  event: {
+    label: 'Event',
+    model: prisma.event,
+    revisions: prisma.eventRevision,
+    key: 'event_id',
+    fields: [
+      'title', 'slug', 'description', 'event_date', 'end_date', 'timezone', 'location', 'image_url', 'capacity', 'registration_open',
+      'recurrence_frequency', 'recurrence_interval', 'recurrence_until', 'recurrence_count'
+    ]
+  }
+};
+const REVISION_DATE_FIELDS = ['published_at', 'event_date', 'end_date', 'recurrence_until'];
+
+const revisionSnapshot = (type, record) => Object.fromEntries(
+  REVISIONED[type].fields.map(field => {
+    const value = record[field];
+    return [field, value instanceof Date ? value.toISOString() : value ?? null];
+  })
+);
+
+// Stores `after` as a new revision, skipping saves that changed nothing. Records
+// saved before history existed get an "original" snapshot of `before` first so
+// the first edit still has something to diff against.
+const recordRevision = async (type, { before = null, after, adminId, action, restoredFrom = null }) => {
+  const { revisions, key, fields } = REVISIONED[type];
+  const previous = before && revisionSnapshot(type, before);
+  const data = revisionSnapshot(type, after);
+  const changed = previous ? fields.filter(field => previous[field] !== data[field]) : fields;
+  if (previous && changed.length === 0) return null;
+
+  if (previous && await revisions.count({ where: { [key]: before.id } }) === 0) {
+    await revisions.create({ data: { [key]: before.id, action: 'original', data: previous, changed_fields: [] } });
+  }
+  return revisions.create({
+    data: { [key]: after.id, admin_id: adminId, action, data, changed_fields: changed, restored_from: restoredFrom }
+  });
+};
+
+const listRevisions = (type) => async (req, res) => {
+  try {
+    const { revisions, key } = REVISIONED[type];
+    const history = await revisions.findMany({
+      where: { [key]: Number(req.params.id) },
+      include: { admin: { select: { id: true, username: true } } },
+      orderBy: { id: 'desc' }
+    });
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const restoreRevision = (type) => async (req, res) => {
+  try {
+    const { label, model, revisions, key, fields } = REVISIONED[type];
+    const id = Number(req.params.id);
+    const revision = await revisions.findUnique({ where: { id: Number(req.params.revisionId) } });
+    if (!revision || revision[key] !== id) return res.status(404).json({ message: 'Revision not found' });
+    const current = await model.findUnique({ where: { id } });
+    if (!current) return res.status(404).json({ message: `${label} not found` });
+
+    // Only fields that are still tracked are restored; older snapshots may carry retired columns
+    const { slug, ...data } = Object.fromEntries(
+      fields.filter(field => field in revision.data).map(field => [field, revision.data[field]])
+    );
+    for (const field of REVISION_DATE_FIELDS) {
+      if (field in data) data[field] = data[field] ? new Date(data[field]) : null;
+    }
+    const slugChange = await slugUpdate(type, current, { title: data.title, slug });
+    const results = await prisma.$transaction([
+      ...slugChange.operations,
+      model.update({ where: { id }, data: { ...data, slug: slugChange.slug } })
+    ]);
+    await recordRevision(type, {
+      before: current,
+      after: results[results.length - 1],
+      adminId: req.user.id,
+      action: 'restore',
+      restoredFrom: revision.id
+    });
+    res.json({ message: 'Revision restored successfully' });
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'That slug is already in use' });
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Admin sessions. Signing in opens a session holding a refresh token; the
+// client trades it for a new access token (and a new refresh token) before the
+// old access token expires. Each refresh token works once: presenting one that
+// was already replaced means it was copied, so the whole session is revoked.
+// Both tokens travel as cookies; response bodies only carry the CSRF token.
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at the same moment both send the same token; the loser
+// is turned away without revoking the session
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const setSessionCookies = (res, admin, session, refreshToken) => {
+  const token = jwt.sign(
+    { id: admin.id, username: admin.username, token_version: admin.token_version, sid: session.id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+  res.cookie(SESSION_COOKIE, token, cookieOptions('/', ACCESS_TOKEN_TTL_SECONDS * 1000));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_COOKIE_PATH, SESSION_TTL_MS));
+  return { csrf_token: csrfTokenFor(session.id), expires_in: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie(SESSION_COOKIE, cookieOptions('/'));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(REFRESH_COOKIE_PATH));
+};
+
+const startSession = async (admin, req, res) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  // Sessions that ended more than a session lifetime ago are no longer useful
+  await prisma.adminSession.deleteMany({
+    where: { admin_id: admin.id, expires_at: { lt: new Date(now.getTime() - SESSION_TTL_MS) } }
+  });
+  const session = await prisma.adminSession.create({
+    data: {
+      admin_id: admin.id,
+      refresh_token_hash: hashSessionToken(refreshToken),
+      token_version: admin.token_version,
+      user_agent: req.get('user-agent')?.slice(0, 255) || null,
+      ip_address: req.ip || null,
+      expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+    }
+  });
+  return setSessionCookies(res, admin, session, refreshToken);
+};
+
+const revokeSessions = (where) => prisma.adminSession.updateMany({
+  where: { ...where, revoked_at: null },
+  data: { revoked_at: new Date() }
+});
+
+const signedInAdmin = (admin) => ({
+  id: admin.id,
+  username: admin.username,
+  email: admin.email,
+  role: admin.role,
+  permissions: getPermissions(admin.role)
+});
+
+// Two-factor authentication: time-based one-time passwords (RFC 6238) as shown
+// by authenticator apps, plus single-use backup codes for a lost device. An
+// admin who has lost both can reset their password, which turns 2FA off.
+const TOTP_ISSUER = 'BUCCUSA';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the neighbouring periods are accepted to allow for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+// How long a login that passed the password step has to complete the second step
+const LOGIN_CHALLENGE_TTL = '10m';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = [...text.toUpperCase().replace(/=+$/, '')]
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the time step the code belongs to, or null when it matches none
+const matchTotpStep = (secret, code, now = Date.now()) => {
+  const current = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+    if (totpCode(secret, step) === code) return step;
+  }
+  return null;
+};
+
+const normalizeTwoFactorCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeTwoFactorCode(code)).digest('hex');
+
+// Backup codes are shown once, as xxxx-xxxx, and only their hashes are stored
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(4).toString('hex');
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+// Starts enrolment with a new secret; it only takes effect once confirmed with
+// a code from the authenticator app (see enableTwoFactor)
+const startTwoFactorSetup = async (admin) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await prisma.admin.update({
+    where: { id: admin.id },
+    data: { totp_secret: secret, totp_enabled_at: null, totp_last_step: null, backup_code_hashes: [] }
+  });
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${admin.username}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+  return {
+    secret,
+    otpauth_url: otpauthUrl,
+    qr_code: await QRCode.toDataURL(otpauthUrl, { width: 240, margin: 1 })
+  };
+};
+
+// Confirms a pending enrolment. Returns the new backup codes, or null when the code is wrong.
+const enableTwoFactor = async (admin, code) => {
+  if (!admin.totp_secret || admin.totp_enabled_at) return null;
+  const step = matchTotpStep(admin.totp_secret, normalizeTwoFactorCode(code));
+  if (step === null) return null;
+  const backupCodes = generateBackupCodes();
+  await prisma.admin.update({
+    where: { id: admin.id },
+    data: {
+      totp_enabled_at: new Date(),
+      totp_last_step: step,
+      backup_code_hashes: backupCodes.map(hashBackupCode),
+      totp_failed_attempts: 0,
+      totp_locked_until: null
+    }
+  });
+  return backupCodes;
+};
+
+// Removes a backup code. The write only applies to the exact list it was computed
+// from, so two logins using different codes at once cannot put either code back;
+// the one that loses re-reads the list and tries again.
+const consumeBackupCode = async (admin, hash) => {
+  let codes = admin.backup_code_hashes;
+  for (let attempt = 0; attempt < 3 && codes.includes(hash); attempt++) {
+    const { count } = await prisma.admin.updateMany({
+      where: { id: admin.id, backup_code_hashes: { equals: codes } },
+      data: { backup_code_hashes: codes.filter(item => item !== hash), totp_failed_attempts: 0 }
+    });
+    if (count > 0) return true;
+    ({ backup_code_hashes: codes } = await prisma.admin.findUnique({ where: { id: admin.id }, select: { backup_code_hashes: true } }));
+  }
+  return false;
+};
+
+// Checks the second factor of an admin with 2FA on: a current authenticator code
+// or an unused backup code. Each is accepted once. Repeated failures lock the
+// second step for a while. Resolves to null on success or to an error response.
+const verifyTwoFactor = async (admin, rawCode) => {
+  const now = new Date();
+  if (admin.totp_locked_until > now) {
+    return { status: 429, message: 'Too many incorrect codes. Please try again in a few minutes.' };
+  }
+  const code = normalizeTwoFactorCode(rawCode);
+  let accepted = false;
+  if (new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+    const step = matchTotpStep(admin.totp_secret, code, now.getTime());
+    if (step !== null) {
+      // Conditional on the last step so a code cannot be replayed, even concurrently
+      const { count } = await prisma.admin.updateMany({
+        where: { id: admin.id, OR: [{ totp_last_step: null }, { totp_last_step: { lt: step } }] },
+        data: { totp_last_step: step, totp_failed_attempts: 0 }
+      });
+      accepted = count > 0;
+    }
+  } else if (code) {
+    accepted = await consumeBackupCode(admin, hashBackupCode(code));
+  }
+  if (accepted) return null;
+
+  const { totp_failed_attempts: failures } = await prisma.admin.update({
+    where: { id: admin.id },
+    data: { totp_failed_attempts: { increment: 1 } }
+  });
+  if (failures >= MAX_TWO_FACTOR_ATTEMPTS) {
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { totp_failed_attempts: 0, totp_locked_until: new Date(now.getTime() + TWO_FACTOR_LOCK_MS) }
+    });
+    return { status: 429, message: 'Too many incorrect codes. Please try again in a few minutes.' };
+  }
+  return { status: 400, message: 'Invalid authentication code' };
+};
+
+// A login that passed the password check but still needs its second step (or,
+// for roles that require 2FA, enrolment) gets a short-lived challenge token
+// instead of a session
+const issueLoginChallenge = (admin, purpose) => jwt.sign(
+  { id: admin.id, token_version: admin.token_version, purpose },
+  JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_TTL }
+);
+
+const readLoginChallenge = async (token, purpose) => {
+  let challenge;
+  try {
+    challenge = jwt.verify(String(token || ''), JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (challenge.purpose !== purpose) return null;
+  const admin = await prisma.admin.findUnique({ where: { id: challenge.id } });
+  if (!admin || !admin.is_active || admin.token_version !== challenge.token_version) return null;
+  return admin;
+};
+
+const CHALLENGE_EXPIRED = { message: 'Your sign-in attempt has expired. Please sign in again.' };
+
+// Admin login
+router.post('/api/admin/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const admin = await prisma.admin.findUnique({ where: { username } });
+    if (!admin || !admin.password_hash || !await bcrypt.compare(password, admin.password_hash)) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    if (!admin.is_active) {
+      return res.status(403).json({ message: 'This account has been disabled' });
+    }
+    if (admin.totp_enabled_at) {
+      return res.json({ two_factor: 'verify', challenge_token: issueLoginChallenge(admin, 'two_factor_verify') });
+    }
+    if (requiresTwoFactor(admin)) {
+      return res.json({ two_factor: 'setup', challenge_token: issueLoginChallenge(admin, 'two_factor_setup') });
+    }
+    const sessionInfo = await startSession(admin, req, res);
+    res.json({ ...sessionInfo, admin: signedInAdmin(admin) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Second login step: an authenticator or backup code
+router.post('/api/admin/login/verify', async (req, res) => {
+  try {
+    const admin = await readLoginChallenge(req.body.challenge_token, 'two_factor_verify');
+    if (!admin || !admin.totp_enabled_at) return res.status(401).json(CHALLENGE_EXPIRED);
+    const failure = await verifyTwoFactor(admin, req.body.code);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+    const { backup_code_hashes } = await prisma.admin.findUnique({ where: { id: admin.id }, select: { backup_code_hashes: true } });
+    const sessionInfo = await startSession(admin, req, res);
+    res.json({ ...sessionInfo, admin: signedInAdmin(admin), backup_codes_remaining: backup_code_hashes.length });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enrolment during login, for roles that cannot sign in without 2FA
+router.post('/api/admin/login/setup', async (req, res) => {
+  try {
+    const admin = await readLoginChallenge(req.body.challenge_token, 'two_factor_setup');
+    if (!admin || admin.totp_enabled_at) return res.status(401).json(CHALLENGE_EXPIRED);
+    res.json(await startTwoFactorSetup(admin));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/login/enable', async (req, res) => {
+  try {
+    const admin = await readLoginChallenge(req.body.challenge_token, 'two_factor_setup');
+    if (!admin || admin.totp_enabled_at) return res.status(401).json(CHALLENGE_EXPIRED);
+    const backupCodes = await enableTwoFactor(admin, req.body.code);
+    if (!backupCodes) return res.status(400).json({ message: 'That code did not match. Check the time on your device and try again.' });
+    const sessionInfo = await startSession(admin, req, res);
+    res.json({ ...sessionInfo, admin: signedInAdmin(admin), backup_codes: backupCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Not CSRF-checked: a forged refresh only rotates the victim's own cookies, and
+// the response is unreadable from origins outside CREDENTIALED_ORIGINS
+router.post('/api/admin/refresh', async (req, res) => {
+  const expired = () => {
+    clearSessionCookies(res);
+    res.status(401).json({ message: 'Your session has expired. Please sign in again.' });
+  };
+  try {
+    const refreshToken = req.cookies?.[REFRESH_COOKIE];
+    if (!refreshToken) return expired();
+    const tokenHash = hashSessionToken(String(refreshToken));
+    const now = new Date();
+
+    const replayed = await prisma.adminSession.findUnique({ where: { previous_token_hash: tokenHash } });
+    if (replayed) {
+      if (!replayed.revoked_at && now - replayed.last_used_at <= REFRESH_REUSE_GRACE_MS) {
+        // Another tab got there first; its response carries the new cookies
+        return res.status(409).json({ message: 'Session already refreshed' });
+      }
+      if (!replayed.revoked_at) {
+        console.warn(`Refresh token reused for admin session ${replayed.id}; revoking it`);
+        await revokeSessions({ id: replayed.id });
+      }
+      return expired();
+    }
+
+    const session = await prisma.adminSession.findUnique({ where: { refresh_token_hash: tokenHash }, include: { admin: true } });
+    if (!session || session.revoked_at || session.expires_at < now) return expired();
+    const { admin } = session;
+    if (!admin.is_active || admin.token_version !== session.token_version || (requiresTwoFactor(admin) && !admin.totp_enabled_at)) {
+      await revokeSessions({ id: session.id });
+      return expired();
+    }
+
+    // Conditional on the current hash so that only one of two concurrent refreshes wins
+    const nextToken = crypto.randomBytes(32).toString('hex');
+    const { count } = await prisma.adminSession.updateMany({
+      where: { id: session.id, refresh_token_hash: tokenHash, revoked_at: null },
+      data: {
+        refresh_token_hash: hashSessionToken(nextToken),
+        previous_token_hash: tokenHash,
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+      }
+    });
+    if (count === 0) return res.status(409).json({ message: 'Session already refreshed' });
+    res.json(setSessionCookies(res, admin, session, nextToken));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions({ id: req.user.sid });
+    clearSessionCookies(res);
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ends every session of the signed-in admin, this one included
+router.post('/api/admin/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await prisma.$transaction([
+      revokeSessions({ admin_id: req.user.id }),
+      prisma.admin.update({ where: { id: req.user.id }, data: { token_version: { increment: 1 } } })
+    ]);
+    clearSessionCookies(res);
+    res.json({ message: 'Signed out on all devices' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Password reset
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const TWO_FACTOR_RESET = {
+  totp_secret: null,
+  totp_enabled_at: null,
+  totp_last_step: null,
+  backup_code_hashes: [],
+  totp_failed_attempts: 0,
+  totp_locked_until: null
+};
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+router.post('/api/admin/forgot-password', async (req, res) => {
+  const genericResponse = { message: 'If that email belongs to an admin account, a reset link has been sent.' };
+  try {
+    if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    const email = req.body.email.trim().toLowerCase();
+    const admin = await prisma.admin.findFirst({ where: { email: { equals: email, mode: 'insensitive' } } });
+    if (!admin || !admin.is_active) return res.json(genericResponse);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { reset_token_hash: hashResetToken(token), reset_token_expires: new Date(Date.now() + RESET_TOKEN_TTL_MS) }
+    });
+
+    const resetUrl = `${FRONTEND_URL}/admin/reset-password?token=${token}`;
+    const twoFactorNote = admin.totp_enabled_at
+      ? ' Resetting your password also turns off two-factor authentication, so you can set it up again on a new device.'
+      : '';
+    // A mail failure gets the same response as an unknown email, so the reply
+    // never reveals which addresses belong to admins
+    await sendMail({
+      to: admin.email,
+      subject: 'BUCCUSA admin password reset',
+      text: `Hello ${admin.username},\n\nUse the link below to reset your BUCCUSA admin password. It expires in 1 hour and can only be used once.${twoFactorNote}\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      html: `<p>Hello ${escapeHtml(admin.username)},</p><p>Use the link below to reset your BUCCUSA admin password. It expires in 1 hour and can only be used once.${twoFactorNote}</p><p><a href="${resetUrl}">Reset my password</a></p><p>If you did not request this, you can ignore this email.</p>`
+    }).catch(error => console.error('Password reset email error:', error));
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (typeof token !== 'string' || !token || typeof newPassword !== 'string' || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+    const passwordError = validatePasswordStrength(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+    const admin = await prisma.admin.findFirst({
+      where: { reset_token_hash: hashResetToken(token), reset_token_expires: { gt: new Date() } }
+    });
+    if (!admin) return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        password_hash: await bcrypt.hash(newPassword, 10),
+        reset_token_hash: null,
+        reset_token_expires: null,
+        token_version: { increment: 1 },
+        // The reset link doubles as recovery for a lost authenticator
+        ...TWO_FACTOR_RESET
+      }
+    });
+    res.json({
+      message: admin.totp_enabled_at
+        ? 'Password reset successfully and two-factor authentication turned off. Please sign in with your new password.'
+        : 'Password reset successfully. Please sign in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public routes
+router.get('/programs', async (req, res) => {
+  try {
+    const programs = await prisma.program.findMany({ where: { is_active: true } });
+    res.json(programs);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/testimonials', async (req, res) => {
+  try {
+    const testimonials = await prisma.testimonial.findMany({ where: { is_active: true } });
+    res.json(testimonials);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A post is public once it is published and its publish time has passed. Posts
+// published before scheduling existed have no published_at and stay visible.
+const publicPostWhere = () => ({
+  published: true,
+  OR: [{ published_at: null }, { published_at: { lte: new Date() } }]
+});
+
+const POST_ORDER = [{ published_at: { sort: 'desc', nulls: 'last' } }, { created_at: 'desc' }];
+
+router.get('/posts', async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query, 9);
+    const where = publicPostWhere();
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({ where, orderBy: POST_ORDER, skip, take: limit }),
+      prisma.post.count({ where })
+    ]);
+    res.json({
+      posts: posts.map(post => ({ ...post, content_text: markdownToText(post.content) })),
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Nearest public post before ('lt') or after ('gt') the given post's publish date
+const adjacentPost = (post, op) => {
+  const date = post.published_at || post.created_at;
+  const sort = op === 'lt' ? 'desc' : 'asc';
+  return prisma.post.findFirst({
+    where: {
+      AND: [
+        publicPostWhere(),
+        { OR: [{ published_at: { [op]: date } }, { published_at: null, created_at: { [op]: date } }] }
+      ]
+    },
+    orderBy: [{ published_at: { sort, nulls: 'last' } }, { created_at: sort }],
+    select: { id: true, slug: true, title: true }
   });
 };
 
-// Admin login
-router.post('/api/admin/login', async (req, res) => {
+const isPostPublic = (post) => post.published && (!post.published_at || post.published_at <= new Date());
+
+router.get('/posts/:slug', async (req, res) => {
+  try {
+    const { record: post, redirected } = await findBySlug('post', req.params.slug);
+    if (!post || !isPostPublic(post)) return res.status(404).json({ message: 'Post not found' });
+    if (redirected) return res.redirect(301, `${req.baseUrl}/posts/${encodeURIComponent(post.slug || post.id)}`);
+    const [previous, next] = await Promise.all([adjacentPost(post, 'lt'), adjacentPost(post, 'gt')]);
+    res.json({
+      ...post,
+      content_html: renderMarkdown(post.content),
+      content_text: markdownToText(post.content),
+      previous,
+      next
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/contact', async (req, res) => {
+  try {
+    const { name, email, subject, message } = req.body;
+    if (!name || !email || !subject || !message) {
+      return res.status(400).json({ message: 'All fields are required' });
+    }
+    await prisma.contactMessage.create({ data: { name, email, subject, message } });
+    res.json({ message: 'Message sent successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const APPLICATION_FIELDS = ['name', 'email', 'institution', 'course', 'year_of_study', 'sub_county', 'ward'];
+
+router.post('/membership-applications', async (req, res) => {
+  try {
+    const { name, email, phone, institution, course, year_of_study, sub_county, ward } = req.body;
+    // year_of_study may come as a number; every other required field must be text
+    const missing = APPLICATION_FIELDS.filter(field => {
+      const value = req.body[field];
+      if (field === 'year_of_study' && typeof value === 'number') return false;
+      return typeof value !== 'string' || !value.trim();
+    });
+    if (missing.length) {
+      return res.status(400).json({ message: `Missing required fields: ${missing.join(', ')}` });
+    }
+    if (!isOptionalString(phone)) return res.status(400).json({ message: 'Phone must be text' });
+    if (!EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({ message: 'A valid email is required' });
+    }
+    const year = Number(year_of_study);
+    if (!Number.isInteger(year) || year < 1 || year > 7) {
+      return res.status(400).json({ message: 'Year of study must be between 1 and 7' });
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingMember = await prisma.member.findUnique({ where: { email: normalizedEmail } });
+    if (existingMember) {
+      return res.status(409).json({ message: 'This email is already registered as a member' });
+    }
+    const pending = await prisma.membershipApplication.findFirst({
+      where: { email: normalizedEmail, status: 'pending' }
+    });
+    if (pending) {
+      return res.status(409).json({ message: 'An application with this email is already awaiting review' });
+    }
+    await prisma.membershipApplication.create({
+      data: {
+        name: name.trim(),
+        email: normalizedEmail,
+        phone,
+        institution: institution.trim(),
+        course: course.trim(),
+        year_of_study: year,
+        sub_county: sub_county.trim(),
+        ward: ward.trim()
+      }
+    });
+    res.json({ message: 'Application submitted successfully. We will contact you once it has been reviewed.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin accounts
+const ADMIN_PUBLIC_FIELDS = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  is_active: true,
+  totp_enabled_at: true,
+  created_at: true,
+  updated_at: true
+};
+
+router.get('/api/admin/me', authenticateToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({ where: { id: req.user.id }, select: ADMIN_PUBLIC_FIELDS });
+    res.json({ ...admin, permissions: getPermissions(admin.role) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Two-factor settings of the signed-in admin. Super admins enrol when they sign
+// in and cannot turn it off.
+router.get('/api/admin/2fa', authenticateToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({ where: { id: req.user.id } });
+    res.json({
+      enabled: Boolean(admin.totp_enabled_at),
+      enabled_at: admin.totp_enabled_at,
+      required: requiresTwoFactor(admin),
+      backup_codes_remaining: admin.backup_code_hashes.length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({ where: { id: req.user.id } });
+    if (admin.totp_enabled_at) return res.status(409).json({ message: 'Two-factor authentication is already on' });
+    res.json(await startTwoFactorSetup(admin));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({ where: { id: req.user.id } });
+    if (admin.totp_enabled_at) return res.status(409).json({ message: 'Two-factor authentication is already on' });
+    if (!admin.totp_secret) return res.status(400).json({ message: 'Start the setup again to get a new QR code' });
+    const backupCodes = await enableTwoFactor(admin, req.body.code);
+    if (!backupCodes) return res.status(400).json({ message: 'That code did not match. Check the time on your device and try again.' });
+    res.json({ message: 'Two-factor authentication turned on', backup_codes: backupCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replaces all backup codes; needs a current code so a stolen session cannot do it
+router.post('/api/admin/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({ where: { id: req.user.id } });
+    if (!admin.totp_enabled_at) return res.status(400).json({ message: 'Two-factor authentication is off' });
+    const failure = await verifyTwoFactor(admin, req.body.code);
+    if (failure) return res.status(failure.status).json({ message: failure.message });
+    const backupCodes = generateBackupCodes();
+    await prisma.admin.update({ where: { id: admin.id }, data: { backup_code_hashes: backupCodes.map(hashBackupCode) } });
+    res.json({ backup_codes: backupCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({ where: { id: req.user.id } });
+    if (requiresTwoFactor(admin)) {
+      return res.status(403).json({ message: 'Super admins must keep two-factor authentication on' });
+    }
+    if (!admin.password_hash || !await bcrypt.compare(String(req.body.password || ''), admin.password_hash)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+    await prisma.admin.update({ where: { id: admin.id }, data: TWO_FACTOR_RESET });
+    res.json({ message: 'Two-factor authentication turned off' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/api/admin/admins', authenticateToken, requirePermission('admins'), async (req, res) => {
+  try {
+    const admins = await prisma.admin.findMany({ select: ADMIN_PUBLIC_FIELDS, orderBy: { created_at: 'asc' } });
+    res.json(admins);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post(['/api/admin/admins', '/api/admin/create-admin'], authenticateToken, requirePermission('admins'), async (req, res) => {
+  try {
+    const { password, role = 'content_editor' } = req.body;
+    if (![req.body.username, req.body.email].every(value => typeof value === 'string' && value.trim())
+      || typeof password !== 'string' || !password) {
+      return res.status(400).json({ message: 'Username, email and password are required' });
+    }
+    const username = req.body.username.trim();
+    const email = req.body.email.trim().toLowerCase();
+    if (!ROLES.includes(role)) return res.status(400).json({ message: 'Invalid role' });
+    if (!EMAIL_REGEX.test(email)) return res.status(400).json({ message: 'A valid email is required' });
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    const existing = await prisma.admin.findFirst({ where: { OR: [{ username }, { email }] } });
+    if (existing) {
+      return res.status(409).json({ message: 'An admin with this username or email already exists' });
+    }
+    const admin = await prisma.admin.create({
+      data: { username, email, role, password_hash: await bcrypt.hash(password, 10) }
+    });
+    res.json({ id: admin.id, message: 'Admin created successfully' });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'An admin with this username or email already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refuses to leave the panel without at least one active super admin
+const isLastActiveSuperAdmin = async (admin) => {
+  if (!admin.is_active || admin.role !== 'super_admin') return false;
+  const otherActive = await prisma.admin.count({
+    where: { is_active: true, role: 'super_admin', id: { not: admin.id } }
+  });
+  return otherActive === 0;
+};
+
+router.patch('/api/admin/admins/:id/role', authenticateToken, requirePermission('admins'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ message: 'Invalid role' });
+    if (id === req.user.id) return res.status(400).json({ message: 'You cannot change your own role' });
+    const admin = await prisma.admin.findUnique({ where: { id } });
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+    if (role !== 'super_admin' && await isLastActiveSuperAdmin(admin)) {
+      return res.status(400).json({ message: 'Cannot demote the last active super admin' });
+    }
+    await prisma.admin.update({ where: { id }, data: { role } });
+    // The new role cannot be used without 2FA, so end their sessions now; the
+    // next sign-in takes them through enrolment
+    const mustEnrol = requiresTwoFactor({ role }) && !admin.totp_enabled_at;
+    if (mustEnrol) await revokeSessions({ admin_id: id });
+    res.json({
+      message: mustEnrol
+        ? 'Role updated. They have been signed out and must set up two-factor authentication when they sign in again.'
+        : 'Role updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/api/admin/admins/:id/status', authenticateToken, requirePermission('admins'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const isActive = Boolean(req.body.is_active);
+    const admin = await prisma.admin.findUnique({ where: { id } });
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+    if (!isActive) {
+      if (id === req.user.id) return res.status(400).json({ message: 'You cannot disable your own account' });
+      if (await isLastActiveSuperAdmin(admin)) {
+        return res.status(400).json({ message: 'Cannot disable the last active super admin' });
+      }
+    }
+    await prisma.admin.update({
+      where: { id },
+      // Disabling also revokes any tokens the admin still holds
+      data: isActive ? { is_active: true } : { is_active: false, token_version: { increment: 1 } }
+    });
+    res.json({ message: isActive ? 'Admin enabled successfully' : 'Admin disabled successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/admins/:id', authenticateToken, requirePermission('admins'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (id === req.user.id) return res.status(400).json({ message: 'You cannot delete your own account' });
+    const admin = await prisma.admin.findUnique({ where: { id } });
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+    if (await isLastActiveSuperAdmin(admin)) {
+      return res.status(400).json({ message: 'Cannot delete the last active super admin' });
+    }
+    await prisma.admin.delete({ where: { id } });
+    res.json({ message: 'Admin deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const PARTNERSHIP_STATUSES = ['new', 'in_discussion', 'signed', 'declined'];
+
+router.post('/partnership-requests', async (req, res) => {
+  try {
+    const { organization_name, contact_person, email, phone, partnership_type, message } = req.body;
+    if (![organization_name, contact_person, email].every(value => typeof value === 'string' && value.trim())) {
+      return res.status(400).json({ message: 'Organization, contact person and email are required' });
+    }
+    if (!EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({ message: 'A valid email is required' });
+    }
+    if (![phone, partnership_type, message].every(isOptionalString)) {
+      return res.status(400).json({ message: 'Phone, partnership type and message must be text' });
+    }
+    if (message && message.length > 5000) {
+      return res.status(400).json({ message: 'Message must be 5000 characters or fewer' });
+    }
+    await prisma.partnershipRequest.create({
+      data: {
+        organization_name: organization_name.trim(),
+        contact_person: contact_person.trim(),
+        email: email.trim().toLowerCase(),
+        phone,
+        partnership_type,
+        message
+      }
+    });
+    res.json({ message: 'Thank you! Our partnerships team will get in touch soon.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/volunteer-submissions', async (req, res) => {
+  try {
+    const { name, email, phone, interests, experience } = req.body;
+    if (typeof name !== 'string' || typeof email !== 'string' || !name.trim() || !email.trim()) {
+      return res.status(400).json({ message: 'Name and email are required' });
+    }
+    if (!EMAIL_REGEX.test(email.trim())) {
+      return res.status(400).json({ message: 'A valid email is required' });
+    }
+    const interestsValid = Array.isArray(interests)
+      ? interests.every(interest => typeof interest === 'string')
+      : isOptionalString(interests);
+    if (!interestsValid || !isOptionalString(phone) || !isOptionalString(experience)) {
+      return res.status(400).json({ message: 'Phone, interests and experience must be text' });
+    }
+    await prisma.volunteerSubmission.create({
+      data: {
+        name: name.trim(),
+        email: email.trim().toLowerCase(),
+        phone,
+        interests: Array.isArray(interests) ? interests.join(', ') : interests,
+        experience
+      }
+    });
+    res.json({ message: 'Thank you for volunteering! We will reach out before our next outreach day.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin dashboard
+router.get('/api/admin/dashboard', authenticateToken, async (req, res) => {
+  try {
+    const stats = {
+      unread_messages: await prisma.contactMessage.count({ where: { is_read: false, is_archived: false } }),
+      total_messages: await prisma.contactMessage.count(),
+      published_posts: await prisma.post.count({ where: { published: true } }),
+      total_posts: await prisma.post.count(),
+      total_events: await prisma.event.count(),
+      active_programs: await prisma.program.count({ where: { is_active: true } }),
+      total_programs: await prisma.program.count(),
+      total_testimonials: await prisma.testimonial.count(),
+      total_stats: await prisma.impactStat.count(),
+      active_leaders: await prisma.leader.count({ where: { is_active: true } }),
+      active_members: await prisma.member.count({ where: { is_active: true } }),
+      pending_applications: await prisma.membershipApplication.count({ where: { status: 'pending' } }),
+      new_partnerships: await prisma.partnershipRequest.count({ where: { status: 'new' } }),
+      unread_volunteers: await prisma.volunteerSubmission.count({ where: { is_read: false } })
+    };
+    // Contact details are only for roles that may read messages
+    const recentContacts = getPermissions(req.user.role).includes('messages')
+      ? await prisma.contactMessage.findMany({
+        select: { id: true, name: true, email: true, subject: true, created_at: true },
+        orderBy: { created_at: 'desc' },
+        take: 5
+      })
+      : [];
+    const scheduledPosts = await prisma.post.findMany({
+      where: { published: true, published_at: { gt: new Date() } },
+      select: { id: true, title: true, slug: true, published_at: true },
+      orderBy: { published_at: 'asc' },
+      take: 5
+    });
+    // Attendance against confirmed registrations for the latest events that took RSVPs
+    const attendanceEvents = await prisma.event.findMany({
+      where: { rsvps: { some: { status: 'confirmed' } } },
+      select: { id: true, title: true, event_date: true, timezone: true },
+      orderBy: { event_date: 'desc' },
+      take: 6
+    });
+    const attendanceCounts = await prisma.rsvp.groupBy({
+      by: ['event_id'],
+      where: { event_id: { in: attendanceEvents.map(event => event.id) }, status: 'confirmed' },
+      _count: { _all: true, checked_in_at: true }
+    });
+    const eventAttendance = attendanceEvents.map(event => {
+      const counts = attendanceCounts.find(group => group.event_id === event.id)?._count;
+      return { ...event, registered: counts?._all || 0, attended: counts?.checked_in_at || 0 };
+    });
+    res.json({ stats, recentContacts, scheduledPosts, eventAttendance });
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Admin messages
+const REPLY_INCLUDE = { admin: { select: { id: true, username: true } } };
+
+// Builds a created_at filter from ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive)
+const dateRangeFilter = ({ from, to }) => {
+  const range = {};
+  if (from && !isNaN(Date.parse(from))) range.gte = new Date(from);
+  if (to && !isNaN(Date.parse(to))) {
+    const end = new Date(to);
+    end.setUTCHours(23, 59, 59, 999);
+    range.lte = end;
+  }
+  return Object.keys(range).length ? range : undefined;
+};
+
+router.get('/api/admin/messages', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const { read, archived, email } = req.query;
+    // ?email=a&email=b arrives as an array
+    if (email !== undefined && typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email filter must be a single value' });
+    }
+    const where = { is_archived: archived === 'true' };
+    if (read === 'read') where.is_read = true;
+    if (read === 'unread') where.is_read = false;
+    if (email) where.email = { contains: email.trim(), mode: 'insensitive' };
+    const createdAt = dateRangeFilter(req.query);
+    if (createdAt) where.created_at = createdAt;
+
+    const messages = await prisma.contactMessage.findMany({
+      where,
+      include: { replies: { include: REPLY_INCLUDE, orderBy: { created_at: 'asc' } } },
+      orderBy: { created_at: 'desc' }
+    });
+    res.json(messages);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/api/admin/messages/:id', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const { is_read, is_archived } = req.body;
+    const data = {};
+    if (typeof is_read === 'boolean') data.is_read = is_read;
+    if (typeof is_archived === 'boolean') data.is_archived = is_archived;
+    if (!Object.keys(data).length) return res.status(400).json({ message: 'Nothing to update' });
+    await prisma.contactMessage.update({ where: { id: Number(req.params.id) }, data });
+    res.json({ message: 'Message updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Message not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const BULK_MESSAGE_UPDATES = {
+  read: { is_read: true },
+  unread: { is_read: false },
+  archive: { is_archived: true },
+  unarchive: { is_archived: false }
+};
+
+router.post('/api/admin/messages/bulk', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number).filter(Number.isInteger) : [];
+    if (!ids.length) return res.status(400).json({ message: 'No messages selected' });
+    const where = { id: { in: ids } };
+
+    if (action === 'delete') {
+      const { count } = await prisma.contactMessage.deleteMany({ where });
+      return res.json({ count, message: `${count} message(s) deleted` });
+    }
+    if (!BULK_MESSAGE_UPDATES[action]) return res.status(400).json({ message: 'Invalid action' });
+    const { count } = await prisma.contactMessage.updateMany({ where, data: BULK_MESSAGE_UPDATES[action] });
+    res.json({ count, message: `${count} message(s) updated` });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/messages/:id/reply', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (typeof req.body.reply_text !== 'string' || !req.body.reply_text.trim()) {
+      return res.status(400).json({ message: 'Reply cannot be empty' });
+    }
+    const replyText = req.body.reply_text.trim();
+    const message = await prisma.contactMessage.findUnique({ where: { id } });
+    if (!message) return res.status(404).json({ message: 'Message not found' });
+    if (!EMAIL_REGEX.test(message.email)) {
+      return res.status(400).json({ message: 'This message has no valid email address to reply to' });
+    }
+
+    try {
+      await sendMail({
+        to: message.email,
+        subject: `Re: ${message.subject || 'Your message to BUCCUSA'}`,
+        text: `Hello ${message.name},\n\n${replyText}\n\n— BUCCUSA\n\nYour original message:\n${message.message || ''}`,
+        html: `<p>Hello ${escapeHtml(message.name)},</p><p style="white-space:pre-wrap">${escapeHtml(replyText)}</p><p>— BUCCUSA</p><hr><p style="color:#666">Your original message:</p><blockquote style="color:#666;white-space:pre-wrap">${escapeHtml(message.message)}</blockquote>`
+      });
+    } catch (mailError) {
+      console.error('Reply email error:', mailError);
+      return res.status(502).json({ message: 'Failed to send reply email' });
+    }
+
+    const [reply] = await prisma.$transaction([
+      prisma.messageReply.create({
+        data: { contact_message_id: id, reply_text: replyText, replied_by: req.user.id },
+        include: REPLY_INCLUDE
+      }),
+      prisma.contactMessage.update({ where: { id }, data: { is_read: true } })
+    ]);
+    res.json({ reply, message: 'Reply sent successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/messages/:id', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    await prisma.contactMessage.delete({ where: { id: Number(req.params.id) } });
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin partnership requests
+router.get('/api/admin/partnerships', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const { status, search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const where = {};
+    if (PARTNERSHIP_STATUSES.includes(status)) where.status = status;
+    if (search) {
+      where.OR = ['organization_name', 'contact_person', 'email'].map(field => ({
+        [field]: { contains: search, mode: 'insensitive' }
+      }));
+    }
+    const [partnerships, total] = await Promise.all([
+      prisma.partnershipRequest.findMany({ where, orderBy: { created_at: 'desc' }, skip, take: limit }),
+      prisma.partnershipRequest.count({ where })
+    ]);
+    res.json({ partnerships, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/api/admin/partnerships/:id', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const { status, notes, is_read } = req.body;
+    const data = {};
+    if (status !== undefined) {
+      if (!PARTNERSHIP_STATUSES.includes(status)) return res.status(400).json({ message: 'Invalid status' });
+      data.status = status;
+      data.is_read = true;
+    }
+    if (notes !== undefined) {
+      if (!isOptionalString(notes)) return res.status(400).json({ message: 'Notes must be text' });
+      data.notes = notes;
+    }
+    if (typeof is_read === 'boolean') data.is_read = is_read;
+    await prisma.partnershipRequest.update({ where: { id: Number(req.params.id) }, data });
+    res.json({ message: 'Partnership request updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Partnership request not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/partnerships/:id', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    await prisma.partnershipRequest.delete({ where: { id: Number(req.params.id) } });
+    res.json({ message: 'Partnership request deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Partnership request not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin volunteers
+const VOLUNTEER_INCLUDE = {
+  assignments: {
+    include: { event: { select: { id: true, title: true, event_date: true } } },
+    orderBy: { created_at: 'asc' }
+  }
+};
+
+router.get('/api/admin/volunteers', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const { interest, read, search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const where = {};
+    if (interest) where.interests = { contains: interest, mode: 'insensitive' };
+    if (read === 'read') where.is_read = true;
+    if (read === 'unread') where.is_read = false;
+    if (search) {
+      where.OR = ['name', 'email'].map(field => ({ [field]: { contains: search, mode: 'insensitive' } }));
+    }
+    const [volunteers, total] = await Promise.all([
+      prisma.volunteerSubmission.findMany({ where, include: VOLUNTEER_INCLUDE, orderBy: { created_at: 'desc' }, skip, take: limit }),
+      prisma.volunteerSubmission.count({ where })
+    ]);
+    res.json({ volunteers, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.patch('/api/admin/volunteers/:id', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    if (typeof req.body.is_read !== 'boolean') return res.status(400).json({ message: 'is_read must be a boolean' });
+    await prisma.volunteerSubmission.update({ where: { id: Number(req.params.id) }, data: { is_read: req.body.is_read } });
+    res.json({ message: 'Volunteer updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Volunteer not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/volunteers/:id', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    await prisma.volunteerSubmission.delete({ where: { id: Number(req.params.id) } });
+    res.json({ message: 'Volunteer deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Volunteer not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/volunteers/:id/assignments', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const volunteerId = Number(req.params.id);
+    if (!Number.isInteger(volunteerId)) return res.status(404).json({ message: 'Volunteer not found' });
+    const eventId = Number(req.body.event_id);
+    if (!Number.isInteger(eventId)) return res.status(400).json({ message: 'An event is required' });
+    if (!isOptionalString(req.body.role)) return res.status(400).json({ message: 'Role must be text' });
+    const [volunteer, event] = await Promise.all([
+      prisma.volunteerSubmission.findUnique({ where: { id: volunteerId } }),
+      prisma.event.findUnique({ where: { id: eventId } })
+    ]);
+    if (!volunteer) return res.status(404).json({ message: 'Volunteer not found' });
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    await prisma.volunteerAssignment.create({
+      data: { volunteer_id: volunteerId, event_id: eventId, role: req.body.role?.trim() || null }
+    });
+    res.json({ message: `${volunteer.name} assigned to ${event.title}` });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Volunteer is already assigned to this event' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/volunteers/:id/assignments/:eventId', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    await prisma.volunteerAssignment.delete({
+      where: { volunteer_id_event_id: { volunteer_id: Number(req.params.id), event_id: Number(req.params.eventId) } }
+    });
+    res.json({ message: 'Assignment removed successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Assignment not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin contacts directory: everyone who has reached us through any form, de-duplicated by email
+const CONTACT_SOURCES = {
+  contact: {
+    model: 'contactMessage',
+    select: { name: true, email: true, subject: true, message: true, created_at: true },
+    summarize: (row) => ({ name: row.name, subject: row.subject, message: row.message })
+  },
+  partnership: {
+    model: 'partnershipRequest',
+    select: { contact_person: true, organization_name: true, email: true, phone: true, partnership_type: true, message: true, created_at: true },
+    summarize: (row) => ({
+      name: row.contact_person,
+      phone: row.phone,
+      organization: row.organization_name,
+      subject: row.partnership_type ? `Partnership: ${row.partnership_type}` : 'Partnership request',
+      message: row.message
+    })
+  },
+  volunteer: {
+    model: 'volunteerSubmission',
+    select: { name: true, email: true, phone: true, interests: true, experience: true, created_at: true },
+    summarize: (row) => ({
+      name: row.name,
+      phone: row.phone,
+      subject: row.interests ? `Volunteer: ${row.interests}` : 'Volunteer sign-up',
+      message: row.experience
+    })
+  }
+};
+
+router.get('/api/admin/contacts', authenticateToken, requirePermission('messages'), async (req, res) => {
+  try {
+    const { type, search } = req.query;
+    const { page, limit, skip } = getPagination(req.query, 50);
+    const types = CONTACT_SOURCES[type] ? [type] : Object.keys(CONTACT_SOURCES);
+    const createdAt = dateRangeFilter(req.query);
+
+    const contacts = new Map();
+    for (const sourceType of types) {
+      const source = CONTACT_SOURCES[sourceType];
+      const where = {};
+      if (createdAt) where.created_at = createdAt;
+      if (search) {
+        const nameField = sourceType === 'partnership' ? 'contact_person' : 'name';
+        where.OR = [
+          { email: { contains: search, mode: 'insensitive' } },
+          { [nameField]: { contains: search, mode: 'insensitive' } }
+        ];
+      }
+      const rows = await prisma[source.model].findMany({ where, select: source.select, orderBy: { created_at: 'asc' } });
+
+      for (const row of rows) {
+        const email = row.email?.trim().toLowerCase();
+        if (!email) continue;
+        const summary = source.summarize(row);
+        const contact = contacts.get(email) || {
+          email,
+          name: summary.name,
+          phone: null,
+          organization: null,
+          counts: { contact: 0, partnership: 0, volunteer: 0 },
+          total_count: 0,
+          first_contact_at: row.created_at,
+          last_contact_at: row.created_at,
+          latest: null
+        };
+        contact.counts[sourceType] += 1;
+        contact.total_count += 1;
+        contact.phone = summary.phone || contact.phone;
+        contact.organization = summary.organization || contact.organization;
+        if (row.created_at < contact.first_contact_at) contact.first_contact_at = row.created_at;
+        if (row.created_at >= contact.last_contact_at || !contact.latest) {
+          contact.last_contact_at = row.created_at;
+          contact.name = summary.name || contact.name;
+          contact.latest = { type: sourceType, subject: summary.subject, message: summary.message, created_at: row.created_at };
+        }
+        contacts.set(email, contact);
+      }
+    }
+
+    const sorted = [...contacts.values()].sort((a, b) => b.last_contact_at - a.last_contact_at);
+    res.json({
+      contacts: sorted.slice(skip, skip + limit),
+      pagination: paginationMeta(page, limit, sorted.length)
+    });
+  } catch (error) {
+    console.error('Contacts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Additional routes that frontend might expect
+router.get('/leaders', async (req, res) => {
+  try {
+    const leaders = await prisma.leader.findMany({ where: { is_active: true }, orderBy: { order_position: 'asc' } });
+    res.json(leaders);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Event lifecycle. Each event keeps its own IANA timezone; an event without an
+// end date runs until the end of its local day and is past after that.
+const DEFAULT_EVENT_TIMEZONE = 'Africa/Nairobi';
+const EVENT_STATUSES = ['upcoming', 'past'];
+const GALLERY_ORDER = [{ sort_order: 'asc' }, { created_at: 'desc' }];
+const RECAP_PREVIEW_SIZE = 4;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Formatters are cached per zone; building one is far slower than using it and
+// expanding a recurring series asks for many offsets
+const zoneFormatters = new Map();
+const zoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// Milliseconds to add to a UTC instant to get the wall-clock time in `timeZone`
+const timeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    zoneFormatter(timeZone).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Converts a wall-clock time (expressed as a UTC timestamp) in `timeZone` to the
+// real instant. The second pass picks up the right offset when the first guess
+// crosses a DST change.
+const fromWallClock = (wallClock, timeZone) => {
+  const guess = new Date(wallClock - timeZoneOffset(new Date(wallClock), timeZone));
+  return new Date(wallClock - timeZoneOffset(guess, timeZone));
+};
+
+// The admin form sends datetime-local values ("2026-03-10T10:00") which are read
+// as wall-clock time in the event's timezone. Values carrying Z or an offset are
+// taken as-is. Returns null for empty input and undefined when unparseable.
+const parseEventDate = (value, timeZone) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  const wallClock = new Date(`${/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text}Z`);
+  if (Number.isNaN(wallClock.getTime())) return undefined;
+  return fromWallClock(wallClock.getTime(), timeZone);
+};
+
+// Recurring events. A series is an event with a recurrence_frequency; its
+// occurrences are not stored but generated from the first one by stepping the
+// local wall-clock time, so a 10:00 meeting stays at 10:00 across DST changes.
+// A monthly series started on the 31st skips months without that day. Editing a
+// single occurrence stores it as its own event (series_id + occurrence_date),
+// which then replaces the generated occurrence.
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_RECURRENCE_INTERVAL = 99;
+const MAX_RECURRENCE_COUNT = 500;
+// Upper bound on occurrences generated for a single request
+const MAX_OCCURRENCES = 500;
+// Default window GET /events expands series over, either side of now
+const OCCURRENCE_WINDOW_MS = 180 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSeries = (event) => Boolean(event.recurrence_frequency) && !event.occurrence_date;
+
+// Start of the nth occurrence generated by the rule (0 is the event itself), or
+// null when a monthly step lands on a month without the start's day
+const nthOccurrence = (event, n) => {
+  const local = new Date(event.event_date.getTime() + timeZoneOffset(event.event_date, event.timezone));
+  const steps = n * event.recurrence_interval;
+  const [year, month, day] = [local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()];
+  const time = [local.getUTCHours(), local.getUTCMinutes(), local.getUTCSeconds()];
+  let wallClock;
+  if (event.recurrence_frequency === 'monthly') {
+    wallClock = new Date(Date.UTC(year, month + steps, day, ...time));
+    if (wallClock.getUTCDate() !== day) return null;
+  } else {
+    wallClock = new Date(Date.UTC(year, month, day + steps * (event.recurrence_frequency === 'weekly' ? 7 : 1), ...time));
+  }
+  return fromWallClock(wallClock.getTime(), event.timezone);
+};
+
+// End of the occurrence starting at `start`: the event's own length applied to
+// it, or the end of that local day when the event has no end date
+const occurrenceEnd = (event, start) => {
+  if (event.end_date) return new Date(start.getTime() + (event.end_date - event.event_date));
+  const offset = timeZoneOffset(start, event.timezone);
+  const local = new Date(start.getTime() + offset);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), 23, 59, 59, 999) - offset);
+};
+
+// Starts of the series' occurrences that are still running at `from` and begin
+// by `to`. Skipped dates (recurrence_exceptions plus any in `skip`) are left out
+// but still count towards recurrence_count, as they do in iCalendar.
+const expandOccurrences = (event, { from = null, to = null, skip = [] } = {}) => {
+  if (!isSeries(event)) return [event.event_date];
+  const skipped = new Set([...event.recurrence_exceptions, ...skip].map(date => date.getTime()));
+  const duration = occurrenceEnd(event, event.event_date) - event.event_date;
+  let n = 0;
+  // Daily and weekly steps never skip, so jump straight to the window
+  if (from && event.recurrence_frequency !== 'monthly') {
+    const stepMs = event.recurrence_interval * (event.recurrence_frequency === 'weekly' ? 7 : 1) * DAY_MS;
+    n = Math.max(0, Math.floor((from - duration - event.event_date) / stepMs) - 1);
+  }
+  let generated = event.recurrence_frequency === 'monthly' ? 0 : n;
+  const occurrences = [];
+  for (let scanned = 0; occurrences.length < MAX_OCCURRENCES && scanned < MAX_OCCURRENCES * 2; scanned++, n++) {
+    if (event.recurrence_count && generated >= event.recurrence_count) break;
+    const start = nthOccurrence(event, n);
+    if (!start) continue;
+    generated++;
+    if ((event.recurrence_until && start > event.recurrence_until) || (to && start > to)) break;
+    if (skipped.has(start.getTime()) || (from && occurrenceEnd(event, start) < from)) continue;
+    occurrences.push(start);
+  }
+  return occurrences;
+};
+
+const isOccurrenceOf = (event, date) =>
+  expandOccurrences(event, { from: date, to: date }).some(start => start.getTime() === date.getTime());
+
+// A generated occurrence of a series, shaped like an event. It keeps the series'
+// id (so links and photos resolve to the series) and is told apart by series_id === id.
+const occurrenceOf = (event, start) => ({
+  ...event,
+  event_date: start,
+  end_date: event.end_date && new Date(start.getTime() + (event.end_date - event.event_date)),
+  series_id: event.id,
+  occurrence_date: start
+});
+
+// When the event is over. Open-ended series never are; a bounded series ends
+// with its last occurrence.
+const eventEndsAt = (event) => {
+  if (!isSeries(event)) return occurrenceEnd(event, event.event_date);
+  if (event.recurrence_count) {
+    return occurrenceEnd(event, expandOccurrences(event).pop() || event.event_date);
+  }
+  if (!event.recurrence_until) return null;
+  // Only the last couple of steps before the end date can hold the final occurrence
+  const stepDays = event.recurrence_interval * { daily: 1, weekly: 7, monthly: 31 }[event.recurrence_frequency];
+  const last = expandOccurrences(event, { from: new Date(event.recurrence_until - (2 * stepDays + 1) * DAY_MS) }).pop();
+  return last ? occurrenceEnd(event, last) : event.recurrence_until;
+};
+
+const eventStatus = (event, now = new Date()) => {
+  const endsAt = eventEndsAt(event);
+  return endsAt && endsAt < now ? 'past' : 'upcoming';
+};
+
+// Validates and normalises the schedule fields shared by event create and update
+const readEventSchedule = (body) => {
+  const timezone = body.timezone?.trim() || DEFAULT_EVENT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) return { error: 'Unknown timezone' };
+  const eventDate = parseEventDate(body.event_date, timezone);
+  if (!eventDate) return { error: 'A valid event date is required' };
+  const endDate = parseEventDate(body.end_date, timezone);
+  if (endDate === undefined) return { error: 'Invalid end date' };
+  if (endDate && endDate < eventDate) return { error: 'The end date cannot be before the start date' };
+  return { event_date: eventDate, end_date: endDate, timezone };
+};
+
+const readPositiveInt = (value, max) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= max ? number : undefined;
+};
+
+// Validates the repeat rule against an already-read schedule. An empty
+// frequency clears the rule. A date-only end ("2026-12-31") includes that day.
+const readEventRecurrence = (body, schedule) => {
+  const frequency = body.recurrence_frequency || null;
+  if (!frequency) {
+    return { recurrence_frequency: null, recurrence_interval: 1, recurrence_until: null, recurrence_count: null };
+  }
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `Repeat must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+  const interval = body.recurrence_interval ? readPositiveInt(body.recurrence_interval, MAX_RECURRENCE_INTERVAL) : 1;
+  if (!interval) return { error: `The repeat interval must be a whole number from 1 to ${MAX_RECURRENCE_INTERVAL}` };
+  const untilText = body.recurrence_until ? String(body.recurrence_until).trim() : '';
+  const until = parseEventDate(/^\d{4}-\d{2}-\d{2}$/.test(untilText) ? `${untilText}T23:59:59` : untilText, schedule.timezone);
+  if (until === undefined) return { error: 'Invalid repeat end date' };
+  if (until && until < schedule.event_date) return { error: 'The series cannot end before its first date' };
+  const hasCount = body.recurrence_count !== undefined && body.recurrence_count !== null && body.recurrence_count !== '';
+  const count = hasCount ? readPositiveInt(body.recurrence_count, MAX_RECURRENCE_COUNT) : null;
+  if (count === undefined) return { error: `The number of repeats must be a whole number from 1 to ${MAX_RECURRENCE_COUNT}` };
+  if (until && count) return { error: 'A series can end on a date or after a number of repeats, not both' };
+  return { recurrence_frequency: frequency, recurrence_interval: interval, recurrence_until: until, recurrence_count: count };
+};
+
+const publicEvent = (event, now) => {
+  const { photos, _count, ...rest } = event;
+  const result = {
+    ...rest,
+    status: eventStatus(event, now),
+    description_text: markdownToText(event.description)
+  };
+  if (photos) result.photos = photos;
+  if (_count) result.photo_count = _count.photos;
+  return result;
+};
+
+// Start of a window holding at most the last MAX_OCCURRENCES occurrences before
+// `to`. Months are counted as 28 days so a monthly window never holds more than
+// the cap, which would cut off the most recent dates.
+const archiveWindowStart = (event, to) => {
+  const stepDays = { daily: 1, weekly: 7, monthly: 28 }[event.recurrence_frequency];
+  return new Date(to.getTime() - (MAX_OCCURRENCES - 1) * event.recurrence_interval * stepDays * DAY_MS);
+};
+
+// Dates an admin has edited on their own, keyed by series id
+const overriddenDates = (events) => events.reduce((map, event) => {
+  if (event.series_id && event.occurrence_date) {
+    map.set(event.series_id, [...(map.get(event.series_id) || []), event.occurrence_date]);
+  }
+  return map;
+}, new Map());
+
+// Lists one-off events plus the occurrences of each series that fall within
+// ?from=..&to= (180 days either side of now by default). ?status=upcoming lists
+// soonest first; ?status=past is the archive, newest first, with a preview of
+// each event's photo recap. The archive ends now and, unless ?from is given,
+// has no start date: each series contributes its latest occurrences instead. Photos belong to the series rather than any one
+// date, so generated occurrences carry none; editing an occurrence gives it its
+// own event that can have a recap.
+router.get('/events', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${EVENT_STATUSES.join(', ')}` });
+    }
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getTime() - OCCURRENCE_WINDOW_MS);
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : status === 'past' ? now : new Date(now.getTime() + OCCURRENCE_WINDOW_MS);
+    const archive = status === 'past' && !req.query.from;
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+    const photoFilter = { where: { is_active: true } };
+    const events = await prisma.event.findMany({
+      include: status === 'past'
+        ? {
+            photos: { ...photoFilter, orderBy: GALLERY_ORDER, take: RECAP_PREVIEW_SIZE },
+            _count: { select: { photos: photoFilter } }
+          }
+        : undefined
+    });
+    const overrides = overriddenDates(events);
+    const listed = events.flatMap(event => {
+      if (!isSeries(event)) return [publicEvent(event, now)];
+      const { photos, _count, ...series } = event;
+      const windowStart = archive ? archiveWindowStart(series, to) : from;
+      return expandOccurrences(series, { from: windowStart, to, skip: overrides.get(event.id) })
+        .map(start => publicEvent({
+          ...occurrenceOf(series, start),
+          ...(status === 'past' && { photos: [], _count: { photos: 0 } })
+        }, now));
+    });
+    const direction = status === 'upcoming' ? 1 : -1;
+    res.json(
+      listed
+        .filter(event => !status || event.status === status)
+        .sort((a, b) => direction * (a.event_date - b.event_date))
+    );
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// iCalendar export. Times are written in UTC so no VTIMEZONE blocks are needed;
+// calendar apps convert them to the viewer's zone. Events without an end date
+// are given a nominal length so they show up as a block rather than a point.
+// Recurring series are the exception: their times are written in local time
+// with a TZID so repeats keep their wall-clock time across DST changes (the
+// major calendar apps resolve IANA zone names without a VTIMEZONE), and an
+// edited occurrence is exported under the series' UID with a RECURRENCE-ID.
+const DEFAULT_EVENT_DURATION_MS = 2 * 60 * 60 * 1000;
+const ICS_HOST = (() => {
+  try {
+    return new URL(FRONTEND_URL).hostname;
+  } catch (error) {
+    return 'buccusa.org';
+  }
+})();
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// "DTSTART;TZID=Africa/Nairobi:20260310T100000"
+const icsLocalDate = (name, date, timeZone) =>
+  `${name};TZID=${timeZone}:${icsDate(new Date(date.getTime() + timeZoneOffset(date, timeZone))).slice(0, -1)}`;
+
+const icsRecurrence = (event) => [
+  `RRULE:${[
+    `FREQ=${event.recurrence_frequency.toUpperCase()}`,
+    event.recurrence_interval > 1 && `INTERVAL=${event.recurrence_interval}`,
+    event.recurrence_until && `UNTIL=${icsDate(event.recurrence_until)}`,
+    event.recurrence_count && `COUNT=${event.recurrence_count}`
+  ].filter(Boolean).join(';')}`,
+  ...event.recurrence_exceptions.map(date => icsLocalDate('EXDATE', date, event.timezone))
+];
+
+const icsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldIcsLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// `series` is passed for an edited occurrence whose series is in the same calendar
+const icsEvent = (event, series = null) => {
+  const url = `${FRONTEND_URL}/events/${encodeURIComponent(event.slug || event.id)}`;
+  const end = event.end_date || new Date(event.event_date.getTime() + DEFAULT_EVENT_DURATION_MS);
+  const description = [markdownToText(event.description), url].filter(Boolean).join('\n\n');
+  const local = isSeries(event) || series;
+  const timeZone = series ? series.timezone : event.timezone;
+  return [
+    'BEGIN:VEVENT',
+    `UID:event-${series ? series.id : event.id}@${ICS_HOST}`,
+    `DTSTAMP:${icsDate(event.updated_at)}`,
+    local ? icsLocalDate('DTSTART', event.event_date, timeZone) : `DTSTART:${icsDate(event.event_date)}`,
+    local ? icsLocalDate('DTEND', end, timeZone) : `DTEND:${icsDate(end)}`,
+    ...(isSeries(event) ? icsRecurrence(event) : []),
+    series && icsLocalDate('RECURRENCE-ID', event.occurrence_date, series.timezone),
+    `SUMMARY:${icsText(event.title)}`,
+    event.location && `LOCATION:${icsText(event.location)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `URL:${url}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+const toIcs = (events, name) => {
+  const seriesById = new Map(events.filter(isSeries).map(event => [event.id, event]));
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BUCCUSA//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    ...events.flatMap(event => icsEvent(event, event.occurrence_date && seriesById.get(event.series_id))),
+    'END:VCALENDAR'
+  ].map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+const sendIcs = (res, filename, body) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(body);
+};
+
+router.get('/events.ics', async (req, res) => {
+  try {
+    const events = await prisma.event.findMany({ orderBy: { event_date: 'asc' } });
+    sendIcs(res, 'buccusa-events.ics', toIcs(events, 'BUCCUSA Events'));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Registered ahead of /events/:slug, which would otherwise capture "<slug>.ics"
+router.get('/events/:slug.ics', async (req, res) => {
+  try {
+    const { record: event, redirected } = await findBySlug('event', req.params.slug);
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    if (redirected) return res.redirect(301, `${req.baseUrl}/events/${encodeURIComponent(event.slug || event.id)}.ics`);
+    const overrides = isSeries(event) ? await prisma.event.findMany({ where: { series_id: event.id } }) : [];
+    sendIcs(res, `${event.slug || `event-${event.id}`}.ics`, toIcs([event, ...overrides], event.title));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const UPCOMING_DATES_SHOWN = 6;
+
+const eventDateSummary = ({ id, slug, series_id, occurrence_date, event_date, end_date, timezone }) =>
+  ({ id, slug, series_id, occurrence_date, event_date, end_date, timezone });
+
+// The next few dates of a series, counting occurrences edited on their own
+const upcomingDates = (series, overrides, now = new Date()) => [
+  ...expandOccurrences(series, { from: now, skip: overrides.map(override => override.occurrence_date) })
+    .slice(0, UPCOMING_DATES_SHOWN)
+    .map(start => occurrenceOf(series, start)),
+  ...overrides.filter(override => eventStatus(override, now) === 'upcoming')
+]
+  .sort((a, b) => a.event_date - b.event_date)
+  .slice(0, UPCOMING_DATES_SHOWN)
+  .map(eventDateSummary);
+
+// ?occurrence=<ISO start> shows one date of a recurring series
+router.get('/events/:slug', async (req, res) => {
+  try {
+    const { occurrence } = req.query;
+    const query = occurrence ? `?occurrence=${encodeURIComponent(occurrence)}` : '';
+    const { record: event, redirected } = await findBySlug('event', req.params.slug);
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    if (redirected) return res.redirect(301, `${req.baseUrl}/events/${encodeURIComponent(event.slug || event.id)}${query}`);
+
+    const [photos, counts, overrides, series] = await Promise.all([
+      prisma.gallery.findMany({ where: { event_id: event.id, is_active: true }, orderBy: GALLERY_ORDER }),
+      rsvpCounts(event.id),
+      isSeries(event) ? prisma.event.findMany({ where: { series_id: event.id } }) : [],
+      event.series_id
+        ? prisma.event.findUnique({
+            where: { id: event.series_id },
+            select: { id: true, slug: true, title: true, recurrence_frequency: true, recurrence_interval: true }
+          })
+        : null
+    ]);
+
+    let shown = event;
+    if (occurrence && isSeries(event)) {
+      const date = new Date(occurrence);
+      if (Number.isNaN(date.getTime())) return res.status(400).json({ message: 'Invalid occurrence date' });
+      const override = overrides.find(item => item.occurrence_date.getTime() === date.getTime());
+      if (override) return res.redirect(301, `${req.baseUrl}/events/${encodeURIComponent(override.slug || override.id)}`);
+      if (event.recurrence_exceptions.some(skipped => skipped.getTime() === date.getTime())) {
+        return res.status(404).json({ message: 'This date has been cancelled' });
+      }
+      if (!isOccurrenceOf(event, date)) return res.status(404).json({ message: 'Event not found' });
+      shown = occurrenceOf(event, date);
+    }
+
+    res.json({
+      ...publicEvent({ ...shown, photos }),
+      description_html: renderMarkdown(event.description),
+      registration: registrationInfo(event, counts),
+      series: series && series.recurrence_frequency ? series : null,
+      upcoming_dates: isSeries(event) ? upcomingDates(event, overrides) : []
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin events
+// Membership secretaries read the list too, to assign volunteers to events
+router.get('/api/admin/events', authenticateToken, requirePermission('content', 'members'), async (req, res) => {
+  try {
+    const [events, rsvpGroups] = await Promise.all([
+      prisma.event.findMany({
+        orderBy: { event_date: 'desc' },
+        include: {
+          series: { select: { id: true, title: true } },
+          _count: { select: { photos: true } }
+        }
+      }),
+      prisma.rsvp.groupBy({ by: ['event_id', 'status'], _count: { _all: true } })
+    ]);
+    const rsvpCount = (eventId, status) =>
+      rsvpGroups.find(group => group.event_id === eventId && group.status === status)?._count._all || 0;
+    const now = new Date();
+    res.json(events.map(({ _count, ...event }) => ({
+      ...event,
+      status: eventStatus(event, now),
+      photo_count: _count.photos,
+      rsvp_confirmed: rsvpCount(event.id, 'confirmed'),
+      rsvp_waitlisted: rsvpCount(event.id, 'waitlisted')
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/events', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    const { title, slug, description, location, image_url, registration_open } = req.body;
+    const schedule = readEventSchedule(req.body);
+    if (schedule.error) return res.status(400).json({ message: schedule.error });
+    const recurrence = readEventRecurrence(req.body, schedule);
+    if (recurrence.error) return res.status(400).json({ message: recurrence.error });
+    const capacity = readEventCapacity(req.body.capacity);
+    if (capacity === undefined) return res.status(400).json({ message: 'Capacity must be a positive whole number' });
+    const event = await withUniqueSlug('event', slug || title, (eventSlug) => prisma.event.create({
+      data: {
+        title,
+        slug: eventSlug,
+        description,
+        ...schedule,
+        ...recurrence,
+        location,
+        image_url,
+        capacity,
+        registration_open: registration_open ?? true
+      }
+    }));
+    await recordRevision('event', { after: event, adminId: req.user.id, action: 'create' });
+    res.json({ id: event.id, slug: event.slug, message: 'Event created successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/api/admin/events/:id', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    const { title, slug, description, location, image_url, registration_open } = req.body;
+    const schedule = readEventSchedule(req.body);
+    if (schedule.error) return res.status(400).json({ message: schedule.error });
+    const recurrence = readEventRecurrence(req.body, schedule);
+    if (recurrence.error) return res.status(400).json({ message: recurrence.error });
+    const capacity = readEventCapacity(req.body.capacity);
+    if (capacity === undefined) return res.status(400).json({ message: 'Capacity must be a positive whole number' });
+    const current = await prisma.event.findUnique({ where: { id: Number(req.params.id) } });
+    if (!current) return res.status(404).json({ message: 'Event not found' });
+    if (current.series_id && recurrence.recurrence_frequency) {
+      return res.status(400).json({ message: 'A date edited on its own cannot have its own repeat rule' });
+    }
+    const slugChange = await slugUpdate('event', current, { title, slug });
+    // Editing a series edits every date except those that were edited on their own
+    const results = await prisma.$transaction([
+      ...slugChange.operations,
+      prisma.event.update({
+        where: { id: current.id },
+        data: { title, slug: slugChange.slug, description, ...schedule, ...recurrence, location, image_url, capacity, registration_open }
+      })
+    ]);
+    // Raising or removing the cap lets waitlisted attendees in
+    if (current.capacity !== null && (capacity === null || capacity > current.capacity)) {
+      await releaseSeats(current.id);
+    }
+    await recordRevision('event', { before: current, after: results[results.length - 1], adminId: req.user.id, action: 'update' });
+    res.json({ slug: slugChange.slug, message: 'Event updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'That slug is already in use' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/api/admin/events/:id/revisions', authenticateToken, requirePermission('content'), listRevisions('event'));
+router.post('/api/admin/events/:id/revisions/:revisionId/restore', authenticateToken, requirePermission('content'), restoreRevision('event'));
+
+// Deleting a date that was edited on its own cancels it, rather than bringing
+// back the generated occurrence it replaced
+router.delete('/api/admin/events/:id', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({ where: { id: Number(req.params.id) } });
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    await prisma.$transaction([
+      prisma.event.delete({ where: { id: event.id } }),
+      ...(event.series_id && event.occurrence_date
+        ? [prisma.event.update({
+            where: { id: event.series_id },
+            data: { recurrence_exceptions: { push: event.occurrence_date } }
+          })]
+        : [])
+    ]);
+    res.json({ message: 'Event deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Single dates of a recurring series. Admins can skip a date, bring it back, or
+// edit it on its own: that copies it into a separate event which replaces the
+// generated occurrence and has its own registrations and photo recap.
+const OCCURRENCE_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const OCCURRENCE_LOOKAHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+const findSeries = async (id) => {
+  const event = await prisma.event.findUnique({ where: { id: Number(id) } });
+  return event && isSeries(event) ? event : null;
+};
+
+const occurrenceDateLabel = (event, date) => new Intl.DateTimeFormat('en-CA', { timeZone: event.timezone }).format(date);
+
+// Lists the series' dates between ?from and ?to (the last 30 days to a year
+// ahead by default), including skipped and separately edited ones
+router.get('/api/admin/events/:id/occurrences', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const { username, password } = req.body;
-    const admin = await prisma.admin.findUnique({ where: { username } });
-    if (!admin || !await bcrypt.compare(password, admin.password_hash)) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ message: 'Recurring event not found' });
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getTime() - OCCURRENCE_LOOKBACK_MS);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now.getTime() + OCCURRENCE_LOOKAHEAD_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
     }
-    const token = jwt.sign({ id: admin.id, username: admin.username }, process.env.JWT_SECRET || 'fallback-secret');
-    res.json({ token, admin: { id: admin.id, username: admin.username, email: admin.email } });
+    const overrides = await prisma.event.findMany({
+      where: { series_id: series.id },
+      select: { id: true, slug: true, title: true, event_date: true, end_date: true, occurrence_date: true }
+    });
+    const skipped = new Set(series.recurrence_exceptions.map(date => date.getTime()));
+    const occurrences = expandOccurrences({ ...series, recurrence_exceptions: [] }, { from, to }).map(start => {
+      const override = overrides.find(item => item.occurrence_date.getTime() === start.getTime()) || null;
+      const occurrence = occurrenceOf(series, start);
+      return {
+        occurrence_date: start,
+        event_date: start,
+        end_date: occurrence.end_date,
+        status: override ? 'edited' : skipped.has(start.getTime()) ? 'skipped' : 'scheduled',
+        past: eventStatus(occurrence, now) === 'past',
+        override
+      };
+    });
+    res.json({ timezone: series.timezone, occurrences });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Public routes
-router.get('/programs', async (req, res) => {
+router.post('/api/admin/events/:id/occurrences', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const programs = await prisma.program.findMany({ where: { is_active: true } });
-    res.json(programs);
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ message: 'Recurring event not found' });
+    const occurrenceDate = new Date(req.body.occurrence_date);
+    if (Number.isNaN(occurrenceDate.getTime()) || !isOccurrenceOf({ ...series, recurrence_exceptions: [] }, occurrenceDate)) {
+      return res.status(400).json({ message: 'That date is not part of this series' });
+    }
+    const { title, slug, description, location, image_url, registration_open } = req.body;
+    const schedule = readEventSchedule(req.body);
+    if (schedule.error) return res.status(400).json({ message: schedule.error });
+    const capacity = readEventCapacity(req.body.capacity);
+    if (capacity === undefined) return res.status(400).json({ message: 'Capacity must be a positive whole number' });
+    const eventTitle = title || series.title;
+    const slugSource = slug || `${eventTitle} ${occurrenceDateLabel(series, occurrenceDate)}`;
+    const [event] = await withUniqueSlug('event', slugSource, (eventSlug) => prisma.$transaction([
+      prisma.event.create({
+        data: {
+          title: eventTitle,
+          slug: eventSlug,
+          description: description ?? series.description,
+          ...schedule,
+          location: location ?? series.location,
+          image_url: image_url ?? series.image_url,
+          capacity,
+          registration_open: registration_open ?? true,
+          series_id: series.id,
+          occurrence_date: occurrenceDate
+        }
+      }),
+      // An edited date replaces a skipped one
+      prisma.event.update({
+        where: { id: series.id },
+        data: {
+          recurrence_exceptions: series.recurrence_exceptions.filter(date => date.getTime() !== occurrenceDate.getTime())
+        }
+      })
+    ]));
+    await recordRevision('event', { after: event, adminId: req.user.id, action: 'create' });
+    res.json({ id: event.id, slug: event.slug, message: 'Date updated successfully' });
   } catch (error) {
+    if (error.code === 'P2002' && !isSlugConflict(error)) return res.status(409).json({ message: 'This date has already been edited' });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.get('/testimonials', async (req, res) => {
+router.post('/api/admin/events/:id/exceptions', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const testimonials = await prisma.testimonial.findMany({ where: { is_active: true } });
-    res.json(testimonials);
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ message: 'Recurring event not found' });
+    const date = new Date(req.body.occurrence_date);
+    if (Number.isNaN(date.getTime()) || !isOccurrenceOf({ ...series, recurrence_exceptions: [] }, date)) {
+      return res.status(400).json({ message: 'That date is not part of this series' });
+    }
+    if (!series.recurrence_exceptions.some(skipped => skipped.getTime() === date.getTime())) {
+      await prisma.event.update({ where: { id: series.id }, data: { recurrence_exceptions: { push: date } } });
+    }
+    res.json({ message: 'Date skipped' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.get('/posts', async (req, res) => {
+router.delete('/api/admin/events/:id/exceptions/:occurrence', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const posts = await prisma.post.findMany({ where: { published: true }, orderBy: { created_at: 'desc' } });
-    res.json(posts);
+    const series = await findSeries(req.params.id);
+    if (!series) return res.status(404).json({ message: 'Recurring event not found' });
+    const date = new Date(req.params.occurrence);
+    await prisma.event.update({
+      where: { id: series.id },
+      data: { recurrence_exceptions: series.recurrence_exceptions.filter(skipped => skipped.getTime() !== date.getTime()) }
+    });
+    res.json({ message: 'Date restored' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.post('/contact', async (req, res) => {
+// Event registration (RSVP). Confirmed places are capped by event.capacity; once
+// an event is full, new registrations join a first-come waitlist that is
+// promoted automatically as places free up.
+const RSVP_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+
+const hashRsvpToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Cancel tokens are only stored hashed, so each email that needs a cancel link
+// issues a fresh token and replaces the stored hash
+const issueRsvpToken = () => {
+  const token = crypto.randomBytes(24).toString('hex');
+  return { token, hash: hashRsvpToken(token) };
+};
+
+// Check-in codes are what each attendee's QR ticket encodes. They avoid look-alike
+// characters (0/O, 1/I) so they can also be read out and typed at the door.
+const CHECK_IN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CHECK_IN_CODE_LENGTH = 8;
+
+const generateCheckInCode = () => Array.from(
+  crypto.randomBytes(CHECK_IN_CODE_LENGTH),
+  byte => CHECK_IN_ALPHABET[byte % CHECK_IN_ALPHABET.length]
+).join('');
+
+// Accepts scanner output or hand-typed input such as "k7f3-9qxp"
+const normalizeCheckInCode = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const formatCheckInCode = (code) => code && `${code.slice(0, 4)}-${code.slice(4)}`;
+
+// Returns null for "unlimited", undefined when the value is not a positive whole number
+const readEventCapacity = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const capacity = Number(value);
+  return Number.isInteger(capacity) && capacity > 0 ? capacity : undefined;
+};
+
+const rsvpCounts = async (eventId) => {
+  const groups = await prisma.rsvp.groupBy({ by: ['status'], where: { event_id: eventId }, _count: { _all: true } });
+  const counts = Object.fromEntries(RSVP_STATUSES.map(status => [status, 0]));
+  groups.forEach(group => { counts[group.status] = group._count._all; });
+  return counts;
+};
+
+// Registrations belong to a single event row, and capacity, tickets and check-in
+// all assume one date, so recurring series do not take them. A date edited on its
+// own is a separate event and can.
+const isRegistrationOpen = (event) => !event.recurrence_frequency && event.registration_open && eventStatus(event) === 'upcoming';
+
+const registrationInfo = (event, counts) => ({
+  open: isRegistrationOpen(event),
+  capacity: event.capacity,
+  confirmed: counts.confirmed,
+  waitlisted: counts.waitlisted,
+  spots_left: event.capacity === null ? null : Math.max(event.capacity - counts.confirmed, 0)
+});
+
+const RECURRENCE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+const formatEventWhen = (event) => {
+  const when = event.event_date.toLocaleString('en-US', { timeZone: event.timezone, dateStyle: 'full', timeStyle: 'short' });
+  if (!isSeries(event)) return `${when} (${event.timezone})`;
+  const unit = RECURRENCE_UNITS[event.recurrence_frequency];
+  const every = event.recurrence_interval > 1 ? `${event.recurrence_interval} ${unit}s` : unit;
+  return `${when} (${event.timezone}), then every ${every}`;
+};
+
+const RSVP_EMAILS = {
+  confirmed: {
+    subject: (event) => `You're registered: ${event.title}`,
+    body: () => 'Your place is confirmed. We look forward to seeing you there.',
+    ticket: true
+  },
+  waitlisted: {
+    subject: (event) => `You're on the waitlist: ${event.title}`,
+    body: (position) => `This event is currently full, so you have been added to the waitlist (position ${position}). We will email you as soon as a place opens up.`
+  },
+  promoted: {
+    subject: (event) => `A place opened up: ${event.title}`,
+    body: () => 'Good news — a place has opened up and your registration is now confirmed.',
+    ticket: true
+  }
+};
+
+// Confirmation emails are best-effort: a mail failure is logged but never undoes the registration
+const sendRsvpEmail = async (kind, { rsvp, event, token, position }) => {
+  const template = RSVP_EMAILS[kind];
+  const eventUrl = `${FRONTEND_URL}/events/${encodeURIComponent(event.slug || event.id)}`;
+  const manageUrl = `${FRONTEND_URL}/rsvp?token=${token}`;
+  const when = formatEventWhen(event);
+  const details = [`When: ${when}`, event.location && `Where: ${event.location}`].filter(Boolean);
+  const code = template.ticket && formatCheckInCode(rsvp.check_in_code);
   try {
-    const { name, email, subject, message } = req.body;
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({ message: 'All fields are required' });
+    await sendMail({
+      to: rsvp.email,
+      subject: template.subject(event),
+      text: `Hello ${rsvp.name},\n\n${template.body(position)}\n\n${event.title}\n${details.join('\n')}\n${eventUrl}\n\n${code ? `Your check-in code is ${code}. Show it, or the QR code on your ticket page, at the entrance.\n\n` : ''}View your ticket or cancel your registration so someone else can have your place:\n${manageUrl}\n\n— BUCCUSA`,
+      html: `<p>Hello ${escapeHtml(rsvp.name)},</p><p>${escapeHtml(template.body(position))}</p><p><strong><a href="${eventUrl}">${escapeHtml(event.title)}</a></strong><br>${details.map(escapeHtml).join('<br>')}</p>${code ? `<p>Show this QR code at the entrance:</p><p><img src="cid:ticket-qr" alt="Check-in QR code" width="200" height="200"></p><p>Check-in code: <strong>${code}</strong></p>` : ''}<p><a href="${manageUrl}">View your ticket</a> — or cancel your registration there if you can't make it, so someone else can have your place.</p><p>— BUCCUSA</p>`,
+      attachments: code
+        ? [{ filename: 'ticket.png', content: await QRCode.toBuffer(rsvp.check_in_code, { width: 400, margin: 1 }), cid: 'ticket-qr' }]
+        : undefined
+    });
+  } catch (error) {
+    console.error('RSVP email error:', error);
+  }
+};
+
+const waitlistPosition = (rsvp) => prisma.rsvp.count({
+  where: { event_id: rsvp.event_id, status: 'waitlisted', created_at: { lte: rsvp.created_at } }
+});
+
+// Row lock on the event so concurrent registrations cannot both take the last place
+const lockEvent = (tx, eventId) => tx.$queryRaw`SELECT id FROM events WHERE id = ${eventId} FOR UPDATE`;
+
+// Moves the oldest waitlisted registrations into any free places and emails them.
+// `excludeId` keeps a registration an admin has just moved to the waitlist there.
+const releaseSeats = async (eventId, excludeId = null) => {
+  const { event, promoted } = await prisma.$transaction(async (tx) => {
+    await lockEvent(tx, eventId);
+    const event = await tx.event.findUnique({ where: { id: eventId } });
+    if (!event) return { event, promoted: [] };
+    const confirmed = await tx.rsvp.count({ where: { event_id: eventId, status: 'confirmed' } });
+    const free = event.capacity === null ? undefined : event.capacity - confirmed;
+    if (free !== undefined && free <= 0) return { event, promoted: [] };
+
+    const waiting = await tx.rsvp.findMany({
+      where: { event_id: eventId, status: 'waitlisted', ...(excludeId && { id: { not: excludeId } }) },
+      orderBy: { created_at: 'asc' },
+      take: free
+    });
+    const promoted = [];
+    for (const rsvp of waiting) {
+      const { token, hash } = issueRsvpToken();
+      promoted.push({
+        token,
+        rsvp: await tx.rsvp.update({
+          where: { id: rsvp.id },
+          data: { status: 'confirmed', cancel_token_hash: hash, check_in_code: rsvp.check_in_code || generateCheckInCode() }
+        })
+      });
     }
-    await prisma.contactMessage.create({ data: { name, email, subject, message } });
-    res.json({ message: 'Message sent successfully' });
+    return { event, promoted };
+  });
+  await Promise.all(promoted.map(({ rsvp, token }) => sendRsvpEmail('promoted', { rsvp, event, token })));
+  return promoted.length;
+};
+
+router.post('/events/:id/rsvps', async (req, res) => {
+  try {
+    if (![req.body.name, req.body.email].every(value => typeof value === 'string' && value.trim())) {
+      return res.status(400).json({ message: 'Name and email are required' });
+    }
+    if (!isOptionalString(req.body.phone)) return res.status(400).json({ message: 'Phone must be text' });
+    const name = req.body.name.trim();
+    const email = req.body.email.trim().toLowerCase();
+    if (!EMAIL_REGEX.test(email)) return res.status(400).json({ message: 'A valid email is required' });
+
+    const eventId = Number(req.params.id);
+    const event = Number.isInteger(eventId) ? await prisma.event.findUnique({ where: { id: eventId } }) : null;
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    if (event.recurrence_frequency) {
+      return res.status(400).json({ message: 'Registration is not available for recurring events' });
+    }
+    if (!isRegistrationOpen(event)) {
+      return res.status(400).json({ message: 'Registration for this event is closed' });
+    }
+    const existing = await prisma.rsvp.findUnique({ where: { event_id_email: { event_id: event.id, email } } });
+    if (existing && existing.status !== 'cancelled') {
+      return res.status(409).json({
+        message: existing.status === 'confirmed'
+          ? 'This email is already registered for this event'
+          : 'This email is already on the waitlist for this event'
+      });
+    }
+
+    const { token, hash } = issueRsvpToken();
+    const rsvp = await prisma.$transaction(async (tx) => {
+      await lockEvent(tx, event.id);
+      const confirmed = await tx.rsvp.count({ where: { event_id: event.id, status: 'confirmed' } });
+      const data = {
+        name,
+        email,
+        phone: req.body.phone?.trim() || null,
+        status: event.capacity === null || confirmed < event.capacity ? 'confirmed' : 'waitlisted',
+        cancel_token_hash: hash,
+        check_in_code: existing?.check_in_code || generateCheckInCode(),
+        checked_in_at: null,
+        checked_in_by: null
+      };
+      // Registering again after cancelling goes to the back of the queue
+      return existing
+        ? tx.rsvp.update({ where: { id: existing.id }, data: { ...data, created_at: new Date() } })
+        : tx.rsvp.create({ data: { ...data, event_id: event.id } });
+    });
+
+    if (rsvp.status === 'confirmed') {
+      await sendRsvpEmail('confirmed', { rsvp, event, token });
+      return res.json({ status: rsvp.status, message: `You're registered for ${event.title}! A confirmation has been sent to ${email}.` });
+    }
+    const position = await waitlistPosition(rsvp);
+    await sendRsvpEmail('waitlisted', { rsvp, event, token, position });
+    res.json({
+      status: rsvp.status,
+      position,
+      message: `This event is full, so you've been added to the waitlist (position ${position}). We'll email you if a place opens up.`
+    });
   } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'This email is already registered for this event' });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin dashboard
-router.get('/api/admin/dashboard', authenticateToken, async (req, res) => {
+// Lookup and cancellation through the link in the confirmation email
+router.get('/rsvps/:token', async (req, res) => {
   try {
-    const stats = {
-      unread_messages: await prisma.contactMessage.count({ where: { is_read: false } }),
-      total_messages: await prisma.contactMessage.count(),
-      published_posts: await prisma.post.count({ where: { published: true } }),
-      total_posts: await prisma.post.count(),
-      total_events: await prisma.event.count(),
-      active_programs: await prisma.program.count({ where: { is_active: true } }),
-      total_programs: await prisma.program.count(),
-      total_testimonials: await prisma.testimonial.count(),
-      total_stats: await prisma.impactStat.count(),
-      active_leaders: await prisma.leader.count({ where: { is_active: true } }),
-      active_members: await prisma.member.count({ where: { is_active: true } })
-    };
-    const recentContacts = await prisma.contactMessage.findMany({
-      select: { id: true, name: true, email: true, subject: true, created_at: true },
-      orderBy: { created_at: 'desc' },
-      take: 5
+    const rsvp = await prisma.rsvp.findUnique({
+      where: { cancel_token_hash: hashRsvpToken(req.params.token) },
+      include: { event: { select: { id: true, slug: true, title: true, event_date: true, end_date: true, timezone: true, location: true } } }
     });
-    res.json({ stats, recentContacts });
+    if (!rsvp) return res.status(404).json({ message: 'This registration link is invalid or has expired' });
+    const ticket = rsvp.status === 'confirmed' && rsvp.check_in_code
+      ? {
+          code: formatCheckInCode(rsvp.check_in_code),
+          qr_code: await QRCode.toDataURL(rsvp.check_in_code, { width: 320, margin: 1 }),
+          checked_in_at: rsvp.checked_in_at
+        }
+      : null;
+    res.json({ name: rsvp.name, status: rsvp.status, event: rsvp.event, ticket });
   } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin messages
-router.get('/api/admin/messages', authenticateToken, async (req, res) => {
+router.post('/rsvps/:token/cancel', async (req, res) => {
   try {
-    const messages = await prisma.contactMessage.findMany({ orderBy: { created_at: 'desc' } });
-    res.json(messages);
+    const rsvp = await prisma.rsvp.findUnique({ where: { cancel_token_hash: hashRsvpToken(req.params.token) } });
+    if (!rsvp) return res.status(404).json({ message: 'This registration link is invalid or has expired' });
+    if (rsvp.status === 'cancelled') return res.json({ message: 'Your registration was already cancelled' });
+    await prisma.rsvp.update({ where: { id: rsvp.id }, data: { status: 'cancelled' } });
+    if (rsvp.status === 'confirmed') await releaseSeats(rsvp.event_id);
+    res.json({ message: 'Your registration has been cancelled' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.delete('/api/admin/messages/:id', authenticateToken, async (req, res) => {
+// Admin attendee lists
+const RSVP_ORDER = [{ status: 'asc' }, { created_at: 'asc' }];
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Stop spreadsheet apps from evaluating attendee-supplied text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+
+const adminRsvp = ({ cancel_token_hash, check_in_code, ...rsvp }) => ({
+  ...rsvp,
+  check_in_code: formatCheckInCode(check_in_code)
+});
+
+router.get('/api/admin/events/:id/rsvps', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    await prisma.contactMessage.delete({ where: { id: Number(req.params.id) } });
-    res.json({ message: 'Message deleted successfully' });
+    const event = await prisma.event.findUnique({ where: { id: Number(req.params.id) } });
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    const where = { event_id: event.id };
+    if (RSVP_STATUSES.includes(req.query.status)) where.status = req.query.status;
+    const [rsvps, counts, checkedIn] = await Promise.all([
+      prisma.rsvp.findMany({
+        where,
+        include: { checked_in_admin: { select: { id: true, username: true } } },
+        orderBy: RSVP_ORDER
+      }),
+      rsvpCounts(event.id),
+      prisma.rsvp.count({ where: { event_id: event.id, status: 'confirmed', checked_in_at: { not: null } } })
+    ]);
+    res.json({
+      event: { ...event, status: eventStatus(event), registration: registrationInfo(event, counts) },
+      counts: { ...counts, checked_in: checkedIn },
+      rsvps: rsvps.map(adminRsvp)
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Additional routes that frontend might expect
-router.get('/leaders', async (req, res) => {
+router.get('/api/admin/events/:id/rsvps/export', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const leaders = await prisma.leader.findMany({ where: { is_active: true }, orderBy: { order_position: 'asc' } });
-    res.json(leaders);
+    const event = await prisma.event.findUnique({ where: { id: Number(req.params.id) } });
+    if (!event) return res.status(404).json({ message: 'Event not found' });
+    const rsvps = await prisma.rsvp.findMany({ where: { event_id: event.id }, orderBy: RSVP_ORDER });
+    const csv = toCsv([
+      ['Name', 'Email', 'Phone', 'Status', 'Registered At', 'Check-in Code', 'Checked In At'],
+      ...rsvps.map(rsvp => [
+        rsvp.name,
+        rsvp.email,
+        rsvp.phone,
+        rsvp.status,
+        rsvp.created_at.toISOString(),
+        formatCheckInCode(rsvp.check_in_code),
+        rsvp.checked_in_at?.toISOString()
+      ])
+    ]);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${event.slug || `event-${event.id}`}-attendees.csv"`);
+    res.send(csv);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.get('/events', async (req, res) => {
+router.patch('/api/admin/rsvps/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const events = await prisma.event.findMany({ orderBy: { event_date: 'desc' } });
-    res.json(events);
+    const { status } = req.body;
+    if (!RSVP_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${RSVP_STATUSES.join(', ')}` });
+    }
+    const current = await prisma.rsvp.findUnique({ where: { id: Number(req.params.id) }, include: { event: true } });
+    if (!current) return res.status(404).json({ message: 'Registration not found' });
+    if (current.status === status) return res.json({ message: 'Registration unchanged' });
+    if (status === 'waitlisted' && current.event.capacity === null) {
+      return res.status(400).json({ message: 'An event without a capacity has no waitlist' });
+    }
+
+    // Confirming by hand may go over capacity; admins can make room for speakers or guests
+    const { token, hash } = issueRsvpToken();
+    const rsvp = await prisma.rsvp.update({
+      where: { id: current.id },
+      data: status === 'confirmed'
+        ? { status, cancel_token_hash: hash, check_in_code: current.check_in_code || generateCheckInCode() }
+        : { status }
+    });
+    if (status === 'confirmed') await sendRsvpEmail('promoted', { rsvp, event: current.event, token });
+    const promoted = current.status === 'confirmed' ? await releaseSeats(current.event_id, current.id) : 0;
+    res.json({
+      message: promoted
+        ? `Registration marked ${status}; ${promoted} waitlisted attendee(s) confirmed`
+        : `Registration marked ${status}`
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin events
-router.get('/api/admin/events', authenticateToken, async (req, res) => {
+router.delete('/api/admin/rsvps/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const events = await prisma.event.findMany({ orderBy: { event_date: 'desc' } });
-    res.json(events);
+    const rsvp = await prisma.rsvp.delete({ where: { id: Number(req.params.id) } });
+    if (rsvp.status === 'confirmed') await releaseSeats(rsvp.event_id);
+    res.json({ message: 'Registration deleted successfully' });
   } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Registration not found' });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.post('/api/admin/events', authenticateToken, async (req, res) => {
+// Door check-in. Codes come from a scanned QR ticket or are typed in by hand;
+// event_id, when sent, rejects tickets for a different event.
+const checkInSummary = (rsvp, event) => ({
+  id: rsvp.id,
+  name: rsvp.name,
+  email: rsvp.email,
+  status: rsvp.status,
+  check_in_code: formatCheckInCode(rsvp.check_in_code),
+  checked_in_at: rsvp.checked_in_at,
+  event
+});
+
+const checkIn = async (rsvp, adminId) => {
+  // Only the first of two simultaneous scans of the same ticket wins
+  const { count } = await prisma.rsvp.updateMany({
+    where: { id: rsvp.id, checked_in_at: null },
+    data: { checked_in_at: new Date(), checked_in_by: adminId }
+  });
+  return count === 1 ? prisma.rsvp.findUnique({ where: { id: rsvp.id } }) : null;
+};
+
+router.post('/api/admin/check-in', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const { title, description, event_date, location, image_url, is_upcoming } = req.body;
-    const event = await prisma.event.create({
-      data: { title, description, event_date: new Date(event_date), location, image_url, is_upcoming: is_upcoming ?? true }
+    const code = normalizeCheckInCode(req.body.code);
+    if (!code) return res.status(400).json({ message: 'A check-in code is required' });
+    const rsvp = await prisma.rsvp.findUnique({
+      where: { check_in_code: code },
+      include: { event: { select: { id: true, title: true } } }
     });
-    res.json({ id: event.id, message: 'Event created successfully' });
+    if (!rsvp) return res.status(404).json({ message: 'No registration matches this code' });
+    const attendee = checkInSummary(rsvp, rsvp.event);
+    if (req.body.event_id && rsvp.event_id !== Number(req.body.event_id)) {
+      return res.status(400).json({ message: `This ticket is for ${rsvp.event.title}`, attendee });
+    }
+    if (rsvp.status !== 'confirmed') {
+      return res.status(400).json({ message: `${rsvp.name}'s registration is ${rsvp.status}`, attendee });
+    }
+    const updated = await checkIn(rsvp, req.user.id);
+    if (!updated) return res.status(409).json({ message: `${rsvp.name} is already checked in`, attendee });
+    res.json({ attendee: checkInSummary(updated, rsvp.event), message: `${rsvp.name} checked in` });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.put('/api/admin/events/:id', authenticateToken, async (req, res) => {
+router.post('/api/admin/rsvps/:id/check-in', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    const { title, description, event_date, location, image_url, is_upcoming } = req.body;
-    await prisma.event.update({
-      where: { id: Number(req.params.id) },
-      data: { title, description, event_date: new Date(event_date), location, image_url, is_upcoming }
-    });
-    res.json({ message: 'Event updated successfully' });
+    const rsvp = await prisma.rsvp.findUnique({ where: { id: Number(req.params.id) } });
+    if (!rsvp) return res.status(404).json({ message: 'Registration not found' });
+    if (rsvp.status !== 'confirmed') {
+      return res.status(400).json({ message: `${rsvp.name}'s registration is ${rsvp.status}` });
+    }
+    if (!await checkIn(rsvp, req.user.id)) return res.status(409).json({ message: `${rsvp.name} is already checked in` });
+    res.json({ message: `${rsvp.name} checked in` });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.delete('/api/admin/events/:id', authenticateToken, async (req, res) => {
+router.delete('/api/admin/rsvps/:id/check-in', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
-    await prisma.event.delete({ where: { id: Number(req.params.id) } });
-    res.json({ message: 'Event deleted successfully' });
+    const rsvp = await prisma.rsvp.update({
+      where: { id: Number(req.params.id) },
+      data: { checked_in_at: null, checked_in_by: null }
+    });
+    res.json({ message: `Check-in for ${rsvp.name} undone` });
   } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Registration not found' });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 router.get('/gallery', async (req, res) => {
   try {
-    const gallery = await prisma.gallery.findMany({ where: { is_active: true }, orderBy: { created_at: 'desc' } });
+    const where = { is_active: true };
+    if (req.query.category) where.category = req.query.category;
+    const gallery = await prisma.gallery.findMany({ where, orderBy: GALLERY_ORDER });
     res.json(gallery);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -229,7 +2810,7 @@ router.get('/impact-stats', async (req, res) => {
 });
 
 // Admin routes
-router.get('/api/admin/leaders', authenticateToken, async (req, res) => {
+router.get('/api/admin/leaders', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const leaders = await prisma.leader.findMany({ orderBy: { order_position: 'asc' } });
     res.json(leaders);
@@ -238,7 +2819,7 @@ router.get('/api/admin/leaders', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/api/admin/leaders', authenticateToken, async (req, res) => {
+router.post('/api/admin/leaders', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { name, position, bio, image_url, order_position } = req.body;
     const leader = await prisma.leader.create({
@@ -250,7 +2831,7 @@ router.post('/api/admin/leaders', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/api/admin/leaders/:id', authenticateToken, async (req, res) => {
+router.put('/api/admin/leaders/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { name, position, bio, image_url, order_position } = req.body;
     await prisma.leader.update({
@@ -263,7 +2844,7 @@ router.put('/api/admin/leaders/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/api/admin/leaders/:id', authenticateToken, async (req, res) => {
+router.delete('/api/admin/leaders/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     await prisma.leader.delete({ where: { id: Number(req.params.id) } });
     res.json({ message: 'Leader deleted successfully' });
@@ -272,7 +2853,7 @@ router.delete('/api/admin/leaders/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/api/admin/programs', authenticateToken, async (req, res) => {
+router.get('/api/admin/programs', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const programs = await prisma.program.findMany({ orderBy: { id: 'asc' } });
     res.json(programs);
@@ -281,7 +2862,7 @@ router.get('/api/admin/programs', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/api/admin/programs', authenticateToken, async (req, res) => {
+router.post('/api/admin/programs', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { title, description, icon } = req.body;
     const program = await prisma.program.create({
@@ -293,7 +2874,7 @@ router.post('/api/admin/programs', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/api/admin/programs/:id', authenticateToken, async (req, res) => {
+router.put('/api/admin/programs/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { title, description, icon } = req.body;
     await prisma.program.update({
@@ -306,7 +2887,7 @@ router.put('/api/admin/programs/:id', authenticateToken, async (req, res) => {
   }
 });
 
-router.delete('/api/admin/programs/:id', authenticateToken, async (req, res) => {
+router.delete('/api/admin/programs/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     await prisma.program.delete({ where: { id: Number(req.params.id) } });
     res.json({ message: 'Program deleted successfully' });
@@ -315,7 +2896,23 @@ router.delete('/api/admin/programs/:id', authenticateToken, async (req, res) =>
   }
 });
 
-router.get('/api/admin/posts', authenticateToken, async (req, res) => {
+// An explicit published_at schedules the post (or backdates it). An omitted or
+// empty one keeps the existing publish time, so editing a post never moves it;
+// a post being published for the first time goes out now. Returns undefined for
+// an unparseable date.
+const resolvePublishedAt = ({ published, published_at }, current = null) => {
+  if (published_at) {
+    const date = new Date(published_at);
+    return isNaN(date) ? undefined : date;
+  }
+  if (!published) return null;
+  if (current?.published_at) return current.published_at;
+  // Posts published before publish times were recorded date from their creation
+  if (current?.published) return current.created_at;
+  return new Date();
+};
+
+router.get('/api/admin/posts', authenticateToken, requirePermission('announcements'), async (req, res) => {
   try {
     const posts = await prisma.post.findMany({ orderBy: { created_at: 'desc' } });
     res.json(posts);
@@ -324,32 +2921,48 @@ router.get('/api/admin/posts', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/api/admin/posts', authenticateToken, async (req, res) => {
+router.post('/api/admin/posts', authenticateToken, requirePermission('announcements'), async (req, res) => {
   try {
-    const { title, content, excerpt, image_url, published } = req.body;
-    const post = await prisma.post.create({
-      data: { title, content, excerpt, image_url, published }
-    });
-    res.json({ id: post.id, message: 'Post created successfully' });
+    const { title, slug, content, excerpt, image_url, published } = req.body;
+    const publishedAt = resolvePublishedAt(req.body);
+    if (publishedAt === undefined) return res.status(400).json({ message: 'Invalid publish date' });
+    const post = await withUniqueSlug('post', slug || title, (postSlug) => prisma.post.create({
+      data: { title, slug: postSlug, content, excerpt, image_url, published, published_at: publishedAt }
+    }));
+    await recordRevision('post', { after: post, adminId: req.user.id, action: 'create' });
+    res.json({ id: post.id, slug: post.slug, message: 'Post created successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.put('/api/admin/posts/:id', authenticateToken, async (req, res) => {
+router.put('/api/admin/posts/:id', authenticateToken, requirePermission('announcements'), async (req, res) => {
   try {
-    const { title, content, excerpt, image_url, published } = req.body;
-    await prisma.post.update({
-      where: { id: Number(req.params.id) },
-      data: { title, content, excerpt, image_url, published }
-    });
-    res.json({ message: 'Post updated successfully' });
+    const { title, slug, content, excerpt, image_url, published } = req.body;
+    const current = await prisma.post.findUnique({ where: { id: Number(req.params.id) } });
+    if (!current) return res.status(404).json({ message: 'Post not found' });
+    const publishedAt = resolvePublishedAt(req.body, current);
+    if (publishedAt === undefined) return res.status(400).json({ message: 'Invalid publish date' });
+    const slugChange = await slugUpdate('post', current, { title, slug });
+    const results = await prisma.$transaction([
+      ...slugChange.operations,
+      prisma.post.update({
+        where: { id: current.id },
+        data: { title, slug: slugChange.slug, content, excerpt, image_url, published, published_at: publishedAt }
+      })
+    ]);
+    await recordRevision('post', { before: current, after: results[results.length - 1], adminId: req.user.id, action: 'update' });
+    res.json({ slug: slugChange.slug, message: 'Post updated successfully' });
   } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'That slug is already in use' });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.delete('/api/admin/posts/:id', authenticateToken, async (req, res) => {
+router.get('/api/admin/posts/:id/revisions', authenticateToken, requirePermission('announcements'), listRevisions('post'));
+router.post('/api/admin/posts/:id/revisions/:revisionId/restore', authenticateToken, requirePermission('announcements'), restoreRevision('post'));
+
+router.delete('/api/admin/posts/:id', authenticateToken, requirePermission('announcements'), async (req, res) => {
   try {
     await prisma.post.delete({ where: { id: Number(req.params.id) } });
     res.json({ message: 'Post deleted successfully' });
@@ -358,8 +2971,207 @@ router.delete('/api/admin/posts/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Admin members
+const MEMBER_TEXT_FIELDS = ['phone', 'position', 'department', 'photo_url', 'bio'];
+
+const validateMember = (body) => {
+  const { name, email, is_active } = body;
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) return 'A valid email is required';
+  const invalid = MEMBER_TEXT_FIELDS.filter(field => !isOptionalString(body[field]));
+  if (invalid.length) return `These fields must be text: ${invalid.join(', ')}`;
+  if (is_active !== undefined && typeof is_active !== 'boolean') return 'is_active must be a boolean';
+  return null;
+};
+
+const memberData = ({ name, email, phone, position, department, photo_url, bio, is_active }) => ({
+  name: name?.trim(),
+  email: email?.trim().toLowerCase(),
+  phone,
+  position,
+  department,
+  photo_url,
+  bio,
+  is_active
+});
+
+router.get('/api/admin/members', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const where = {};
+    if (status === 'active') where.is_active = true;
+    if (status === 'inactive') where.is_active = false;
+    if (search) {
+      where.OR = ['name', 'department', 'position'].map(field => ({
+        [field]: { contains: search, mode: 'insensitive' }
+      }));
+    }
+    const [members, total] = await Promise.all([
+      prisma.member.findMany({ where, orderBy: { name: 'asc' }, skip, take: limit }),
+      prisma.member.count({ where })
+    ]);
+    res.json({ members, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/api/admin/members/:id', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const member = await prisma.member.findUnique({ where: { id: Number(req.params.id) } });
+    if (!member) return res.status(404).json({ message: 'Member not found' });
+    res.json(member);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/members', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const validationError = validateMember(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const data = memberData(req.body);
+    const existing = await prisma.member.findUnique({ where: { email: data.email } });
+    if (existing) {
+      return res.status(409).json({ message: 'A member with this email already exists' });
+    }
+    const member = await prisma.member.create({ data: { ...data, is_active: data.is_active ?? true } });
+    res.json({ id: member.id, message: 'Member created successfully' });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A member with this email already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/api/admin/members/:id', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(404).json({ message: 'Member not found' });
+    const validationError = validateMember(req.body);
+    if (validationError) return res.status(400).json({ message: validationError });
+    const data = memberData(req.body);
+    const existing = await prisma.member.findUnique({ where: { email: data.email } });
+    if (existing && existing.id !== id) {
+      return res.status(409).json({ message: 'A member with this email already exists' });
+    }
+    await prisma.member.update({ where: { id }, data });
+    res.json({ message: 'Member updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Member not found' });
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A member with this email already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deleting a member only deactivates them unless ?permanent=true is passed
+router.delete('/api/admin/members/:id', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (req.query.permanent === 'true') {
+      await prisma.member.delete({ where: { id } });
+      return res.json({ message: 'Member deleted successfully' });
+    }
+    await prisma.member.update({ where: { id }, data: { is_active: false } });
+    res.json({ message: 'Member deactivated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Member not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin membership applications
+router.get('/api/admin/membership-applications', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const { status = 'pending', search } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    const where = {};
+    if (status !== 'all') where.status = status;
+    if (search) {
+      where.OR = ['name', 'email', 'institution', 'sub_county', 'ward'].map(field => ({
+        [field]: { contains: search, mode: 'insensitive' }
+      }));
+    }
+    const [applications, total] = await Promise.all([
+      prisma.membershipApplication.findMany({
+        where,
+        include: { reviewer: { select: { id: true, username: true } } },
+        orderBy: { created_at: status === 'pending' ? 'asc' : 'desc' },
+        skip,
+        take: limit
+      }),
+      prisma.membershipApplication.count({ where })
+    ]);
+    res.json({ applications, pagination: paginationMeta(page, limit, total) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/membership-applications/:id/approve', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const application = await prisma.membershipApplication.findUnique({ where: { id } });
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (application.status !== 'pending') {
+      return res.status(400).json({ message: `Application has already been ${application.status}` });
+    }
+    const existingMember = await prisma.member.findUnique({ where: { email: application.email } });
+    if (existingMember) {
+      return res.status(409).json({ message: 'A member with this email already exists' });
+    }
+    const member = await prisma.$transaction(async (tx) => {
+      const created = await tx.member.create({
+        data: {
+          name: application.name,
+          email: application.email,
+          phone: application.phone,
+          position: req.body.position || 'Member',
+          department: req.body.department || application.institution,
+          bio: `${application.course}, year ${application.year_of_study} at ${application.institution}. ${application.ward} ward, ${application.sub_county} sub-county.`
+        }
+      });
+      await tx.membershipApplication.update({
+        where: { id },
+        data: { status: 'approved', member_id: created.id, reviewed_by: req.user.id, reviewed_at: new Date() }
+      });
+      return created;
+    });
+    res.json({ member_id: member.id, message: 'Application approved and member created' });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A member with this email already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/admin/membership-applications/:id/reject', authenticateToken, requirePermission('members'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const reason = req.body.reason?.trim();
+    if (!reason) return res.status(400).json({ message: 'A rejection reason is required' });
+    const application = await prisma.membershipApplication.findUnique({ where: { id } });
+    if (!application) return res.status(404).json({ message: 'Application not found' });
+    if (application.status !== 'pending') {
+      return res.status(400).json({ message: `Application has already been ${application.status}` });
+    }
+    await prisma.membershipApplication.update({
+      where: { id },
+      data: { status: 'rejected', rejection_reason: reason, reviewed_by: req.user.id, reviewed_at: new Date() }
+    });
+    res.json({ message: 'Application rejected' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Admin testimonials
-router.get('/api/admin/testimonials', authenticateToken, async (req, res) => {
+router.get('/api/admin/testimonials', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const testimonials = await prisma.testimonial.findMany({ orderBy: { created_at: 'desc' } });
     res.json(testimonials);
@@ -368,7 +3180,7 @@ router.get('/api/admin/testimonials', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/api/admin/testimonials', authenticateToken, async (req, res) => {
+router.post('/api/admin/testimonials', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { name, message, position, photo_url, is_active } = req.body;
     const testimonial = await prisma.testimonial.create({
@@ -380,7 +3192,7 @@ router.post('/api/admin/testimonials', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/api/admin/testimonials/:id', authenticateToken, async (req, res) => {
+router.put('/api/admin/testimonials/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { name, message, position, photo_url, is_active } = req.body;
     await prisma.testimonial.update({
@@ -393,7 +3205,7 @@ router.put('/api/admin/testimonials/:id', authenticateToken, async (req, res) =>
   }
 });
 
-router.delete('/api/admin/testimonials/:id', authenticateToken, async (req, res) => {
+router.delete('/api/admin/testimonials/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     await prisma.testimonial.delete({ where: { id: Number(req.params.id) } });
     res.json({ message: 'Testimonial deleted successfully' });
@@ -403,7 +3215,7 @@ router.delete('/api/admin/testimonials/:id', authenticateToken, async (req, res)
 });
 
 // Admin impact stats
-router.get('/api/admin/impact-stats', authenticateToken, async (req, res) => {
+router.get('/api/admin/impact-stats', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const stats = await prisma.impactStat.findMany({ orderBy: { id: 'asc' } });
     res.json(stats);
@@ -412,7 +3224,7 @@ router.get('/api/admin/impact-stats', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/api/admin/impact-stats', authenticateToken, async (req, res) => {
+router.post('/api/admin/impact-stats', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { label, icon, value, suffix, is_active } = req.body;
     const stat = await prisma.impactStat.create({
@@ -424,7 +3236,7 @@ router.post('/api/admin/impact-stats', authenticateToken, async (req, res) => {
   }
 });
 
-router.put('/api/admin/impact-stats/:id', authenticateToken, async (req, res) => {
+router.put('/api/admin/impact-stats/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     const { label, icon, value, suffix, is_active } = req.body;
     await prisma.impactStat.update({
@@ -437,7 +3249,7 @@ router.put('/api/admin/impact-stats/:id', authenticateToken, async (req, res) =>
   }
 });
 
-router.delete('/api/admin/impact-stats/:id', authenticateToken, async (req, res) => {
+router.delete('/api/admin/impact-stats/:id', authenticateToken, requirePermission('content'), async (req, res) => {
   try {
     await prisma.impactStat.delete({ where: { id: Number(req.params.id) } });
     res.json({ message: 'Impact stat deleted successfully' });
@@ -446,8 +3258,132 @@ router.delete('/api/admin/impact-stats/:id', authenticateToken, async (req, res)
   }
 });
 
+// Admin gallery
+router.get('/api/admin/gallery', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    const where = req.query.category ? { category: req.query.category } : {};
+    const [items, categories] = await Promise.all([
+      prisma.gallery.findMany({
+        where,
+        include: { event: { select: { id: true, title: true } } },
+        orderBy: GALLERY_ORDER
+      }),
+      prisma.gallery.groupBy({ by: ['category'], _count: { _all: true }, orderBy: { category: 'asc' } })
+    ]);
+    res.json({
+      items,
+      categories: categories
+        .filter(c => c.category)
+        .map(c => ({ name: c.category, count: c._count._all }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Gallery items can be attached to an event as part of its photo recap. Returns
+// null to detach, undefined when the event does not exist.
+const galleryEventId = async (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const id = Number(value);
+  if (!Number.isInteger(id)) return undefined;
+  const event = await prisma.event.findUnique({ where: { id }, select: { id: true } });
+  return event ? event.id : undefined;
+};
+
+router.post('/api/admin/gallery', authenticateToken, requirePermission('content'), upload.array('files', 20), async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+    const category = req.body.category?.trim() || null;
+    const title = req.body.title?.trim() || null;
+    const eventId = await galleryEventId(req.body.event_id);
+    if (eventId === undefined) return res.status(400).json({ message: 'Event not found' });
+    const last = await prisma.gallery.aggregate({ _max: { sort_order: true } });
+    const start = (last._max.sort_order ?? -1) + 1;
+    const result = await prisma.gallery.createMany({
+      data: req.files.map((file, index) => ({
+        title,
+        category,
+        event_id: eventId,
+        image_url: file.path,
+        sort_order: start + index
+      }))
+    });
+    res.json({ count: result.count, message: `${result.count} image(s) uploaded successfully` });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/api/admin/gallery/reorder', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(Number.isInteger) || new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: 'ids must be a non-empty array of distinct gallery ids' });
+    }
+    // The list may be a filtered view (one category), so the items only swap
+    // among the positions they already hold and everything else stays put
+    const positionsOf = async () => (await prisma.gallery.findMany({ where: { id: { in: ids } }, select: { sort_order: true } }))
+      .map(item => item.sort_order)
+      .sort((a, b) => a - b);
+    let positions = await positionsOf();
+    if (positions.length !== ids.length) return res.status(404).json({ message: 'Gallery item not found' });
+    if (new Set(positions).size !== positions.length) {
+      // Older items can share a sort_order; number the whole gallery in its current order first
+      const all = await prisma.gallery.findMany({ orderBy: GALLERY_ORDER, select: { id: true } });
+      await prisma.$transaction(all.map((item, index) => prisma.gallery.update({ where: { id: item.id }, data: { sort_order: index } })));
+      positions = await positionsOf();
+    }
+    await prisma.$transaction(
+      ids.map((id, index) => prisma.gallery.update({ where: { id }, data: { sort_order: positions[index] } }))
+    );
+    res.json({ message: 'Gallery order updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Gallery item not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/api/admin/gallery/:id', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    const { title, category, is_active, event_id } = req.body;
+    const eventId = event_id !== undefined ? await galleryEventId(event_id) : undefined;
+    if (event_id !== undefined && eventId === undefined) return res.status(400).json({ message: 'Event not found' });
+    await prisma.gallery.update({
+      where: { id: Number(req.params.id) },
+      data: {
+        title: title !== undefined ? title?.trim() || null : undefined,
+        category: category !== undefined ? category?.trim() || null : undefined,
+        is_active: is_active !== undefined ? Boolean(is_active) : undefined,
+        event_id: eventId
+      }
+    });
+    res.json({ message: 'Gallery item updated successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Gallery item not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/api/admin/gallery/:id', authenticateToken, requirePermission('content'), async (req, res) => {
+  try {
+    await prisma.gallery.delete({ where: { id: Number(req.params.id) } });
+    res.json({ message: 'Gallery item deleted successfully' });
+  } catch (error) {
+    if (error.code === 'P2025') return res.status(404).json({ message: 'Gallery item not found' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Renders Markdown exactly as the public pages will, for the admin editor preview
+router.post('/api/admin/markdown-preview', authenticateToken, requirePermission('content', 'announcements'), (req, res) => {
+  res.json({ html: renderMarkdown(String(req.body.markdown || '')) });
+});
+
 // File upload route
-router.post('/api/admin/upload', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/api/admin/upload', authenticateToken, requirePermission('content', 'announcements', 'members'), upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ message: 'No file uploaded' });
   }
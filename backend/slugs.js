@@ -0,0 +1,96 @@
+// Slugs for posts and events, shared by the API (server.js) and the
+// backfill-slugs.js script. Renaming keeps the previous slug in a redirect
+// table so links that were already shared keep working.
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/, '');
+
+// A failed create should only pick a new slug when the slug was what clashed
+const isSlugConflict = (error) => error?.code === 'P2002' && [].concat(error.meta?.target || []).join(',').includes('slug');
+
+// How many times a create retries after losing a slug to a concurrent request
+const MAX_SLUG_ATTEMPTS = 3;
+
+const createSlugHelpers = (prisma) => {
+  const SLUGGED = {
+    post: { model: prisma.post, redirects: prisma.postSlugRedirect, key: 'post_id' },
+    event: { model: prisma.event, redirects: prisma.eventSlugRedirect, key: 'event_id' }
+  };
+
+  // Appends -2, -3... until the slug is free. A slug is free when no other record
+  // uses it, either live or as a redirect. Purely numeric slugs are avoided so they
+  // never shadow id lookups.
+  const uniqueSlug = async (type, source, id = null) => {
+    const { model, redirects, key } = SLUGGED[type];
+    let base = slugify(source) || type;
+    if (/^\d+$/.test(base)) base = `${type}-${base}`;
+    for (let n = 1; ; n++) {
+      const candidate = n === 1 ? base : `${base}-${n}`;
+      const [owner, redirect] = await Promise.all([
+        model.findUnique({ where: { slug: candidate }, select: { id: true } }),
+        redirects.findUnique({ where: { slug: candidate } })
+      ]);
+      if ((!owner || owner.id === id) && (!redirect || redirect[key] === id)) return candidate;
+    }
+  };
+
+  // Runs `write(slug)` with a free slug. Two requests can pick the same slug at
+  // once; the unique index rejects the second, which then tries the next free one.
+  const withUniqueSlug = async (type, source, write, id = null) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await write(await uniqueSlug(type, source, id));
+      } catch (error) {
+        if (!isSlugConflict(error) || attempt >= MAX_SLUG_ATTEMPTS) throw error;
+      }
+    }
+  };
+
+  // Works out the slug for an update: an edited slug wins, otherwise a changed
+  // title regenerates it. Returns the write operations to run alongside the update.
+  const slugUpdate = async (type, current, { title, slug }) => {
+    const { redirects, key } = SLUGGED[type];
+    let next = current.slug;
+    if (slug && slug !== current.slug) next = await uniqueSlug(type, slug, current.id);
+    else if (!current.slug || (title && title !== current.title)) next = await uniqueSlug(type, title || current.title, current.id);
+    if (next === current.slug) return { slug: next, operations: [] };
+
+    const operations = [redirects.deleteMany({ where: { slug: next } })];
+    if (current.slug) {
+      operations.push(redirects.create({ data: { slug: current.slug, [key]: current.id } }));
+    }
+    return { slug: next, operations };
+  };
+
+  // Resolves a public path segment: a numeric id, a current slug, a previous slug,
+  // or (events only) a legacy "<id>-<title>" share link. `redirected` means the
+  // caller should send the client to the canonical slug.
+  const findBySlug = async (type, param) => {
+    const { model, redirects } = SLUGGED[type];
+    if (/^\d+$/.test(param)) {
+      return { record: await model.findUnique({ where: { id: Number(param) } }), redirected: false };
+    }
+    const record = await model.findUnique({ where: { slug: param } });
+    if (record) return { record, redirected: false };
+    const redirect = await redirects.findUnique({ where: { slug: param }, include: { [type]: true } });
+    if (redirect) return { record: redirect[type], redirected: true };
+    // Legacy links only count when the title part still matches the event, so a
+    // typo or a dead link that happens to start with digits is a 404
+    const legacy = type === 'event' && param.match(/^(\d+)-(.+)$/);
+    if (legacy) {
+      const event = await model.findUnique({ where: { id: Number(legacy[1]) } });
+      if (event && slugify(legacy[2]) === slugify(event.title)) return { record: event, redirected: true };
+    }
+    return { record: null, redirected: false };
+  };
+
+  return { uniqueSlug, withUniqueSlug, slugUpdate, findBySlug };
+};
+
+module.exports = { slugify, isSlugConflict, createSlugHelpers };
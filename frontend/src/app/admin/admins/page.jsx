@@ -0,0 +1,227 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl, getAdminUser, getRoleLabel, ADMIN_ROLES } from '@/lib/auth'
+import { ConfirmDialog } from '@/components/admin/Dialog'
+import CreateAdmin from '@/components/admin/CreateAdmin'
+
+export default function AdminAccounts() {
+  const [admins, setAdmins] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [currentAdmin, setCurrentAdmin] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [adminToDelete, setAdminToDelete] = useState(null)
+
+  useEffect(() => {
+    setCurrentAdmin(getAdminUser())
+    fetchAdmins()
+  }, [])
+
+  const fetchAdmins = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/admins`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setAdmins(Array.isArray(data) ? data : [])
+      }
+    } catch (error) {
+      console.error('Error fetching admins:', error)
+      setError('Failed to load admins')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const showResult = (type, text) => {
+    if (type === 'success') {
+      setSuccess(text)
+      setError('')
+    } else {
+      setError(text)
+      setSuccess('')
+    }
+    setTimeout(() => {
+      setSuccess('')
+      setError('')
+    }, 4000)
+  }
+
+  const handleToggleStatus = async (admin) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/admins/${admin.id}/status`, {
+        method: 'PATCH',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ is_active: !admin.is_active }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        showResult('success', data.message)
+        fetchAdmins()
+      } else {
+        showResult('error', data.message || 'Failed to update admin')
+      }
+    } catch (error) {
+      console.error('Error updating admin:', error)
+      showResult('error', 'An error occurred while updating the admin')
+    }
+  }
+
+  const handleRoleChange = async (admin, role) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/admins/${admin.id}/role`, {
+        method: 'PATCH',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ role }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        showResult('success', `${admin.username} is now a ${getRoleLabel(role)}`)
+        fetchAdmins()
+      } else {
+        showResult('error', data.message || 'Failed to change role')
+      }
+    } catch (error) {
+      console.error('Error changing role:', error)
+      showResult('error', 'An error occurred while changing the role')
+    }
+  }
+
+  const handleDeleteConfirm = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/admins/${adminToDelete.id}`, {
+        method: 'DELETE',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        showResult('success', data.message)
+        fetchAdmins()
+      } else {
+        showResult('error', data.message || 'Failed to delete admin')
+      }
+    } catch (error) {
+      console.error('Error deleting admin:', error)
+      showResult('error', 'An error occurred while deleting the admin')
+    }
+    setAdminToDelete(null)
+  }
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <h1 className="text-3xl font-bold text-white mb-2">Admin Accounts</h1>
+        <p className="text-gray-300">Manage who can sign in to the admin panel.</p>
+      </motion.div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-lg overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="text-left py-3 px-4 text-gray-700 font-semibold">Username</th>
+                <th className="text-left py-3 px-4 text-gray-700 font-semibold">Email</th>
+                <th className="text-left py-3 px-4 text-gray-700 font-semibold">Role</th>
+                <th className="text-left py-3 px-4 text-gray-700 font-semibold">Status</th>
+                <th className="text-left py-3 px-4 text-gray-700 font-semibold">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {loading ? (
+                <tr>
+                  <td colSpan={5} className="py-8 text-center text-gray-500">Loading admins...</td>
+                </tr>
+              ) : admins.map((admin) => {
+                const isSelf = currentAdmin?.id === admin.id
+                return (
+                  <tr key={admin.id} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 font-semibold text-primary">
+                      {admin.username}
+                      {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">{admin.email}</td>
+                    <td className="py-3 px-4 text-sm">
+                      {isSelf ? (
+                        getRoleLabel(admin.role)
+                      ) : (
+                        <select
+                          value={admin.role}
+                          onChange={(e) => handleRoleChange(admin, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded"
+                        >
+                          {ADMIN_ROLES.map((role) => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                          ))}
+                        </select>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${admin.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+                        {admin.is_active ? 'Active' : 'Disabled'}
+                      </span>
+                      {admin.totp_enabled_at && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-semibold bg-blue-100 text-blue-800" title="Two-factor authentication on">
+                          2FA
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">
+                      {!isSelf && (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleToggleStatus(admin)}
+                            className={`${admin.is_active ? 'bg-yellow-500 hover:bg-yellow-600' : 'bg-green-500 hover:bg-green-600'} text-white px-3 py-2 rounded transition-colors text-sm`}
+                          >
+                            {admin.is_active ? 'Disable' : 'Enable'}
+                          </button>
+                          <button
+                            onClick={() => setAdminToDelete(admin)}
+                            className="bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded transition-colors text-sm"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <CreateAdmin onCreated={fetchAdmins} />
+      </div>
+
+      <ConfirmDialog
+        isOpen={!!adminToDelete}
+        onClose={() => setAdminToDelete(null)}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Admin"
+        message={`Are you sure you want to delete "${adminToDelete?.username}"? This action cannot be undone.`}
+        confirmText="Delete"
+      />
+    </div>
+  )
+}
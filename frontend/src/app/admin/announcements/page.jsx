@@ -4,15 +4,38 @@ import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { getApiHeaders, getApiUrl } from '@/lib/auth'
 import { Dialog, ConfirmDialog } from '@/components/admin/Dialog'
+import { MarkdownEditor } from '@/components/admin/MarkdownEditor'
+import { RevisionHistory } from '@/components/admin/RevisionHistory'
+
+const REVISION_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'slug', label: 'URL Slug' },
+  { key: 'excerpt', label: 'Excerpt', multiline: true },
+  { key: 'content', label: 'Content', multiline: true },
+  { key: 'image_url', label: 'Image' },
+  { key: 'published', label: 'Published' },
+  { key: 'published_at', label: 'Publish At' },
+]
+
+// datetime-local inputs want local time without a timezone suffix
+const toDateTimeLocal = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+const isScheduled = (post) => post.published && post.published_at && new Date(post.published_at) > new Date()
 
 export default function AdminAnnouncements() {
   const [posts, setPosts] = useState([])
   const [formData, setFormData] = useState({
     title: '',
+    slug: '',
     content: '',
     excerpt: '',
     image_url: '',
-    published: false
+    published: false,
+    published_at: ''
   })
   const [imagePreview, setImagePreview] = useState(null)
   const [uploadingImage, setUploadingImage] = useState(false)
@@ -24,6 +47,7 @@ export default function AdminAnnouncements() {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [postToDelete, setPostToDelete] = useState(null)
   const [showForm, setShowForm] = useState(false)
+  const [historyItem, setHistoryItem] = useState(null)
 
   useEffect(() => {
     fetchPosts()
@@ -34,6 +58,7 @@ export default function AdminAnnouncements() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/posts`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
       if (response.ok) {
         const data = await response.json()
@@ -85,9 +110,8 @@ export default function AdminAnnouncements() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/upload`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        },
+        headers: getApiHeaders({ json: false }),
+        credentials: 'include',
         body: formDataUpload,
       })
 
@@ -125,17 +149,23 @@ export default function AdminAnnouncements() {
       const response = await fetch(url, {
         method,
         headers: getApiHeaders(),
-        body: JSON.stringify(formData),
+        credentials: 'include',
+        body: JSON.stringify({
+          ...formData,
+          published_at: formData.published_at ? new Date(formData.published_at).toISOString() : '',
+        }),
       })
 
       if (response.ok) {
         setSuccess(editingId ? 'Announcement updated!' : 'Announcement created!')
         setFormData({
           title: '',
+          slug: '',
           content: '',
           excerpt: '',
           image_url: '',
-          published: false
+          published: false,
+          published_at: ''
         })
         setImagePreview(null)
         setEditingId(null)
@@ -157,10 +187,12 @@ export default function AdminAnnouncements() {
   const handleEdit = (post) => {
     setFormData({
       title: post.title,
+      slug: post.slug || '',
       content: post.content || '',
       excerpt: post.excerpt || '',
       image_url: post.image_url || '',
-      published: post.published
+      published: post.published,
+      published_at: toDateTimeLocal(post.published_at)
     })
     setImagePreview(post.image_url)
     setEditingId(post.id)
@@ -178,6 +210,7 @@ export default function AdminAnnouncements() {
       const response = await fetch(`${apiUrl}/api/admin/posts/${postToDelete.id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -199,10 +232,12 @@ export default function AdminAnnouncements() {
   const handleCancel = () => {
     setFormData({
       title: '',
+      slug: '',
       content: '',
       excerpt: '',
       image_url: '',
-      published: false
+      published: false,
+      published_at: ''
     })
     setImagePreview(null)
     setEditingId(null)
@@ -238,10 +273,12 @@ export default function AdminAnnouncements() {
               setEditingId(null)
               setFormData({
                 title: '',
+                slug: '',
                 content: '',
                 excerpt: '',
                 image_url: '',
-                published: false
+                published: false,
+                published_at: ''
               })
               setImagePreview(null)
             }}
@@ -272,6 +309,19 @@ export default function AdminAnnouncements() {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">URL Slug</label>
+            <input
+              type="text"
+              name="slug"
+              value={formData.slug}
+              onChange={handleChange}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              placeholder="Generated from the title"
+            />
+            <p className="text-xs text-gray-500 mt-1">Used in shareable links. Previous slugs keep redirecting after a change.</p>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Excerpt</label>
             <textarea
@@ -286,12 +336,10 @@ export default function AdminAnnouncements() {
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Content</label>
-            <textarea
-              name="content"
+            <MarkdownEditor
               value={formData.content}
-              onChange={handleChange}
-              rows="6"
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              onChange={(content) => setFormData(prev => ({ ...prev, content }))}
+              rows={10}
               placeholder="Full announcement content"
             />
           </div>
@@ -305,13 +353,35 @@ export default function AdminAnnouncements() {
                 onChange={handleChange}
                 className="w-5 h-5 text-primary rounded focus:ring-primary"
               />
-              <span className="text-sm font-medium text-gray-700">Publish Now</span>
+              <span className="text-sm font-medium text-gray-700">Publish</span>
             </label>
             <span className="text-sm text-gray-500">
-              {formData.published ? '✓ Will be visible on website' : '○ Will be saved as draft'}
+              {!formData.published
+                ? '○ Will be saved as draft'
+                : formData.published_at && new Date(formData.published_at) > new Date()
+                  ? `⏱ Scheduled for ${new Date(formData.published_at).toLocaleString()}`
+                  : '✓ Will be visible on website'}
             </span>
           </div>
 
+          {formData.published && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Publish At</label>
+              <input
+                type="datetime-local"
+                name="published_at"
+                value={formData.published_at}
+                onChange={handleChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                {editingId
+                  ? 'Leave blank to keep the current publish time, or pick a new time to reschedule it.'
+                  : 'Leave blank to publish immediately, or pick a future time to schedule it.'}
+              </p>
+            </div>
+          )}
+
           <div className="flex gap-4">
             <button
               type="submit"
@@ -368,7 +438,12 @@ export default function AdminAnnouncements() {
                         {post.title}
                       </h3>
                       <div className="flex items-center gap-2 flex-shrink-0">
-                        {post.published && (
+                        {isScheduled(post) && (
+                          <span className="px-2 sm:px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-xs font-semibold whitespace-nowrap">
+                            Scheduled
+                          </span>
+                        )}
+                        {post.published && !isScheduled(post) && (
                           <span className="px-2 sm:px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-semibold whitespace-nowrap">
                             Published
                           </span>
@@ -387,10 +462,12 @@ export default function AdminAnnouncements() {
                       <p className="text-gray-700 text-xs sm:text-sm mb-2 line-clamp-2">{post.content}</p>
                     )}
                     <p className="text-gray-500 text-xs mb-3 sm:mb-4">
-                      📅 {new Date(post.published_at || post.created_at).toLocaleDateString('en-US', {
+                      {isScheduled(post) ? '⏱ Goes live ' : '📅 '}
+                      {new Date(post.published_at || post.created_at).toLocaleDateString('en-US', {
                         month: 'short',
                         day: 'numeric',
-                        year: 'numeric'
+                        year: 'numeric',
+                        ...(isScheduled(post) && { hour: 'numeric', minute: '2-digit' })
                       })}
                     </p>
 
@@ -401,6 +478,12 @@ export default function AdminAnnouncements() {
                       >
                         Edit
                       </button>
+                      <button
+                        onClick={() => setHistoryItem(post)}
+                        className="flex-1 px-3 sm:px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-xs sm:text-sm font-medium"
+                      >
+                        History
+                      </button>
                       <button
                         onClick={() => handleDelete(post.id)}
                         className="flex-1 px-3 sm:px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-xs sm:text-sm font-medium"
@@ -416,6 +499,19 @@ export default function AdminAnnouncements() {
         )}
       </motion.div>
 
+      <RevisionHistory
+        isOpen={!!historyItem}
+        onClose={() => setHistoryItem(null)}
+        resource="posts"
+        item={historyItem}
+        fields={REVISION_FIELDS}
+        onRestored={(message) => {
+          setSuccess(message || 'Revision restored')
+          fetchPosts()
+          setTimeout(() => setSuccess(''), 3000)
+        }}
+      />
+
       <ConfirmDialog
         isOpen={showDeleteConfirm}
         onClose={() => setShowDeleteConfirm(false)}
@@ -0,0 +1,304 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { Dialog } from '@/components/admin/Dialog'
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'all', label: 'All' },
+]
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+}
+
+export default function AdminApplications() {
+  const [applications, setApplications] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [status, setStatus] = useState('pending')
+  const [search, setSearch] = useState('')
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 })
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [rejecting, setRejecting] = useState(null)
+  const [rejectionReason, setRejectionReason] = useState('')
+  const [processingId, setProcessingId] = useState(null)
+
+  useEffect(() => {
+    fetchApplications()
+  }, [status, page])
+
+  const fetchApplications = async () => {
+    setLoading(true)
+    try {
+      const apiUrl = getApiUrl()
+      const params = new URLSearchParams({ status, page, limit: 20 })
+      if (search.trim()) params.set('search', search.trim())
+      const response = await fetch(`${apiUrl}/api/admin/membership-applications?${params}`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setApplications(data.applications || [])
+        setPagination(data.pagination || { page: 1, totalPages: 1, total: 0 })
+      }
+    } catch (error) {
+      console.error('Error fetching applications:', error)
+      setError('Failed to load applications')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const showResult = (type, text) => {
+    if (type === 'success') {
+      setSuccess(text)
+      setError('')
+    } else {
+      setError(text)
+      setSuccess('')
+    }
+    setTimeout(() => {
+      setSuccess('')
+      setError('')
+    }, 4000)
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (page === 1) {
+      fetchApplications()
+    } else {
+      setPage(1)
+    }
+  }
+
+  const handleApprove = async (application) => {
+    setProcessingId(application.id)
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/membership-applications/${application.id}/approve`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({}),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        showResult('success', `${application.name} is now a member`)
+        fetchApplications()
+      } else {
+        showResult('error', data.message || 'Failed to approve application')
+      }
+    } catch (error) {
+      console.error('Error approving application:', error)
+      showResult('error', 'An error occurred while approving')
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  const handleReject = async (e) => {
+    e.preventDefault()
+    if (!rejectionReason.trim()) return
+    setProcessingId(rejecting.id)
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/membership-applications/${rejecting.id}/reject`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ reason: rejectionReason }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        showResult('success', `Application from ${rejecting.name} rejected`)
+        setRejecting(null)
+        setRejectionReason('')
+        fetchApplications()
+      } else {
+        showResult('error', data.message || 'Failed to reject application')
+      }
+    } catch (error) {
+      console.error('Error rejecting application:', error)
+      showResult('error', 'An error occurred while rejecting')
+    } finally {
+      setProcessingId(null)
+    }
+  }
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <h1 className="text-3xl font-bold text-white mb-2">Membership Applications</h1>
+        <p className="text-gray-300">Review applications submitted through the Join page.</p>
+      </motion.div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-lg p-4 flex flex-col md:flex-row gap-4 md:items-center md:justify-between">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => {
+                setStatus(tab.value)
+                setPage(1)
+              }}
+              className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                status === tab.value ? 'bg-primary text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="text"
+            placeholder="Search name, email, institution, ward"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input-field md:w-72"
+          />
+          <button type="submit" className="btn-secondary">Search</button>
+        </form>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="text-left py-3 px-4 text-gray-700 font-semibold">Applicant</th>
+              <th className="text-left py-3 px-4 text-gray-700 font-semibold">Institution</th>
+              <th className="text-left py-3 px-4 text-gray-700 font-semibold">Home Area</th>
+              <th className="text-left py-3 px-4 text-gray-700 font-semibold">Submitted</th>
+              <th className="text-left py-3 px-4 text-gray-700 font-semibold">Status</th>
+              <th className="text-left py-3 px-4 text-gray-700 font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={6} className="py-8 text-center text-gray-500">Loading applications...</td>
+              </tr>
+            ) : applications.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="py-8 text-center text-gray-500">No applications found</td>
+              </tr>
+            ) : (
+              applications.map((application) => (
+                <tr key={application.id} className="border-b hover:bg-gray-50 align-top">
+                  <td className="py-3 px-4">
+                    <p className="font-semibold text-primary">{application.name}</p>
+                    <p className="text-sm text-gray-600">{application.email}</p>
+                    {application.phone && <p className="text-sm text-gray-600">{application.phone}</p>}
+                  </td>
+                  <td className="py-3 px-4 text-sm">
+                    <p>{application.institution}</p>
+                    <p className="text-gray-600">{application.course}, Year {application.year_of_study}</p>
+                  </td>
+                  <td className="py-3 px-4 text-sm">
+                    <p>{application.ward} Ward</p>
+                    <p className="text-gray-600">{application.sub_county}</p>
+                  </td>
+                  <td className="py-3 px-4 text-sm text-gray-600">
+                    {new Date(application.created_at).toLocaleDateString()}
+                  </td>
+                  <td className="py-3 px-4 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[application.status] || 'bg-gray-100 text-gray-700'}`}>
+                      {application.status}
+                    </span>
+                    {application.rejection_reason && (
+                      <p className="text-xs text-gray-500 mt-2 max-w-xs">{application.rejection_reason}</p>
+                    )}
+                    {application.reviewer && (
+                      <p className="text-xs text-gray-400 mt-1">by {application.reviewer.username}</p>
+                    )}
+                  </td>
+                  <td className="py-3 px-4">
+                    {application.status === 'pending' && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleApprove(application)}
+                          disabled={processingId === application.id}
+                          className="bg-green-500 hover:bg-green-600 text-white px-3 py-2 rounded transition-colors text-sm disabled:opacity-50"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => setRejecting(application)}
+                          disabled={processingId === application.id}
+                          className="bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded transition-colors text-sm disabled:opacity-50"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between bg-white rounded-lg shadow p-4">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-secondary disabled:opacity-50">
+            ← Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} applications)
+          </span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages} className="btn-secondary disabled:opacity-50">
+            Next →
+          </button>
+        </div>
+      )}
+
+      <Dialog
+        isOpen={!!rejecting}
+        onClose={() => {
+          setRejecting(null)
+          setRejectionReason('')
+        }}
+        title={`Reject ${rejecting?.name || 'application'}`}
+      >
+        <form onSubmit={handleReject} className="space-y-4">
+          <textarea
+            value={rejectionReason}
+            onChange={(e) => setRejectionReason(e.target.value)}
+            rows="4"
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            placeholder="Reason for rejecting this application"
+          />
+          <button
+            type="submit"
+            disabled={!rejectionReason.trim() || processingId === rejecting?.id}
+            className="w-full px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+          >
+            Reject Application
+          </button>
+        </form>
+      </Dialog>
+    </div>
+  )
+}
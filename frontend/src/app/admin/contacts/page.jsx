@@ -1,129 +1,184 @@
 'use client'
 
-import { useState, useEffect } from 'react'
-import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { Fragment, useState, useEffect } from 'react'
+import { clearAuth, getApiHeaders, getApiUrl } from '@/lib/auth'
+
+const TYPE_LABELS = {
+  contact: 'Contact',
+  partnership: 'Partnership',
+  volunteer: 'Volunteer',
+}
 
 export default function AdminContacts() {
   const [contacts, setContacts] = useState([])
   const [loading, setLoading] = useState(true)
-  const [filter, setFilter] = useState('all')
+  const [filters, setFilters] = useState({ type: 'all', search: '', from: '', to: '' })
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 })
+  const [expandedEmail, setExpandedEmail] = useState(null)
 
   useEffect(() => {
     fetchContacts()
-  }, [])
+  }, [filters, page])
 
   const fetchContacts = async () => {
     try {
       const apiUrl = getApiUrl()
-      // Note: You'll need to add this endpoint to your backend
-      const response = await fetch(`${apiUrl}/api/admin/contacts`, {
+      const params = new URLSearchParams({ page, limit: 50 })
+      if (filters.type !== 'all') params.set('type', filters.type)
+      if (filters.search.trim()) params.set('search', filters.search.trim())
+      if (filters.from) params.set('from', filters.from)
+      if (filters.to) params.set('to', filters.to)
+      const response = await fetch(`${apiUrl}/api/admin/contacts?${params}`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
         const data = await response.json()
-        setContacts(Array.isArray(data) ? data : [])
+        setContacts(Array.isArray(data.contacts) ? data.contacts : [])
+        setPagination(data.pagination || { page: 1, totalPages: 1, total: 0 })
       } else if (response.status === 401) {
-        localStorage.removeItem('adminToken')
-        localStorage.removeItem('adminUser')
+        clearAuth()
         window.location.href = '/admin/members/login'
-      } else {
-        // Fallback: try to get from dashboard
-        try {
-          const fallbackResponse = await fetch(`${apiUrl}/api/admin/dashboard`, {
-            headers: getApiHeaders(),
-          })
-          if (fallbackResponse.ok) {
-            const dashboardData = await fallbackResponse.json()
-            setContacts(Array.isArray(dashboardData.recentContacts) ? dashboardData.recentContacts : [])
-          }
-        } catch (fallbackError) {
-          console.error('Fallback fetch error:', fallbackError)
-          setContacts([])
-        }
       }
     } catch (error) {
       console.error('Error fetching contacts:', error)
-      setContacts([]) // Set empty array on error
+      setContacts([])
     } finally {
       setLoading(false)
     }
   }
 
-  const filteredContacts = filter === 'all' 
-    ? contacts 
-    : contacts.filter(c => c.type === filter)
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
 
   if (loading) {
-    return <div className="text-center py-8">Loading...</div>
+    return <div className="text-center py-8 text-white">Loading...</div>
   }
 
   return (
-    <div>
-      <div className="flex items-center justify-between mb-8">
-        <h1 className="text-3xl font-heading font-bold text-primary">Contact Submissions</h1>
+    <div className="w-full min-h-screen bg-blue-950 space-y-6 p-4 sm:p-6 md:p-8">
+      <div>
+        <h1 className="text-3xl font-heading font-bold text-white mb-2">Contacts Directory</h1>
+        <p className="text-gray-300">
+          Everyone who has reached out through the contact, partnership or volunteer forms, grouped by email.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 grid grid-cols-1 md:grid-cols-4 gap-3">
         <select
-          value={filter}
-          onChange={(e) => setFilter(e.target.value)}
+          name="type"
+          value={filters.type}
+          onChange={handleFilterChange}
           className="px-4 py-2 border border-gray-300 rounded-lg"
         >
-          <option value="all">All</option>
+          <option value="all">All channels</option>
           <option value="contact">Contact</option>
           <option value="partnership">Partnership</option>
           <option value="volunteer">Volunteer</option>
         </select>
+        <input
+          type="text"
+          name="search"
+          value={filters.search}
+          onChange={handleFilterChange}
+          placeholder="Search name or email"
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} title="Contacted from" className="px-4 py-2 border border-gray-300 rounded-lg" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} title="Contacted to" className="px-4 py-2 border border-gray-300 rounded-lg" />
       </div>
 
-      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+      <div className="bg-white rounded-lg shadow-md overflow-x-auto">
         <table className="w-full">
           <thead className="bg-gray-50">
             <tr>
               <th className="text-left py-3 px-6 text-gray-700 font-semibold">Name</th>
               <th className="text-left py-3 px-6 text-gray-700 font-semibold">Email</th>
-              <th className="text-left py-3 px-6 text-gray-700 font-semibold">Subject</th>
-              <th className="text-left py-3 px-6 text-gray-700 font-semibold">Type</th>
-              <th className="text-left py-3 px-6 text-gray-700 font-semibold">Date</th>
+              <th className="text-left py-3 px-6 text-gray-700 font-semibold">Channels</th>
+              <th className="text-left py-3 px-6 text-gray-700 font-semibold">Messages</th>
+              <th className="text-left py-3 px-6 text-gray-700 font-semibold">First Contact</th>
+              <th className="text-left py-3 px-6 text-gray-700 font-semibold">Last Contact</th>
               <th className="text-left py-3 px-6 text-gray-700 font-semibold">Actions</th>
             </tr>
           </thead>
           <tbody>
-            {filteredContacts.length > 0 ? (
-              filteredContacts.map((contact) => (
-                <tr key={contact.id} className="border-b hover:bg-gray-50">
-                  <td className="py-4 px-6">{contact.name}</td>
-                  <td className="py-4 px-6">{contact.email}</td>
-                  <td className="py-4 px-6">{contact.subject || 'N/A'}</td>
-                  <td className="py-4 px-6">
-                    <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded text-sm">
-                      {contact.type || 'contact'}
-                    </span>
-                  </td>
-                  <td className="py-4 px-6 text-sm text-gray-600">
-                    {new Date(contact.created_at).toLocaleDateString()}
-                  </td>
-                  <td className="py-4 px-6">
-                    <button
-                      onClick={() => {
-                        alert(`Message: ${contact.message || 'No message'}`)
-                      }}
-                      className="text-primary hover:text-accent"
-                    >
-                      View
-                    </button>
-                  </td>
-                </tr>
+            {contacts.length > 0 ? (
+              contacts.map((contact) => (
+                <Fragment key={contact.email}>
+                  <tr className="border-b hover:bg-gray-50">
+                    <td className="py-4 px-6">
+                      <p>{contact.name || 'N/A'}</p>
+                      {contact.organization && <p className="text-xs text-gray-500">{contact.organization}</p>}
+                      {contact.phone && <p className="text-xs text-gray-500">{contact.phone}</p>}
+                    </td>
+                    <td className="py-4 px-6">{contact.email}</td>
+                    <td className="py-4 px-6">
+                      <div className="flex flex-wrap gap-1">
+                        {Object.entries(contact.counts).filter(([, count]) => count > 0).map(([type, count]) => (
+                          <span key={type} className="px-2 py-1 bg-blue-100 text-blue-800 rounded text-xs">
+                            {TYPE_LABELS[type]} × {count}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="py-4 px-6 font-semibold">{contact.total_count}</td>
+                    <td className="py-4 px-6 text-sm text-gray-600">
+                      {new Date(contact.first_contact_at).toLocaleDateString()}
+                    </td>
+                    <td className="py-4 px-6 text-sm text-gray-600">
+                      {new Date(contact.last_contact_at).toLocaleDateString()}
+                    </td>
+                    <td className="py-4 px-6">
+                      <button
+                        onClick={() => setExpandedEmail(expandedEmail === contact.email ? null : contact.email)}
+                        className="text-primary hover:text-accent"
+                      >
+                        {expandedEmail === contact.email ? 'Hide' : 'View'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedEmail === contact.email && contact.latest && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={7} className="py-4 px-6">
+                        <p className="text-xs text-gray-500 mb-1">
+                          Latest {TYPE_LABELS[contact.latest.type]} submission · {new Date(contact.latest.created_at).toLocaleString()}
+                        </p>
+                        <p className="font-semibold text-gray-800">{contact.latest.subject || 'No subject'}</p>
+                        <p className="text-gray-700 whitespace-pre-wrap mt-1">{contact.latest.message || 'No message'}</p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
               ))
             ) : (
               <tr>
-                <td colSpan={6} className="py-8 text-center text-gray-500">
-                  No contact submissions found
+                <td colSpan={7} className="py-8 text-center text-gray-500">
+                  No contacts found
                 </td>
               </tr>
             )}
           </tbody>
         </table>
       </div>
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between bg-white rounded-lg shadow p-4">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="btn-secondary disabled:opacity-50">
+            ← Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} contacts)
+          </span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pagination.totalPages} className="btn-secondary disabled:opacity-50">
+            Next →
+          </button>
+        </div>
+      )}
     </div>
   )
 }
-
@@ -1,7 +1,9 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import Link from 'next/link'
+import { clearAuth, getAdminUser, getApiHeaders, getApiUrl, hasPermission } from '@/lib/auth'
+import { formatEventDate } from '@/lib/events'
 
 export default function AdminDashboard() {
   const [dashboardData, setDashboardData] = useState(null)
@@ -16,14 +18,14 @@ export default function AdminDashboard() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/dashboard`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
         const data = await response.json()
         setDashboardData(data)
       } else if (response.status === 401) {
-        localStorage.removeItem('token')
-        localStorage.removeItem('user')
+        clearAuth()
         window.location.href = '/admin/members/login'
       } else {
         console.error('Dashboard API error:', response.status, response.statusText)
@@ -47,6 +49,8 @@ export default function AdminDashboard() {
 
   const stats = dashboardData?.stats || {}
   const recentContacts = dashboardData?.recentContacts || []
+  const scheduledPosts = dashboardData?.scheduledPosts || []
+  const eventAttendance = dashboardData?.eventAttendance || []
 
   const statCards = [
     { label: 'Total Messages', value: stats.total_messages || 0, unread: stats.unread_messages || 0, color: 'bg-blue-500' },
@@ -57,6 +61,9 @@ export default function AdminDashboard() {
     { label: 'Impact Stats', value: stats.total_stats || 0, color: 'bg-indigo-500' },
     { label: 'Active Leaders', value: stats.active_leaders || 0, color: 'bg-red-500' },
     { label: 'Active Members', value: stats.active_members || 0, color: 'bg-teal-500' },
+    { label: 'Pending Applications', value: stats.pending_applications || 0, color: 'bg-yellow-500' },
+    { label: 'New Partnership Requests', value: stats.new_partnerships || 0, color: 'bg-cyan-500' },
+    { label: 'New Volunteers', value: stats.unread_volunteers || 0, color: 'bg-lime-500' },
   ]
 
   return (
@@ -86,38 +93,92 @@ export default function AdminDashboard() {
         ))}
       </div>
 
-      {/* Recent Contacts */}
+      {/* Scheduled Posts */}
       <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 overflow-hidden">
-        <h2 className="text-xl font-heading font-semibold text-primary mb-4">Recent Contact Messages</h2>
-        {recentContacts.length > 0 ? (
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead>
-                <tr className="border-b">
-                  <th className="text-left py-3 px-4 text-gray-700">Name</th>
-                  <th className="text-left py-3 px-4 text-gray-700">Email</th>
-                  <th className="text-left py-3 px-4 text-gray-700">Subject</th>
-                  <th className="text-left py-3 px-4 text-gray-700">Date</th>
-                </tr>
-              </thead>
-              <tbody>
-                {recentContacts.map((contact) => (
-                  <tr key={contact.id} className="border-b hover:bg-gray-50">
-                    <td className="py-3 px-4">{contact.name}</td>
-                    <td className="py-3 px-4">{contact.email}</td>
-                    <td className="py-3 px-4">{contact.subject || 'N/A'}</td>
-                    <td className="py-3 px-4 text-sm text-gray-600">
-                      {new Date(contact.created_at).toLocaleDateString()}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-heading font-semibold text-primary">Upcoming Scheduled Posts</h2>
+          <Link href="/admin/announcements" className="text-sm text-primary hover:text-accent">Manage →</Link>
+        </div>
+        {scheduledPosts.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {scheduledPosts.map((post) => (
+              <li key={post.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+                <span className="font-medium text-gray-900">{post.title}</span>
+                <span className="text-sm text-gray-600">{new Date(post.published_at).toLocaleString()}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">No posts are scheduled</p>
+        )}
+      </div>
+
+      {/* Event Attendance */}
+      <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 overflow-hidden">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-heading font-semibold text-primary">Event Attendance</h2>
+          <Link href="/admin/events" className="text-sm text-primary hover:text-accent">Manage →</Link>
+        </div>
+        {eventAttendance.length > 0 ? (
+          <ul className="space-y-4">
+            {eventAttendance.map((event) => {
+              const rate = event.registered ? Math.round((event.attended / event.registered) * 100) : 0
+              return (
+                <li key={event.id}>
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 mb-1">
+                    <Link href={`/admin/events/${event.id}/attendees`} className="font-medium text-gray-900 hover:text-primary">
+                      {event.title}
+                    </Link>
+                    <span className="text-sm text-gray-600">
+                      {formatEventDate(event.event_date, event.timezone)} · {event.attended} of {event.registered} attended ({rate}%)
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-green-500" style={{ width: `${rate}%` }} />
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
         ) : (
-          <p className="text-gray-500">No recent contacts</p>
+          <p className="text-gray-500">No events have taken registrations yet</p>
         )}
       </div>
+
+      {/* Recent Contacts (only for roles that may read messages) */}
+      {hasPermission(getAdminUser(), 'messages') && (
+        <div className="bg-white rounded-lg shadow-md p-4 sm:p-6 overflow-hidden">
+          <h2 className="text-xl font-heading font-semibold text-primary mb-4">Recent Contact Messages</h2>
+          {recentContacts.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-3 px-4 text-gray-700">Name</th>
+                    <th className="text-left py-3 px-4 text-gray-700">Email</th>
+                    <th className="text-left py-3 px-4 text-gray-700">Subject</th>
+                    <th className="text-left py-3 px-4 text-gray-700">Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recentContacts.map((contact) => (
+                    <tr key={contact.id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-4">{contact.name}</td>
+                      <td className="py-3 px-4">{contact.email}</td>
+                      <td className="py-3 px-4">{contact.subject || 'N/A'}</td>
+                      <td className="py-3 px-4 text-sm text-gray-600">
+                        {new Date(contact.created_at).toLocaleDateString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-gray-500">No recent contacts</p>
+          )}
+        </div>
+      )}
     </div>
   )
 }
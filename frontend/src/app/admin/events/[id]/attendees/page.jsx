@@ -0,0 +1,304 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { ConfirmDialog } from '@/components/admin/Dialog'
+import { formatEventSchedule } from '@/lib/events'
+
+const STATUS_STYLES = {
+  confirmed: 'bg-green-100 text-green-700',
+  waitlisted: 'bg-yellow-100 text-yellow-700',
+  cancelled: 'bg-gray-100 text-gray-600',
+}
+
+export default function EventAttendees({ params }) {
+  const [event, setEvent] = useState(null)
+  const [counts, setCounts] = useState({ confirmed: 0, waitlisted: 0, cancelled: 0, checked_in: 0 })
+  const [rsvps, setRsvps] = useState([])
+  const [statusFilter, setStatusFilter] = useState('')
+  const [search, setSearch] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [deleteTarget, setDeleteTarget] = useState(null)
+
+  useEffect(() => {
+    fetchAttendees()
+  }, [statusFilter])
+
+  const fetchAttendees = async () => {
+    try {
+      const query = statusFilter ? `?${new URLSearchParams({ status: statusFilter })}` : ''
+      const response = await fetch(`${getApiUrl()}/api/admin/events/${params.id}/rsvps${query}`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        setEvent(data.event)
+        setCounts(data.counts)
+        setRsvps(data.rsvps)
+      } else {
+        setError(data.message || 'Failed to load attendees')
+      }
+    } catch (error) {
+      console.error('Error fetching attendees:', error)
+      setError('Failed to load attendees')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const flash = (setter, text) => {
+    setter(text)
+    setTimeout(() => setter(''), 3000)
+  }
+
+  const updateStatus = async (rsvp, status) => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/rsvps/${rsvp.id}`, {
+        method: 'PATCH',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ status }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        flash(setSuccess, data.message || 'Registration updated')
+        fetchAttendees()
+      } else {
+        flash(setError, data.message || 'Failed to update registration')
+      }
+    } catch (error) {
+      console.error('Error updating registration:', error)
+      flash(setError, 'An error occurred while saving')
+    }
+  }
+
+  const toggleCheckIn = async (rsvp) => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/rsvps/${rsvp.id}/check-in`, {
+        method: rsvp.checked_in_at ? 'DELETE' : 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        flash(setSuccess, data.message || 'Check-in updated')
+        fetchAttendees()
+      } else {
+        flash(setError, data.message || 'Failed to update check-in')
+      }
+    } catch (error) {
+      console.error('Error updating check-in:', error)
+      flash(setError, 'An error occurred while saving')
+    }
+  }
+
+  const handleDeleteConfirm = async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/rsvps/${deleteTarget.id}`, {
+        method: 'DELETE',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        flash(setSuccess, 'Registration deleted')
+        fetchAttendees()
+      } else {
+        flash(setError, 'Failed to delete registration')
+      }
+    } catch (error) {
+      console.error('Error deleting registration:', error)
+      flash(setError, 'An error occurred while deleting')
+    } finally {
+      setDeleteTarget(null)
+    }
+  }
+
+  // The export needs the auth header, so it is fetched and saved as a blob rather than linked directly
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/events/${params.id}/rsvps/export`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (!response.ok) {
+        flash(setError, 'Failed to export attendees')
+        return
+      }
+      const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'attendees.csv'
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting attendees:', error)
+      flash(setError, 'An error occurred while exporting')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const term = search.trim().toLowerCase()
+  const visibleRsvps = term
+    ? rsvps.filter(rsvp => [rsvp.name, rsvp.email, rsvp.phone, rsvp.check_in_code].some(value => value?.toLowerCase().includes(term)))
+    : rsvps
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex flex-col md:flex-row md:items-end md:justify-between gap-4"
+      >
+        <div>
+          <Link href="/admin/events" className="text-sm text-gray-300 hover:text-white">← Back to events</Link>
+          <h1 className="text-3xl font-bold text-white mt-2 mb-2">{event ? event.title : 'Attendees'}</h1>
+          {event && <p className="text-gray-300">📅 {formatEventSchedule(event)}</p>}
+        </div>
+        <div className="flex gap-3">
+          <Link
+            href={`/admin/events/${params.id}/check-in`}
+            className="px-6 py-2 bg-accent text-white font-semibold rounded-lg hover:bg-opacity-90 transition-colors"
+          >
+            Open Check-in
+          </Link>
+          <button onClick={handleExport} disabled={exporting || !event} className="btn-primary disabled:opacity-50">
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      {event && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Confirmed</p>
+            <p className="text-2xl font-bold text-primary">
+              {counts.confirmed}{event.capacity ? <span className="text-base text-gray-500"> / {event.capacity}</span> : null}
+            </p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Waitlisted</p>
+            <p className="text-2xl font-bold text-primary">{counts.waitlisted}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Checked In</p>
+            <p className="text-2xl font-bold text-primary">
+              {counts.checked_in}<span className="text-base text-gray-500"> / {counts.confirmed}</span>
+            </p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Registration</p>
+            <p className="text-2xl font-bold text-primary">{event.registration.open ? 'Open' : 'Closed'}</p>
+            {counts.cancelled > 0 && <p className="text-xs text-gray-500">{counts.cancelled} cancelled</p>}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex flex-col md:flex-row gap-4 mb-6">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search name, email, phone or code"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            <option value="">All registrations</option>
+            <option value="confirmed">Confirmed</option>
+            <option value="waitlisted">Waitlisted</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">Loading...</div>
+        ) : visibleRsvps.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No registrations yet</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Name</th>
+                  <th className="py-2 pr-4">Email</th>
+                  <th className="py-2 pr-4">Phone</th>
+                  <th className="py-2 pr-4">Registered</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Check-in</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRsvps.map((rsvp) => (
+                  <tr key={rsvp.id} className="border-b last:border-0">
+                    <td className="py-3 pr-4 font-medium text-gray-900">{rsvp.name}</td>
+                    <td className="py-3 pr-4 text-gray-700">{rsvp.email}</td>
+                    <td className="py-3 pr-4 text-gray-700">{rsvp.phone || '—'}</td>
+                    <td className="py-3 pr-4 text-gray-500">{new Date(rsvp.created_at).toLocaleString()}</td>
+                    <td className="py-3 pr-4">
+                      <select
+                        value={rsvp.status}
+                        onChange={(e) => updateStatus(rsvp, e.target.value)}
+                        className={`px-2 py-1 rounded-full text-xs font-semibold border-0 ${STATUS_STYLES[rsvp.status]}`}
+                      >
+                        <option value="confirmed">Confirmed</option>
+                        <option value="waitlisted">Waitlisted</option>
+                        <option value="cancelled">Cancelled</option>
+                      </select>
+                    </td>
+                    <td className="py-3 pr-4">
+                      {rsvp.status === 'confirmed' && (
+                        <div className="flex items-center gap-2">
+                          <span className="font-mono text-xs text-gray-500">{rsvp.check_in_code}</span>
+                          <button
+                            onClick={() => toggleCheckIn(rsvp)}
+                            title={rsvp.checked_in_at ? `Checked in ${new Date(rsvp.checked_in_at).toLocaleString()}${rsvp.checked_in_admin ? ` by ${rsvp.checked_in_admin.username}` : ''} · click to undo` : 'Check in by hand'}
+                            className={`px-2 py-1 rounded-full text-xs font-semibold ${rsvp.checked_in_at ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                          >
+                            {rsvp.checked_in_at ? '✓ Attended' : 'Check in'}
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-3 text-right">
+                      <button onClick={() => setDeleteTarget(rsvp)} className="text-red-600 hover:text-red-800">Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Registration"
+        message={`Delete the registration for "${deleteTarget?.name}"? If they held a confirmed place it goes to the next person on the waitlist.`}
+        confirmText="Delete"
+      />
+    </div>
+  )
+}
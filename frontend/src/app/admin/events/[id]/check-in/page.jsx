@@ -0,0 +1,217 @@
+'use client'
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { formatEventSchedule } from '@/lib/events'
+
+const RESULT_STYLES = {
+  success: 'bg-green-50 border-green-300 text-green-800',
+  warning: 'bg-yellow-50 border-yellow-300 text-yellow-800',
+  error: 'bg-red-50 border-red-300 text-red-800',
+}
+
+// Ignore the same code seen again by the camera within this window
+const RESCAN_DELAY_MS = 3000
+
+export default function EventCheckIn({ params }) {
+  const [event, setEvent] = useState(null)
+  const [counts, setCounts] = useState({ confirmed: 0, checked_in: 0 })
+  const [recent, setRecent] = useState([])
+  const [code, setCode] = useState('')
+  const [result, setResult] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [canScan, setCanScan] = useState(false)
+  const [scanning, setScanning] = useState(false)
+  const inputRef = useRef(null)
+  const videoRef = useRef(null)
+  const streamRef = useRef(null)
+  const lastScanRef = useRef({ code: '', at: 0 })
+
+  const fetchAttendance = useCallback(async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/events/${params.id}/rsvps?status=confirmed`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setEvent(data.event)
+        setCounts(data.counts)
+        setRecent(
+          data.rsvps
+            .filter(rsvp => rsvp.checked_in_at)
+            .sort((a, b) => new Date(b.checked_in_at) - new Date(a.checked_in_at))
+            .slice(0, 10)
+        )
+      }
+    } catch (error) {
+      console.error('Error fetching attendance:', error)
+    }
+  }, [params.id])
+
+  useEffect(() => {
+    fetchAttendance()
+    // Camera scanning relies on the browser's built-in barcode detector; typing or a USB scanner always works
+    setCanScan(typeof window !== 'undefined' && 'BarcodeDetector' in window)
+  }, [fetchAttendance])
+
+  const submitCode = useCallback(async (value) => {
+    if (!value.trim()) return
+    setIsSubmitting(true)
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/check-in`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ code: value, event_id: Number(params.id) }),
+      })
+      const data = await response.json().catch(() => ({}))
+      setResult({
+        type: response.ok ? 'success' : response.status === 409 ? 'warning' : 'error',
+        message: data.message || 'Check-in failed',
+        attendee: data.attendee,
+      })
+      if (response.ok) fetchAttendance()
+    } catch (error) {
+      console.error('Check-in error:', error)
+      setResult({ type: 'error', message: 'Unable to connect to server' })
+    } finally {
+      setIsSubmitting(false)
+      setCode('')
+      inputRef.current?.focus()
+    }
+  }, [params.id, fetchAttendance])
+
+  const stopScanning = useCallback(() => {
+    streamRef.current?.getTracks().forEach(track => track.stop())
+    streamRef.current = null
+    setScanning(false)
+  }, [])
+
+  useEffect(() => stopScanning, [stopScanning])
+
+  useEffect(() => {
+    if (!scanning) return
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] })
+    const timer = setInterval(async () => {
+      if (!videoRef.current || videoRef.current.readyState < 2) return
+      try {
+        const [barcode] = await detector.detect(videoRef.current)
+        if (!barcode) return
+        const now = Date.now()
+        if (barcode.rawValue === lastScanRef.current.code && now - lastScanRef.current.at < RESCAN_DELAY_MS) return
+        lastScanRef.current = { code: barcode.rawValue, at: now }
+        submitCode(barcode.rawValue)
+      } catch (error) {
+        console.error('QR detection error:', error)
+      }
+    }, 400)
+    return () => clearInterval(timer)
+  }, [scanning, submitCode])
+
+  const startScanning = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      streamRef.current = stream
+      setScanning(true)
+      if (videoRef.current) {
+        videoRef.current.srcObject = stream
+        await videoRef.current.play()
+      }
+    } catch (error) {
+      console.error('Camera error:', error)
+      setResult({ type: 'error', message: 'Could not open the camera. Type the code instead.' })
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    submitCode(code)
+  }
+
+  const rate = counts.confirmed ? Math.round((counts.checked_in / counts.confirmed) * 100) : 0
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }}>
+        <Link href={`/admin/events/${params.id}/attendees`} className="text-sm text-gray-300 hover:text-white">← Back to attendees</Link>
+        <h1 className="text-3xl font-bold text-white mt-2 mb-2">Check-in{event ? `: ${event.title}` : ''}</h1>
+        {event && <p className="text-gray-300">📅 {formatEventSchedule(event)}</p>}
+      </motion.div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6 space-y-6">
+          <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-3">
+            <input
+              ref={inputRef}
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoFocus
+              autoComplete="off"
+              placeholder="Scan or type a code, e.g. K7F3-9QXP"
+              className="flex-1 px-4 py-3 border border-gray-300 rounded-lg font-mono text-lg uppercase tracking-widest"
+            />
+            <button type="submit" disabled={isSubmitting || !code.trim()} className="btn-primary disabled:opacity-50">
+              {isSubmitting ? 'Checking...' : 'Check In'}
+            </button>
+          </form>
+
+          {canScan && (
+            <div className="space-y-3">
+              {!scanning ? (
+                <button onClick={startScanning} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors">
+                  📷 Scan with camera
+                </button>
+              ) : (
+                <button onClick={stopScanning} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors">
+                  Stop camera
+                </button>
+              )}
+              <video ref={videoRef} muted playsInline className={`w-full max-w-md rounded-lg bg-black ${scanning ? '' : 'hidden'}`} />
+            </div>
+          )}
+
+          {result && (
+            <div className={`border-2 rounded-lg p-4 ${RESULT_STYLES[result.type]}`}>
+              <p className="text-lg font-bold">{result.message}</p>
+              {result.attendee && (
+                <p className="text-sm mt-1">
+                  {result.attendee.name} · {result.attendee.email} · {result.attendee.check_in_code}
+                  {result.attendee.checked_in_at && ` · checked in ${new Date(result.attendee.checked_in_at).toLocaleTimeString()}`}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <p className="text-sm text-gray-500">Attendance</p>
+          <p className="text-4xl font-bold text-primary">
+            {counts.checked_in}<span className="text-xl text-gray-500"> / {counts.confirmed}</span>
+          </p>
+          <div className="h-2 bg-gray-100 rounded-full mt-3 overflow-hidden">
+            <div className="h-full bg-green-500" style={{ width: `${rate}%` }} />
+          </div>
+          <p className="text-xs text-gray-500 mt-1">{rate}% of confirmed registrations</p>
+
+          <h2 className="font-semibold text-gray-800 mt-6 mb-3">Latest check-ins</h2>
+          {recent.length === 0 ? (
+            <p className="text-sm text-gray-500">Nobody has checked in yet</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {recent.map((rsvp) => (
+                <li key={rsvp.id} className="flex justify-between gap-2">
+                  <span className="text-gray-800 truncate">{rsvp.name}</span>
+                  <span className="text-gray-500 shrink-0">{new Date(rsvp.checked_in_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
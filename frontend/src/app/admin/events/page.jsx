@@ -1,20 +1,64 @@
 'use client'
 
 import { useState, useEffect } from 'react'
+import Link from 'next/link'
 import { motion } from 'framer-motion'
 import { getApiHeaders, getApiUrl } from '@/lib/auth'
 import { Dialog, ConfirmDialog } from '@/components/admin/Dialog'
+import { MarkdownEditor } from '@/components/admin/MarkdownEditor'
+import { RevisionHistory } from '@/components/admin/RevisionHistory'
+import { EventOccurrences } from '@/components/admin/EventOccurrences'
+import {
+  DEFAULT_EVENT_TIMEZONE,
+  EVENT_TIMEZONES,
+  RECURRENCE_FREQUENCIES,
+  describeRecurrence,
+  formatEventSchedule,
+  toEventInputValue,
+} from '@/lib/events'
+
+const REVISION_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'slug', label: 'URL Slug' },
+  { key: 'event_date', label: 'Date & Time' },
+  { key: 'end_date', label: 'Ends' },
+  { key: 'timezone', label: 'Timezone' },
+  { key: 'location', label: 'Location' },
+  { key: 'description', label: 'Description', multiline: true },
+  { key: 'image_url', label: 'Image' },
+  { key: 'capacity', label: 'Capacity' },
+  { key: 'registration_open', label: 'Registration Open' },
+  { key: 'recurrence_frequency', label: 'Repeats' },
+  { key: 'recurrence_interval', label: 'Repeat Every' },
+  { key: 'recurrence_until', label: 'Repeat Until' },
+  { key: 'recurrence_count', label: 'Number of Dates' },
+]
+
+// recurrence_ends only drives the form; the API gets either an end date or a count
+const initialForm = {
+  title: '',
+  slug: '',
+  description: '',
+  event_date: '',
+  end_date: '',
+  timezone: DEFAULT_EVENT_TIMEZONE,
+  location: '',
+  image_url: '',
+  capacity: '',
+  registration_open: true,
+  recurrence_frequency: '',
+  recurrence_interval: 1,
+  recurrence_ends: 'never',
+  recurrence_until: '',
+  recurrence_count: '',
+}
+
+// "2026-06-30" in the event's timezone, for a date input
+const toDateInputValue = (value, timeZone) => toEventInputValue(value, timeZone).slice(0, 10)
 
 export default function AdminEvents() {
   const [events, setEvents] = useState([])
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    event_date: '',
-    location: '',
-    image_url: '',
-    is_upcoming: true
-  })
+  const [formData, setFormData] = useState(initialForm)
   const [imagePreview, setImagePreview] = useState(null)
   const [uploadingImage, setUploadingImage] = useState(false)
   const [editingId, setEditingId] = useState(null)
@@ -25,6 +69,12 @@ export default function AdminEvents() {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [eventToDelete, setEventToDelete] = useState(null)
   const [showForm, setShowForm] = useState(false)
+  const [historyItem, setHistoryItem] = useState(null)
+  const [datesSeries, setDatesSeries] = useState(null)
+  // Set while editing one date of a series: { series, occurrence_date }
+  const [editingOccurrence, setEditingOccurrence] = useState(null)
+  // Dates edited on their own belong to a series and cannot repeat themselves
+  const [editingSeriesDate, setEditingSeriesDate] = useState(false)
 
   useEffect(() => {
     fetchEvents()
@@ -35,14 +85,18 @@ export default function AdminEvents() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/events`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
       if (response.ok) {
         const data = await response.json()
+        // Upcoming events first, soonest at the top; then the archive, most recent first
         setEvents(data.sort((a, b) => {
-          if (a.is_upcoming === b.is_upcoming) {
-            return new Date(b.event_date) - new Date(a.event_date)
+          if (a.status === b.status) {
+            return a.status === 'upcoming'
+              ? new Date(a.event_date) - new Date(b.event_date)
+              : new Date(b.event_date) - new Date(a.event_date)
           }
-          return a.is_upcoming ? -1 : 1
+          return a.status === 'upcoming' ? -1 : 1
         }))
       }
     } catch (error) {
@@ -91,9 +145,8 @@ export default function AdminEvents() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/upload`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        },
+        headers: getApiHeaders({ json: false }),
+        credentials: 'include',
         body: formDataUpload,
       })
 
@@ -124,28 +177,33 @@ export default function AdminEvents() {
     try {
       const apiUrl = getApiUrl()
       const method = editingId ? 'PUT' : 'POST'
-      const url = editingId
-        ? `${apiUrl}/api/admin/events/${editingId}`
-        : `${apiUrl}/api/admin/events`
+      const url = editingOccurrence
+        ? `${apiUrl}/api/admin/events/${editingOccurrence.series.id}/occurrences`
+        : editingId
+          ? `${apiUrl}/api/admin/events/${editingId}`
+          : `${apiUrl}/api/admin/events`
+      const { recurrence_ends, ...fields } = formData
+      const body = {
+        ...fields,
+        recurrence_until: recurrence_ends === 'on' ? fields.recurrence_until : '',
+        recurrence_count: recurrence_ends === 'after' ? fields.recurrence_count : '',
+        ...(editingOccurrence && { occurrence_date: editingOccurrence.occurrence_date }),
+      }
 
       const response = await fetch(url, {
-        method,
+        method: editingOccurrence ? 'POST' : method,
         headers: getApiHeaders(),
-        body: JSON.stringify(formData),
+        credentials: 'include',
+        body: JSON.stringify(body),
       })
 
       if (response.ok) {
-        setSuccess(editingId ? 'Event updated successfully!' : 'Event created successfully!')
-        setFormData({
-          title: '',
-          description: '',
-          event_date: '',
-          location: '',
-          image_url: '',
-          is_upcoming: true
-        })
+        setSuccess(editingOccurrence ? 'Date updated successfully!' : editingId ? 'Event updated successfully!' : 'Event created successfully!')
+        setFormData(initialForm)
         setImagePreview(null)
         setEditingId(null)
+        setEditingOccurrence(null)
+        setEditingSeriesDate(false)
         setShowForm(false)
         fetchEvents()
         setTimeout(() => setSuccess(''), 3000)
@@ -164,14 +222,53 @@ export default function AdminEvents() {
   const handleEdit = (event) => {
     setFormData({
       title: event.title,
+      slug: event.slug || '',
       description: event.description || '',
-      event_date: event.event_date || '',
+      event_date: toEventInputValue(event.event_date, event.timezone),
+      end_date: toEventInputValue(event.end_date, event.timezone),
+      timezone: event.timezone || DEFAULT_EVENT_TIMEZONE,
       location: event.location || '',
       image_url: event.image_url || '',
-      is_upcoming: event.is_upcoming
+      capacity: event.capacity ?? '',
+      registration_open: event.registration_open,
+      recurrence_frequency: event.recurrence_frequency || '',
+      recurrence_interval: event.recurrence_interval || 1,
+      recurrence_ends: event.recurrence_until ? 'on' : event.recurrence_count ? 'after' : 'never',
+      recurrence_until: event.recurrence_until ? toDateInputValue(event.recurrence_until, event.timezone) : '',
+      recurrence_count: event.recurrence_count ?? ''
     })
     setImagePreview(event.image_url)
     setEditingId(event.id)
+    setEditingOccurrence(null)
+    setEditingSeriesDate(!!event.series_id)
+    setShowForm(true)
+  }
+
+  // Editing a date that was already edited opens its own event; otherwise the
+  // form starts from the series, moved to that date, and saving splits it off
+  const handleEditOccurrence = (series, occurrence) => {
+    setDatesSeries(null)
+    if (occurrence.override) {
+      const override = events.find(e => e.id === occurrence.override.id)
+      if (override) handleEdit(override)
+      return
+    }
+    setFormData({
+      ...initialForm,
+      title: series.title,
+      description: series.description || '',
+      event_date: toEventInputValue(occurrence.event_date, series.timezone),
+      end_date: toEventInputValue(occurrence.end_date, series.timezone),
+      timezone: series.timezone || DEFAULT_EVENT_TIMEZONE,
+      location: series.location || '',
+      image_url: series.image_url || '',
+      capacity: series.capacity ?? '',
+      registration_open: series.registration_open
+    })
+    setImagePreview(series.image_url)
+    setEditingId(null)
+    setEditingOccurrence({ series, occurrence_date: occurrence.occurrence_date })
+    setEditingSeriesDate(true)
     setShowForm(true)
   }
 
@@ -186,6 +283,7 @@ export default function AdminEvents() {
       const response = await fetch(`${apiUrl}/api/admin/events/${eventToDelete.id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -205,16 +303,11 @@ export default function AdminEvents() {
   }
 
   const handleCancel = () => {
-    setFormData({
-      title: '',
-      description: '',
-      event_date: '',
-      location: '',
-      image_url: '',
-      is_upcoming: true
-    })
+    setFormData(initialForm)
     setImagePreview(null)
     setEditingId(null)
+    setEditingOccurrence(null)
+    setEditingSeriesDate(false)
     setShowForm(false)
   }
 
@@ -245,14 +338,9 @@ export default function AdminEvents() {
             onClick={() => {
               setShowForm(true)
               setEditingId(null)
-              setFormData({
-                title: '',
-                description: '',
-                event_date: '',
-                location: '',
-                image_url: '',
-                is_upcoming: true
-              })
+              setEditingOccurrence(null)
+              setEditingSeriesDate(false)
+              setFormData(initialForm)
               setImagePreview(null)
             }}
             className="btn-primary"
@@ -266,8 +354,15 @@ export default function AdminEvents() {
       <Dialog
         isOpen={showForm}
         onClose={() => setShowForm(false)}
-        title={editingId ? 'Edit Event' : 'Create New Event'}
+        title={editingOccurrence ? `Edit Date: ${editingOccurrence.series.title}` : editingId ? 'Edit Event' : 'Create New Event'}
       >
+        {editingSeriesDate && (
+          <p className="text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg px-4 py-3 mb-4">
+            {editingOccurrence
+              ? 'Changes apply to this date only. It becomes its own event with separate registrations, and later edits to the series leave it unchanged.'
+              : 'This is a single date of a recurring event, edited on its own. Deleting it cancels that date.'}
+          </p>
+        )}
         <form onSubmit={handleSubmit} className="space-y-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
@@ -284,7 +379,23 @@ export default function AdminEvents() {
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Date & Time</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+              <select
+                name="timezone"
+                value={formData.timezone}
+                onChange={handleChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              >
+                {(EVENT_TIMEZONES.includes(formData.timezone) ? EVENT_TIMEZONES : [formData.timezone, ...EVENT_TIMEZONES]).map((zone) => (
+                  <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Starts</label>
               <input
                 type="datetime-local"
                 name="event_date"
@@ -294,6 +405,119 @@ export default function AdminEvents() {
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Ends (optional)</label>
+              <input
+                type="datetime-local"
+                name="end_date"
+                value={formData.end_date}
+                min={formData.event_date || undefined}
+                onChange={handleChange}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">
+            Times are in the selected timezone. The event moves to Past events once it ends, or at the end of its day when no end time is set.
+          </p>
+
+          {!editingSeriesDate && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Repeats</label>
+                <select
+                  name="recurrence_frequency"
+                  value={formData.recurrence_frequency}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                >
+                  <option value="">Does not repeat</option>
+                  {RECURRENCE_FREQUENCIES.map((frequency) => (
+                    <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {formData.recurrence_frequency && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Every ({RECURRENCE_FREQUENCIES.find(f => f.value === formData.recurrence_frequency)?.unit}s)
+                    </label>
+                    <input
+                      type="number"
+                      name="recurrence_interval"
+                      min="1"
+                      max="99"
+                      value={formData.recurrence_interval}
+                      onChange={handleChange}
+                      required
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Ends</label>
+                    <select
+                      name="recurrence_ends"
+                      value={formData.recurrence_ends}
+                      onChange={handleChange}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    >
+                      <option value="never">Never</option>
+                      <option value="on">On a date</option>
+                      <option value="after">After a number of dates</option>
+                    </select>
+                    {formData.recurrence_ends === 'on' && (
+                      <input
+                        type="date"
+                        name="recurrence_until"
+                        value={formData.recurrence_until}
+                        min={formData.event_date.slice(0, 10) || undefined}
+                        onChange={handleChange}
+                        required
+                        className="mt-2 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                      />
+                    )}
+                    {formData.recurrence_ends === 'after' && (
+                      <input
+                        type="number"
+                        name="recurrence_count"
+                        min="1"
+                        max="500"
+                        value={formData.recurrence_count}
+                        onChange={handleChange}
+                        required
+                        placeholder="Number of dates"
+                        className="mt-2 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                      />
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+          {!editingSeriesDate && formData.recurrence_frequency && (
+            <p className="text-xs text-gray-500 -mt-2">
+              The start and end times repeat on every date. Saving changes updates every date except those edited on their own; use Dates to skip or edit a single date.
+              Recurring events do not take registrations; edit a single date to open registration for it.
+            </p>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">URL Slug</label>
+            <input
+              type="text"
+              name="slug"
+              value={formData.slug}
+              onChange={handleChange}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              placeholder="Generated from the title"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Public link: /events/{formData.slug || 'generated-from-title'}. Previous links keep working after a change.
+            </p>
           </div>
 
           <div>
@@ -308,38 +532,55 @@ export default function AdminEvents() {
             />
           </div>
 
+          {(editingSeriesDate || !formData.recurrence_frequency) && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Capacity</label>
+                  <input
+                    type="number"
+                    name="capacity"
+                    min="1"
+                    value={formData.capacity}
+                    onChange={handleChange}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    placeholder="Unlimited"
+                  />
+                </div>
+                <label className="flex items-center space-x-2 pb-2">
+                  <input
+                    type="checkbox"
+                    name="registration_open"
+                    checked={formData.registration_open}
+                    onChange={handleChange}
+                    className="w-5 h-5 text-primary rounded focus:ring-primary"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Accept registrations</span>
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 -mt-2">
+                Once the capacity is reached new registrations join a waitlist, and waitlisted attendees move up automatically when places free up.
+              </p>
+            </>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
-            <textarea
-              name="description"
+            <MarkdownEditor
               value={formData.description}
-              onChange={handleChange}
-              rows="4"
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              onChange={(description) => setFormData(prev => ({ ...prev, description }))}
+              rows={6}
               placeholder="Event description"
             />
           </div>
 
-          <div className="flex items-center space-x-4">
-            <label className="flex items-center space-x-2">
-              <input
-                type="checkbox"
-                name="is_upcoming"
-                checked={formData.is_upcoming}
-                onChange={handleChange}
-                className="w-5 h-5 text-primary rounded focus:ring-primary"
-              />
-              <span className="text-sm font-medium text-gray-700">Mark as Upcoming</span>
-            </label>
-          </div>
-
           <div className="flex gap-4">
             <button
               type="submit"
               disabled={isSubmitting}
               className="flex-1 btn-primary disabled:opacity-50"
             >
-              {isSubmitting ? 'Saving...' : editingId ? 'Update Event' : 'Create Event'}
+              {isSubmitting ? 'Saving...' : editingOccurrence ? 'Save This Date' : editingId ? 'Update Event' : 'Create Event'}
             </button>
             <button
               type="button"
@@ -386,31 +627,64 @@ export default function AdminEvents() {
                       <div>
                         <h3 className="font-bold text-primary text-lg">{event.title}</h3>
                         <p className="text-gray-600 text-sm">{event.location}</p>
+                        {event.recurrence_frequency && (
+                          <span className="inline-block mt-1 px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full text-xs font-semibold">
+                            🔁 {describeRecurrence(event)}
+                          </span>
+                        )}
+                        {event.series && (
+                          <span className="inline-block mt-1 px-2 py-0.5 bg-blue-50 text-blue-700 rounded-full text-xs font-semibold">
+                            Date of “{event.series.title}”
+                          </span>
+                        )}
                       </div>
-                      {event.is_upcoming && (
+                      {event.status === 'upcoming' ? (
                         <span className="px-3 py-1 bg-green-100 text-green-700 rounded-full text-xs font-semibold">
                           Upcoming
                         </span>
+                      ) : (
+                        <span className="px-3 py-1 bg-gray-100 text-gray-600 rounded-full text-xs font-semibold">
+                          Past{event.photo_count > 0 ? ` · ${event.photo_count} recap photo${event.photo_count === 1 ? '' : 's'}` : ''}
+                        </span>
                       )}
                     </div>
                     <p className="text-gray-700 text-sm mb-2 line-clamp-2">{event.description}</p>
+                    <p className="text-gray-500 text-xs mb-1">
+                      📅 {formatEventSchedule(event)}
+                    </p>
                     <p className="text-gray-500 text-xs mb-4">
-                      📅 {new Date(event.event_date).toLocaleDateString('en-US', {
-                        month: 'short',
-                        day: 'numeric',
-                        year: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                      })}
+                      🎟️ {event.rsvp_confirmed} registered{event.capacity ? ` of ${event.capacity}` : ''}
+                      {event.rsvp_waitlisted > 0 && ` · ${event.rsvp_waitlisted} waitlisted`}
+                      {!event.registration_open && ' · registration closed'}
                     </p>
 
-                    <div className="flex gap-2">
+                    <div className="flex flex-wrap gap-2">
                       <button
                         onClick={() => handleEdit(event)}
                         className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-opacity-90 transition-colors text-sm"
                       >
                         Edit
                       </button>
+                      {event.recurrence_frequency && (
+                        <button
+                          onClick={() => setDatesSeries(event)}
+                          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+                        >
+                          Dates
+                        </button>
+                      )}
+                      <Link
+                        href={`/admin/events/${event.id}/attendees`}
+                        className="px-4 py-2 bg-accent text-white rounded-lg hover:bg-opacity-90 transition-colors text-sm"
+                      >
+                        Attendees
+                      </Link>
+                      <button
+                        onClick={() => setHistoryItem(event)}
+                        className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm"
+                      >
+                        History
+                      </button>
                       <button
                         onClick={() => handleDelete(event.id)}
                         className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
@@ -426,12 +700,40 @@ export default function AdminEvents() {
         )}
       </motion.div>
 
+      <RevisionHistory
+        isOpen={!!historyItem}
+        onClose={() => setHistoryItem(null)}
+        resource="events"
+        item={historyItem}
+        fields={REVISION_FIELDS}
+        onRestored={(message) => {
+          setSuccess(message || 'Revision restored')
+          fetchEvents()
+          setTimeout(() => setSuccess(''), 3000)
+        }}
+      />
+
+      <EventOccurrences
+        isOpen={!!datesSeries}
+        onClose={() => setDatesSeries(null)}
+        series={datesSeries}
+        onEdit={(occurrence) => handleEditOccurrence(datesSeries, occurrence)}
+        onChanged={(message) => {
+          setSuccess(message || 'Dates updated')
+          setTimeout(() => setSuccess(''), 3000)
+        }}
+      />
+
       <ConfirmDialog
         isOpen={showDeleteConfirm}
         onClose={() => setShowDeleteConfirm(false)}
         onConfirm={handleDeleteConfirm}
         title="Delete Event"
-        message={`Are you sure you want to delete "${eventToDelete?.title}"? This action cannot be undone.`}
+        message={eventToDelete?.series
+          ? `Delete this date of "${eventToDelete.series.title}"? The date is cancelled rather than returning to the series; restore it from the series' Dates.`
+          : eventToDelete?.recurrence_frequency
+            ? `Are you sure you want to delete "${eventToDelete.title}" and all of its dates? Dates edited on their own are kept as separate events.`
+            : `Are you sure you want to delete "${eventToDelete?.title}"? This action cannot be undone.`}
         confirmText="Delete"
       />
     </div>
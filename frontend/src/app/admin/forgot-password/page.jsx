@@ -0,0 +1,17 @@
+import Link from 'next/link'
+import ForgotPassword from '@/components/admin/ForgotPassword'
+
+export const metadata = {
+  title: 'Forgot Password | BUCCUSA Admin',
+}
+
+export default function ForgotPasswordPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-950 via-blue-900 to-blue-800 flex flex-col items-center justify-center p-4">
+      <ForgotPassword />
+      <Link href="/admin/members/login" className="mt-6 text-sm text-gray-300 hover:text-accent">
+        ← Back to sign in
+      </Link>
+    </div>
+  )
+}
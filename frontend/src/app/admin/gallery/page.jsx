@@ -0,0 +1,371 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Image from 'next/image'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { ConfirmDialog } from '@/components/admin/Dialog'
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+export default function AdminGallery() {
+  const [items, setItems] = useState([])
+  const [categories, setCategories] = useState([])
+  const [categoryFilter, setCategoryFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [events, setEvents] = useState([])
+  const [uploadForm, setUploadForm] = useState({ title: '', category: '', event_id: '' })
+  const [files, setFiles] = useState([])
+  const [uploading, setUploading] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [editForm, setEditForm] = useState({ title: '', category: '', event_id: '' })
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [deleteTarget, setDeleteTarget] = useState(null)
+
+  useEffect(() => {
+    fetchGallery()
+  }, [categoryFilter])
+
+  useEffect(() => {
+    fetchEvents()
+  }, [])
+
+  const fetchEvents = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/events`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        setEvents(await response.json())
+      }
+    } catch (error) {
+      console.error('Error fetching events:', error)
+    }
+  }
+
+  const fetchGallery = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const params = categoryFilter ? `?${new URLSearchParams({ category: categoryFilter })}` : ''
+      const response = await fetch(`${apiUrl}/api/admin/gallery${params}`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setItems(data.items || [])
+        setCategories(data.categories || [])
+      }
+    } catch (error) {
+      console.error('Error fetching gallery:', error)
+      setError('Failed to load gallery')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const flash = (setter, text) => {
+    setter(text)
+    setTimeout(() => setter(''), 3000)
+  }
+
+  const handleFilesChange = (e) => {
+    const selected = Array.from(e.target.files || [])
+    const invalid = selected.find(file => !ALLOWED_TYPES.includes(file.type) || file.size > 5 * 1024 * 1024)
+    if (invalid) {
+      flash(setError, `${invalid.name} must be a JPEG, PNG or WebP image under 5MB`)
+      e.target.value = ''
+      setFiles([])
+      return
+    }
+    setFiles(selected)
+  }
+
+  const handleUpload = async (e) => {
+    e.preventDefault()
+    if (files.length === 0) return
+    setUploading(true)
+    try {
+      const body = new FormData()
+      files.forEach(file => body.append('files', file))
+      body.append('title', uploadForm.title)
+      body.append('category', uploadForm.category)
+      body.append('event_id', uploadForm.event_id)
+
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/gallery`, {
+        method: 'POST',
+        headers: getApiHeaders({ json: false }),
+        credentials: 'include',
+        body,
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        flash(setSuccess, data.message || 'Images uploaded')
+        setFiles([])
+        setUploadForm({ ...uploadForm, title: '' })
+        e.target.reset()
+        fetchGallery()
+      } else {
+        flash(setError, data.message || 'Failed to upload images')
+      }
+    } catch (error) {
+      console.error('Error uploading images:', error)
+      flash(setError, 'An error occurred while uploading')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const updateItem = async (item, changes) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/gallery/${item.id}`, {
+        method: 'PUT',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(changes),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        flash(setSuccess, data.message || 'Gallery item updated')
+        fetchGallery()
+        return true
+      }
+      flash(setError, data.message || 'Failed to update gallery item')
+    } catch (error) {
+      console.error('Error updating gallery item:', error)
+      flash(setError, 'An error occurred while saving')
+    }
+    return false
+  }
+
+  const startEdit = (item) => {
+    setEditingId(item.id)
+    setEditForm({ title: item.title || '', category: item.category || '', event_id: item.event_id || '' })
+  }
+
+  const handleEditSave = async (item) => {
+    if (await updateItem(item, editForm)) setEditingId(null)
+  }
+
+  const moveItem = async (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= items.length) return
+    const reordered = [...items]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    setItems(reordered)
+
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/gallery/reorder`, {
+        method: 'PUT',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ ids: reordered.map(item => item.id) }),
+      })
+      if (!response.ok) {
+        flash(setError, 'Failed to save the new order')
+        fetchGallery()
+      }
+    } catch (error) {
+      console.error('Error reordering gallery:', error)
+      flash(setError, 'An error occurred while reordering')
+      fetchGallery()
+    }
+  }
+
+  const handleDeleteConfirm = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/gallery/${deleteTarget.id}`, {
+        method: 'DELETE',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        flash(setSuccess, 'Image deleted')
+        fetchGallery()
+      } else {
+        flash(setError, 'Failed to delete image')
+      }
+    } catch (error) {
+      console.error('Error deleting gallery item:', error)
+      flash(setError, 'An error occurred while deleting')
+    } finally {
+      setDeleteTarget(null)
+    }
+  }
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex flex-col md:flex-row md:items-end md:justify-between gap-4"
+      >
+        <div>
+          <h1 className="text-3xl font-bold text-white mb-2">Gallery</h1>
+          <p className="text-gray-300">Upload photos, group them into albums, link them to past events as recaps and choose the order they appear on the home page.</p>
+        </div>
+        <select
+          value={categoryFilter}
+          onChange={(e) => setCategoryFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All albums</option>
+          {categories.map((category) => (
+            <option key={category.name} value={category.name}>{category.name} ({category.count})</option>
+          ))}
+        </select>
+      </motion.div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      <form onSubmit={handleUpload} className="bg-white rounded-lg shadow-lg p-6 space-y-4">
+        <h2 className="text-lg font-bold text-primary">Upload Images</h2>
+        <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Images *</label>
+            <input
+              type="file"
+              accept={ALLOWED_TYPES.join(',')}
+              multiple
+              onChange={handleFilesChange}
+              className="w-full text-sm"
+            />
+            {files.length > 0 && <p className="text-xs text-gray-500 mt-1">{files.length} file(s) selected</p>}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Album / Category</label>
+            <input
+              type="text"
+              list="gallery-categories"
+              value={uploadForm.category}
+              onChange={(e) => setUploadForm({ ...uploadForm, category: e.target.value })}
+              placeholder="e.g. Outreach 2024"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Caption</label>
+            <input
+              type="text"
+              value={uploadForm.title}
+              onChange={(e) => setUploadForm({ ...uploadForm, title: e.target.value })}
+              placeholder="Applied to every uploaded image"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Event Recap</label>
+            <select
+              value={uploadForm.event_id}
+              onChange={(e) => setUploadForm({ ...uploadForm, event_id: e.target.value })}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">Not linked to an event</option>
+              {events.map((event) => (
+                <option key={event.id} value={event.id}>{event.title}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <datalist id="gallery-categories">
+          {categories.map((category) => (
+            <option key={category.name} value={category.name} />
+          ))}
+        </datalist>
+        <button type="submit" disabled={uploading || files.length === 0} className="btn-primary disabled:opacity-50">
+          {uploading ? 'Uploading...' : 'Upload'}
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-lg font-bold text-primary mb-4">Images ({items.length})</h2>
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">Loading...</div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No images yet</div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+            {items.map((item, index) => (
+              <div key={item.id} className={`border rounded-lg overflow-hidden ${item.is_active ? 'border-gray-200' : 'border-dashed border-gray-400 opacity-60'}`}>
+                <div className="relative aspect-square bg-gray-100">
+                  <Image src={item.image_url} alt={item.title || 'Gallery image'} fill sizes="25vw" className="object-cover" />
+                </div>
+                <div className="p-3 space-y-2">
+                  {editingId === item.id ? (
+                    <>
+                      <input
+                        type="text"
+                        value={editForm.title}
+                        onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                        placeholder="Caption"
+                        className="w-full px-3 py-1 border border-gray-300 rounded text-sm"
+                      />
+                      <input
+                        type="text"
+                        list="gallery-categories"
+                        value={editForm.category}
+                        onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                        placeholder="Album / Category"
+                        className="w-full px-3 py-1 border border-gray-300 rounded text-sm"
+                      />
+                      <select
+                        value={editForm.event_id}
+                        onChange={(e) => setEditForm({ ...editForm, event_id: e.target.value })}
+                        className="w-full px-3 py-1 border border-gray-300 rounded text-sm"
+                      >
+                        <option value="">Not linked to an event</option>
+                        {events.map((event) => (
+                          <option key={event.id} value={event.id}>{event.title}</option>
+                        ))}
+                      </select>
+                      <div className="flex gap-2">
+                        <button onClick={() => handleEditSave(item)} className="text-sm text-primary font-semibold">Save</button>
+                        <button onClick={() => setEditingId(null)} className="text-sm text-gray-600">Cancel</button>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-sm font-medium text-gray-900 truncate">{item.title || 'Untitled'}</p>
+                      <p className="text-xs text-gray-500">{item.category || 'Uncategorized'}</p>
+                      {item.event && <p className="text-xs text-primary truncate">📅 Recap: {item.event.title}</p>}
+                      <div className="flex flex-wrap gap-x-3 gap-y-1 text-sm">
+                        <button onClick={() => moveItem(index, -1)} disabled={index === 0} className="text-gray-600 disabled:opacity-30" title="Move earlier">↑</button>
+                        <button onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} className="text-gray-600 disabled:opacity-30" title="Move later">↓</button>
+                        <button onClick={() => startEdit(item)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                        <button onClick={() => updateItem(item, { is_active: !item.is_active })} className="text-yellow-600 hover:text-yellow-800">
+                          {item.is_active ? 'Hide' : 'Show'}
+                        </button>
+                        <button onClick={() => setDeleteTarget(item)} className="text-red-600 hover:text-red-800">Delete</button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Image"
+        message="Are you sure you want to delete this image from the gallery? This action cannot be undone."
+        confirmText="Delete"
+      />
+    </div>
+  )
+}
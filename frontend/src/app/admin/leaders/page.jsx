@@ -32,6 +32,7 @@ export default function AdminLeaders() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/leaders`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
       if (response.ok) {
         const data = await response.json()
@@ -91,9 +92,8 @@ export default function AdminLeaders() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/upload`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        },
+        headers: getApiHeaders({ json: false }),
+        credentials: 'include',
         body: formDataUpload,
       })
 
@@ -131,6 +131,7 @@ export default function AdminLeaders() {
       const response = await fetch(url, {
         method,
         headers: getApiHeaders(),
+        credentials: 'include',
         body: JSON.stringify(formData),
       })
 
@@ -191,6 +192,7 @@ export default function AdminLeaders() {
       const response = await fetch(`${apiUrl}/api/admin/leaders/${id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -3,6 +3,10 @@
 import { useState } from 'react'
 import { useRouter } from 'next/navigation'
 import { motion } from 'framer-motion'
+import { setAdminUser, setAuthSession } from '@/lib/auth'
+import { BackupCodes, TwoFactorSetup } from '@/components/admin/TwoFactorSetup'
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent'
 
 export default function AdminLogin() {
   const router = useRouter()
@@ -12,6 +16,38 @@ export default function AdminLogin() {
   })
   const [error, setError] = useState('')
   const [isLoading, setIsLoading] = useState(false)
+  // Accounts with two-factor authentication sign in in two steps. 'verify' asks
+  // for a code; 'setup' enrols admins whose role requires it; 'backup-codes'
+  // shows the codes from that enrolment before continuing.
+  const [step, setStep] = useState('password')
+  const [challengeToken, setChallengeToken] = useState('')
+  const [twoFactorCode, setTwoFactorCode] = useState('')
+  const [setup, setSetup] = useState(null)
+  const [backupCodes, setBackupCodes] = useState([])
+
+  const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001'
+
+  const post = (path, body) => fetch(`${apiUrl}/api/admin/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify(body),
+  })
+
+  const signIn = (data) => {
+    setAuthSession(data)
+    setAdminUser(data.admin)
+  }
+
+  const startOver = (message) => {
+    setStep('password')
+    setChallengeToken('')
+    setTwoFactorCode('')
+    setSetup(null)
+    setError(message)
+  }
 
   const handleChange = (e) => {
     setFormData({
@@ -27,14 +63,7 @@ export default function AdminLogin() {
     setError('')
 
     try {
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001'
-      const response = await fetch(`${apiUrl}/api/admin/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
-      })
+      const response = await post('login', formData)
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({ message: 'Login failed' }))
@@ -45,10 +74,14 @@ export default function AdminLogin() {
 
       const data = await response.json()
       
-      if (data.token && data.admin) {
-        // Store token in localStorage
-        localStorage.setItem('token', data.token)
-        localStorage.setItem('user', JSON.stringify(data.admin))
+      if (data.two_factor === 'verify') {
+        setChallengeToken(data.challenge_token)
+        setStep('verify')
+      } else if (data.two_factor === 'setup') {
+        setChallengeToken(data.challenge_token)
+        await startSetup(data.challenge_token)
+      } else if (data.csrf_token && data.admin) {
+        signIn(data)
         // Redirect to admin dashboard
         router.push('/admin/dashboard')
       } else {
@@ -62,6 +95,72 @@ export default function AdminLogin() {
     }
   }
 
+  const startSetup = async (token) => {
+    const response = await post('login/setup', { challenge_token: token })
+    const data = await response.json().catch(() => ({}))
+    if (response.ok) {
+      setSetup(data)
+      setStep('setup')
+    } else {
+      startOver(data.message || 'Unable to start two-factor setup. Please sign in again.')
+    }
+  }
+
+  const handleVerify = async (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+    setError('')
+
+    try {
+      const response = await post('login/verify', { challenge_token: challengeToken, code: twoFactorCode })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        signIn(data)
+        router.push('/admin/dashboard')
+      } else if (response.status === 401) {
+        startOver(data.message)
+      } else {
+        setError(data.message || 'Invalid authentication code')
+        setTwoFactorCode('')
+      }
+    } catch (error) {
+      console.error('Two-factor verification error:', error)
+      setError('Unable to connect to server. Please check your connection and try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleEnable = async (code) => {
+    setIsLoading(true)
+    setError('')
+
+    try {
+      const response = await post('login/enable', { challenge_token: challengeToken, code })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        signIn(data)
+        setBackupCodes(data.backup_codes)
+        setStep('backup-codes')
+      } else if (response.status === 401) {
+        startOver(data.message)
+      } else {
+        setError(data.message || 'That code did not match')
+      }
+    } catch (error) {
+      console.error('Two-factor setup error:', error)
+      setError('Unable to connect to server. Please check your connection and try again.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const errorBox = error && (
+    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+      {error}
+    </div>
+  )
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -73,56 +172,120 @@ export default function AdminLogin() {
           <h1 className="text-3xl font-heading font-bold text-primary mb-2">
             BUCCUSA Admin
           </h1>
-          <p className="text-gray-600">Sign in to manage your content</p>
+          <p className="text-gray-600">
+            {step === 'verify' && 'Enter the code from your authenticator app'}
+            {step === 'setup' && 'Your role requires two-factor authentication. Set it up to continue.'}
+            {step === 'backup-codes' && 'Two-factor authentication is on'}
+            {step === 'password' && 'Sign in to manage your content'}
+          </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-6">
-          <div>
-            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
-              Username
-            </label>
-            <input
-              type="text"
-              id="username"
-              name="username"
-              value={formData.username}
-              onChange={handleChange}
-              required
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
-              placeholder="Enter your username"
-            />
-          </div>
-
-          <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-              Password
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              required
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
-              placeholder="Enter your password"
-            />
-          </div>
-
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-              {error}
+        {step === 'verify' && (
+          <form onSubmit={handleVerify} className="space-y-6">
+            <div>
+              <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700 mb-2">
+                Authentication code
+              </label>
+              <input
+                type="text"
+                id="two-factor-code"
+                autoComplete="one-time-code"
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e) => {
+                  setTwoFactorCode(e.target.value)
+                  setError('')
+                }}
+                required
+                className={`${inputClass} tracking-widest text-center`}
+                placeholder="123456"
+              />
+              <p className="mt-2 text-sm text-gray-500">
+                Lost your device? Enter one of your backup codes instead, or{' '}
+                <a href="/admin/forgot-password" className="text-primary hover:text-accent">reset your password</a>
+                {' '}to turn two-factor authentication off.
+              </p>
+            </div>
+
+            {errorBox}
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+            <button type="button" onClick={() => startOver('')} className="w-full text-sm text-gray-600 hover:text-primary">
+              Use a different account
+            </button>
+          </form>
+        )}
+
+        {step === 'setup' && setup && (
+          <TwoFactorSetup
+            setup={setup}
+            onConfirm={handleEnable}
+            isSubmitting={isLoading}
+            error={error}
+            submitLabel="Turn On and Sign In"
+          />
+        )}
+
+        {step === 'backup-codes' && (
+          <BackupCodes codes={backupCodes} onDone={() => router.push('/admin/dashboard')} />
+        )}
+
+        {step === 'password' && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-2">
+                Username
+              </label>
+              <input
+                type="text"
+                id="username"
+                name="username"
+                value={formData.username}
+                onChange={handleChange}
+                required
+                className={inputClass}
+                placeholder="Enter your username"
+              />
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <a href="/admin/forgot-password" className="text-sm text-primary hover:text-accent">
+                  Forgot password?
+                </a>
+              </div>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                className={inputClass}
+                placeholder="Enter your password"
+              />
             </div>
-          )}
-
-          <button
-            type="submit"
-            disabled={isLoading}
-            className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {isLoading ? 'Signing in...' : 'Sign In'}
-          </button>
-        </form>
+
+            {errorBox}
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        )}
 
         <div className="mt-6 text-center">
           <a href="/" className="text-sm text-gray-600 hover:text-primary">
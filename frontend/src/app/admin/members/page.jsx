@@ -9,6 +9,11 @@ export default function AdminMembers() {
   const [loading, setLoading] = useState(true)
   const [showForm, setShowForm] = useState(false)
   const [editingId, setEditingId] = useState(null)
+  const [search, setSearch] = useState('')
+  const [status, setStatus] = useState('all')
+  const [page, setPage] = useState(1)
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 })
+  const [error, setError] = useState('')
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -21,18 +26,22 @@ export default function AdminMembers() {
 
   useEffect(() => {
     fetchMembers()
-  }, [])
+  }, [page, status])
 
   const fetchMembers = async () => {
     try {
       const apiUrl = getApiUrl()
-      const response = await fetch(`${apiUrl}/api/admin/members`, {
+      const params = new URLSearchParams({ page, limit: 12, status })
+      if (search.trim()) params.set('search', search.trim())
+      const response = await fetch(`${apiUrl}/api/admin/members?${params}`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
         const data = await response.json()
-        setMembers(data)
+        setMembers(data.members || [])
+        setPagination(data.pagination || { page: 1, totalPages: 1, total: 0 })
       }
     } catch (error) {
       console.error('Error fetching members:', error)
@@ -49,8 +58,18 @@ export default function AdminMembers() {
     }))
   }
 
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (page === 1) {
+      fetchMembers()
+    } else {
+      setPage(1)
+    }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
+    setError('')
     
     try {
       const apiUrl = getApiUrl()
@@ -61,30 +80,37 @@ export default function AdminMembers() {
 
       const response = await fetch(url, {
         method,
-        headers: {
-          'Content-Type': 'application/json',
-          ...getApiHeaders(),
-        },
+        headers: getApiHeaders(),
+        credentials: 'include',
         body: JSON.stringify(formData),
       })
 
       if (response.ok) {
         fetchMembers()
         resetForm()
+      } else {
+        const data = await response.json().catch(() => ({}))
+        setError(data.message || 'Failed to save member')
       }
     } catch (error) {
       console.error('Error saving member:', error)
+      setError('An error occurred while saving the member')
     }
   }
 
-  const handleDelete = async (id) => {
-    if (!confirm('Are you sure?')) return
+  const handleDelete = async (member) => {
+    const permanent = !member.is_active
+    const prompt = permanent
+      ? `Permanently delete ${member.name}? This cannot be undone.`
+      : `Deactivate ${member.name}? They can be reactivated later.`
+    if (!confirm(prompt)) return
 
     try {
       const apiUrl = getApiUrl()
-      const response = await fetch(`${apiUrl}/api/admin/members/${id}`, {
+      const response = await fetch(`${apiUrl}/api/admin/members/${member.id}${permanent ? '?permanent=true' : ''}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -95,8 +121,34 @@ export default function AdminMembers() {
     }
   }
 
+  const handleReactivate = async (member) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/members/${member.id}`, {
+        method: 'PUT',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ ...member, is_active: true }),
+      })
+
+      if (response.ok) {
+        fetchMembers()
+      }
+    } catch (error) {
+      console.error('Error reactivating member:', error)
+    }
+  }
+
   const handleEdit = (member) => {
-    setFormData(member)
+    setFormData({
+      name: member.name || '',
+      email: member.email || '',
+      phone: member.phone || '',
+      position: member.position || '',
+      department: member.department || '',
+      photo_url: member.photo_url || '',
+      bio: member.bio || ''
+    })
     setEditingId(member.id)
     setShowForm(true)
   }
@@ -113,6 +165,7 @@ export default function AdminMembers() {
     })
     setEditingId(null)
     setShowForm(false)
+    setError('')
   }
 
   if (loading) {
@@ -131,6 +184,35 @@ export default function AdminMembers() {
         </button>
       </div>
 
+      <form onSubmit={handleSearch} className="flex flex-col md:flex-row gap-3">
+        <input
+          type="text"
+          placeholder="Search by name, department or position"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input-field flex-1"
+        />
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value)
+            setPage(1)
+          }}
+          className="input-field md:w-48"
+        >
+          <option value="all">All members</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+        </select>
+        <button type="submit" className="btn-secondary">Search</button>
+      </form>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+          {error}
+        </div>
+      )}
+
       {showForm && (
         <motion.form
           initial={{ opacity: 0, y: -20 }}
@@ -227,7 +309,12 @@ export default function AdminMembers() {
               <img src={member.photo_url} alt={member.name} className="w-full h-48 object-cover" />
             )}
             <div className="p-4">
-              <h3 className="font-bold text-lg text-primary">{member.name}</h3>
+              <div className="flex items-start justify-between gap-2">
+                <h3 className="font-bold text-lg text-primary">{member.name}</h3>
+                {!member.is_active && (
+                  <span className="px-2 py-1 bg-gray-200 text-gray-700 text-xs rounded-full">Inactive</span>
+                )}
+              </div>
               <p className="text-sm text-secondary font-semibold">{member.position}</p>
               <p className="text-sm text-gray-600 mb-2">{member.department}</p>
               
@@ -245,11 +332,19 @@ export default function AdminMembers() {
                 >
                   Edit
                 </button>
+                {!member.is_active && (
+                  <button
+                    onClick={() => handleReactivate(member)}
+                    className="flex-1 bg-green-500 hover:bg-green-600 text-white px-3 py-2 rounded transition-colors text-sm"
+                  >
+                    Reactivate
+                  </button>
+                )}
                 <button
-                  onClick={() => handleDelete(member.id)}
+                  onClick={() => handleDelete(member)}
                   className="flex-1 bg-red-500 hover:bg-red-600 text-white px-3 py-2 rounded transition-colors text-sm"
                 >
-                  Delete
+                  {member.is_active ? 'Deactivate' : 'Delete'}
                 </button>
               </div>
             </div>
@@ -259,7 +354,29 @@ export default function AdminMembers() {
 
       {members.length === 0 && !showForm && (
         <div className="text-center py-12 bg-white rounded-lg">
-          <p className="text-gray-500 mb-4">No members yet. Add one to get started!</p>
+          <p className="text-gray-500 mb-4">No members found.</p>
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between bg-white rounded-lg shadow p-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn-secondary disabled:opacity-50"
+          >
+            ← Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} members)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.totalPages}
+            className="btn-secondary disabled:opacity-50"
+          >
+            Next →
+          </button>
         </div>
       )}
     </div>
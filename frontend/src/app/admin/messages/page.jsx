@@ -15,25 +15,37 @@ export default function AdminMessages() {
   const [success, setSuccess] = useState('')
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
   const [messageToDelete, setMessageToDelete] = useState(null)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [showBulkDeleteConfirm, setShowBulkDeleteConfirm] = useState(false)
+  const [filters, setFilters] = useState({ read: 'all', from: '', to: '', email: '', archived: false })
 
   useEffect(() => {
     fetchMessages()
-  }, [])
+  }, [filters])
 
   const fetchMessages = async () => {
     try {
       const apiUrl = getApiUrl()
-      const response = await fetch(`${apiUrl}/api/admin/messages`, {
+      const params = new URLSearchParams({ read: filters.read, archived: filters.archived })
+      if (filters.from) params.set('from', filters.from)
+      if (filters.to) params.set('to', filters.to)
+      if (filters.email.trim()) params.set('email', filters.email.trim())
+      const response = await fetch(`${apiUrl}/api/admin/messages?${params}`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
       if (response.ok) {
         const data = await response.json()
-        setMessages(data.sort((a, b) => {
+        const sorted = data.sort((a, b) => {
           if (a.is_read === b.is_read) {
             return new Date(b.created_at) - new Date(a.created_at)
           }
           return a.is_read ? 1 : -1
-        }))
+        })
+        setMessages(sorted)
+        // Keep the open message in sync so its reply thread stays current
+        setSelectedMessage(current => current ? sorted.find(m => m.id === current.id) || null : null)
+        setSelectedIds(ids => ids.filter(id => sorted.some(m => m.id === id)))
       }
     } catch (error) {
       console.error('Error fetching messages:', error)
@@ -61,6 +73,7 @@ export default function AdminMessages() {
         {
           method: 'POST',
           headers: getApiHeaders(),
+          credentials: 'include',
           body: JSON.stringify({ reply_text: replyText }),
         }
       )
@@ -68,8 +81,8 @@ export default function AdminMessages() {
       if (response.ok) {
         setSuccess('Reply sent successfully!')
         setReplyText('')
-        setSelectedMessage(null)
         fetchMessages()
+        setTimeout(() => setSuccess(''), 3000)
       } else {
         const errorData = await response.json()
         setError(errorData.message || 'Failed to send reply')
@@ -82,6 +95,92 @@ export default function AdminMessages() {
     }
   }
 
+  const updateMessage = async (id, changes) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/messages/${id}`, {
+        method: 'PATCH',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(changes),
+      })
+      return response.ok
+    } catch (error) {
+      console.error('Error updating message:', error)
+      return false
+    }
+  }
+
+  const handleSelectMessage = async (message) => {
+    setSelectedMessage(message)
+    if (!message.is_read && await updateMessage(message.id, { is_read: true })) {
+      setMessages(current => current.map(m => m.id === message.id ? { ...m, is_read: true } : m))
+      setSelectedMessage({ ...message, is_read: true })
+    }
+  }
+
+  const handleToggleRead = async (message) => {
+    if (await updateMessage(message.id, { is_read: !message.is_read })) {
+      fetchMessages()
+    } else {
+      setError('Failed to update message')
+      setTimeout(() => setError(''), 3000)
+    }
+  }
+
+  const handleToggleArchive = async (message) => {
+    if (await updateMessage(message.id, { is_archived: !message.is_archived })) {
+      setSuccess(message.is_archived ? 'Message moved to inbox' : 'Message archived')
+      setSelectedMessage(null)
+      fetchMessages()
+      setTimeout(() => setSuccess(''), 3000)
+    } else {
+      setError('Failed to update message')
+      setTimeout(() => setError(''), 3000)
+    }
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(ids => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id])
+  }
+
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === messages.length ? [] : messages.map(m => m.id))
+  }
+
+  const handleBulkAction = async (action) => {
+    if (selectedIds.length === 0) return
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/messages/bulk`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ ids: selectedIds, action }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        setSuccess(data.message)
+        setSelectedIds([])
+        if (action !== 'read' && action !== 'unread') setSelectedMessage(null)
+        fetchMessages()
+        setTimeout(() => setSuccess(''), 3000)
+      } else {
+        setError(data.message || 'Bulk action failed')
+        setTimeout(() => setError(''), 3000)
+      }
+    } catch (error) {
+      console.error('Error:', error)
+      setError('An error occurred while updating messages')
+      setTimeout(() => setError(''), 3000)
+    }
+  }
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters(prev => ({ ...prev, [name]: value }))
+  }
+
   const handleDelete = async (id) => {
     setMessageToDelete(messages.find(m => m.id === id))
     setShowDeleteConfirm(true)
@@ -93,6 +192,7 @@ export default function AdminMessages() {
       const response = await fetch(`${apiUrl}/api/admin/messages/${messageToDelete.id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -142,6 +242,34 @@ export default function AdminMessages() {
         </p>
       </motion.div>
 
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-lg p-4 grid grid-cols-1 md:grid-cols-5 gap-3">
+        <div className="flex rounded-lg overflow-hidden border border-gray-300 md:col-span-1">
+          {[false, true].map((archived) => (
+            <button
+              key={String(archived)}
+              onClick={() => {
+                setSelectedMessage(null)
+                setFilters(prev => ({ ...prev, archived }))
+              }}
+              className={`flex-1 px-3 py-2 text-sm font-semibold ${
+                filters.archived === archived ? 'bg-primary text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {archived ? 'Archived' : 'Inbox'}
+            </button>
+          ))}
+        </div>
+        <select name="read" value={filters.read} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+          <option value="all">All messages</option>
+          <option value="unread">Unread only</option>
+          <option value="read">Read only</option>
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-sm" title="Received from" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="px-3 py-2 border border-gray-300 rounded-lg text-sm" title="Received to" />
+        <input type="text" name="email" value={filters.email} onChange={handleFilterChange} placeholder="Sender email" className="px-3 py-2 border border-gray-300 rounded-lg text-sm" />
+      </div>
+
       {error && (
         <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
           {error}
@@ -160,7 +288,33 @@ export default function AdminMessages() {
           animate={{ opacity: 1 }}
           className="lg:col-span-1 bg-white rounded-lg shadow-lg p-6"
         >
-          <h2 className="text-lg font-bold text-primary mb-4">Messages ({messages.length})</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-bold text-primary">Messages ({messages.length})</h2>
+            {messages.length > 0 && (
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.length === messages.length}
+                  onChange={toggleSelectAll}
+                />
+                All
+              </label>
+            )}
+          </div>
+
+          {selectedIds.length > 0 && (
+            <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-600 mb-2">{selectedIds.length} selected</p>
+              <div className="flex flex-wrap gap-2">
+                <button onClick={() => handleBulkAction('read')} className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600">Mark read</button>
+                <button onClick={() => handleBulkAction('unread')} className="px-3 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600">Mark unread</button>
+                <button onClick={() => handleBulkAction(filters.archived ? 'unarchive' : 'archive')} className="px-3 py-1 text-xs bg-gray-600 text-white rounded hover:bg-gray-700">
+                  {filters.archived ? 'Unarchive' : 'Archive'}
+                </button>
+                <button onClick={() => setShowBulkDeleteConfirm(true)} className="px-3 py-1 text-xs bg-red-500 text-white rounded hover:bg-red-600">Delete</button>
+              </div>
+            </div>
+          )}
 
           {loading ? (
             <div className="text-center py-8 text-gray-500">Loading messages...</div>
@@ -169,25 +323,33 @@ export default function AdminMessages() {
           ) : (
             <div className="space-y-2 max-h-96 overflow-y-auto">
               {messages.map((message) => (
-                <motion.button
-                  key={message.id}
-                  whileHover={{ x: 5 }}
-                  onClick={() => setSelectedMessage(message)}
-                  className={`w-full text-left p-4 rounded-lg border-2 transition-all ${
-                    selectedMessage?.id === message.id
-                      ? 'bg-primary bg-opacity-10 border-primary'
-                      : 'border-gray-200 hover:border-primary'
-                  } ${!message.is_read ? 'font-semibold' : ''}`}
-                >
-                  <p className="font-semibold text-sm truncate">{message.name}</p>
-                  <p className="text-xs text-gray-600 truncate">{message.subject}</p>
-                  <p className="text-xs text-gray-500 mt-1">{formatDate(message.created_at)}</p>
-                  {!message.is_read && (
-                    <span className="inline-block mt-2 px-2 py-1 bg-accent text-white text-xs rounded-full">
-                      Unread
-                    </span>
-                  )}
-                </motion.button>
+                <div key={message.id} className="flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(message.id)}
+                    onChange={() => toggleSelected(message.id)}
+                    className="mt-5"
+                    aria-label={`Select message from ${message.name}`}
+                  />
+                  <motion.button
+                    whileHover={{ x: 5 }}
+                    onClick={() => handleSelectMessage(message)}
+                    className={`w-full text-left p-4 rounded-lg border-2 transition-all ${
+                      selectedMessage?.id === message.id
+                        ? 'bg-primary bg-opacity-10 border-primary'
+                        : 'border-gray-200 hover:border-primary'
+                    } ${!message.is_read ? 'font-semibold' : ''}`}
+                  >
+                    <p className="font-semibold text-sm truncate">{message.name}</p>
+                    <p className="text-xs text-gray-600 truncate">{message.subject}</p>
+                    <p className="text-xs text-gray-500 mt-1">{formatDate(message.created_at)}</p>
+                    {!message.is_read && (
+                      <span className="inline-block mt-2 px-2 py-1 bg-accent text-white text-xs rounded-full">
+                        Unread
+                      </span>
+                    )}
+                  </motion.button>
+                </div>
               ))}
             </div>
           )}
@@ -209,12 +371,26 @@ export default function AdminMessages() {
                     <h2 className="text-2xl font-bold text-primary mb-1">{selectedMessage.name}</h2>
                     <p className="text-sm text-gray-600">{selectedMessage.email}</p>
                   </div>
-                  <button
-                    onClick={() => handleDelete(selectedMessage.id)}
-                    className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
-                  >
-                    Delete Message
-                  </button>
+                  <div className="flex flex-wrap gap-2 justify-end">
+                    <button
+                      onClick={() => handleToggleRead(selectedMessage)}
+                      className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+                    >
+                      Mark as {selectedMessage.is_read ? 'Unread' : 'Read'}
+                    </button>
+                    <button
+                      onClick={() => handleToggleArchive(selectedMessage)}
+                      className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+                    >
+                      {selectedMessage.is_archived ? 'Move to Inbox' : 'Archive'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(selectedMessage.id)}
+                      className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
+                    >
+                      Delete Message
+                    </button>
+                  </div>
                 </div>
 
                 <div className="bg-gray-50 p-4 rounded-lg mb-4">
@@ -232,14 +408,17 @@ export default function AdminMessages() {
                 <p className="text-gray-800 whitespace-pre-wrap">{selectedMessage.message}</p>
               </div>
 
-              {/* Previous Replies */}
+              {/* Reply History */}
               {selectedMessage.replies && selectedMessage.replies.length > 0 && (
                 <div className="mb-6">
-                  <h3 className="font-bold text-primary mb-3">Previous Replies</h3>
+                  <h3 className="font-bold text-primary mb-3">Reply History ({selectedMessage.replies.length})</h3>
                   <div className="space-y-3">
-                    {selectedMessage.replies.map((reply, idx) => (
-                      <div key={idx} className="bg-blue-50 p-4 rounded-lg border-l-4 border-blue-500">
-                        <p className="text-sm text-blue-900 whitespace-pre-wrap">{reply}</p>
+                    {selectedMessage.replies.map((reply) => (
+                      <div key={reply.id} className="bg-blue-50 p-4 rounded-lg border-l-4 border-blue-500">
+                        <p className="text-xs text-blue-700 mb-2">
+                          {reply.admin?.username || 'Former admin'} · {formatDate(reply.created_at)}
+                        </p>
+                        <p className="text-sm text-blue-900 whitespace-pre-wrap">{reply.reply_text}</p>
                       </div>
                     ))}
                   </div>
@@ -293,6 +472,15 @@ export default function AdminMessages() {
         message={`Are you sure you want to delete the message from "${messageToDelete?.name}"? This action cannot be undone.`}
         confirmText="Delete"
       />
+
+      <ConfirmDialog
+        isOpen={showBulkDeleteConfirm}
+        onClose={() => setShowBulkDeleteConfirm(false)}
+        onConfirm={() => handleBulkAction('delete')}
+        title="Delete Messages"
+        message={`Are you sure you want to delete ${selectedIds.length} selected message(s)? This action cannot be undone.`}
+        confirmText="Delete"
+      />
     </div>
   )
 }
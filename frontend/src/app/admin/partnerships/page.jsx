@@ -0,0 +1,257 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { ConfirmDialog } from '@/components/admin/Dialog'
+
+const STATUSES = [
+  { value: 'new', label: 'New', style: 'bg-blue-100 text-blue-800' },
+  { value: 'in_discussion', label: 'In Discussion', style: 'bg-yellow-100 text-yellow-800' },
+  { value: 'signed', label: 'Signed', style: 'bg-green-100 text-green-800' },
+  { value: 'declined', label: 'Declined', style: 'bg-gray-200 text-gray-700' },
+]
+
+const statusInfo = (value) => STATUSES.find(s => s.value === value) || STATUSES[0]
+
+export default function AdminPartnerships() {
+  const [partnerships, setPartnerships] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [selected, setSelected] = useState(null)
+  const [editForm, setEditForm] = useState({ status: 'new', notes: '' })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+
+  useEffect(() => {
+    fetchPartnerships()
+  }, [statusFilter])
+
+  const fetchPartnerships = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const params = new URLSearchParams({ limit: 100 })
+      if (statusFilter !== 'all') params.set('status', statusFilter)
+      const response = await fetch(`${apiUrl}/api/admin/partnerships?${params}`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setPartnerships(data.partnerships || [])
+      }
+    } catch (error) {
+      console.error('Error fetching partnerships:', error)
+      setError('Failed to load partnership requests')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const flash = (setter, text) => {
+    setter(text)
+    setTimeout(() => setter(''), 3000)
+  }
+
+  const handleSelect = async (partnership) => {
+    setSelected(partnership)
+    setEditForm({ status: partnership.status, notes: partnership.notes || '' })
+    if (!partnership.is_read) {
+      try {
+        const apiUrl = getApiUrl()
+        await fetch(`${apiUrl}/api/admin/partnerships/${partnership.id}`, {
+          method: 'PATCH',
+          headers: getApiHeaders(),
+          credentials: 'include',
+          body: JSON.stringify({ is_read: true }),
+        })
+        setPartnerships(current => current.map(p => p.id === partnership.id ? { ...p, is_read: true } : p))
+      } catch (error) {
+        console.error('Error marking partnership read:', error)
+      }
+    }
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/partnerships/${selected.id}`, {
+        method: 'PATCH',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(editForm),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        flash(setSuccess, 'Partnership request updated')
+        setSelected({ ...selected, ...editForm, is_read: true })
+        fetchPartnerships()
+      } else {
+        flash(setError, data.message || 'Failed to update partnership request')
+      }
+    } catch (error) {
+      console.error('Error updating partnership:', error)
+      flash(setError, 'An error occurred while saving')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteConfirm = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/partnerships/${selected.id}`, {
+        method: 'DELETE',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        flash(setSuccess, 'Partnership request deleted')
+        setSelected(null)
+        fetchPartnerships()
+      } else {
+        flash(setError, 'Failed to delete partnership request')
+      }
+    } catch (error) {
+      console.error('Error deleting partnership:', error)
+      flash(setError, 'An error occurred while deleting')
+    }
+  }
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex flex-col md:flex-row md:items-end md:justify-between gap-4"
+      >
+        <div>
+          <h1 className="text-3xl font-bold text-white mb-2">Partnership Requests</h1>
+          <p className="text-gray-300">Track sponsors and partners who reached out through the Partner With Us form.</p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="all">All statuses</option>
+          {STATUSES.map((status) => (
+            <option key={status.value} value={status.value}>{status.label}</option>
+          ))}
+        </select>
+      </motion.div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-1 bg-white rounded-lg shadow-lg p-6">
+          <h2 className="text-lg font-bold text-primary mb-4">Requests ({partnerships.length})</h2>
+          {loading ? (
+            <div className="text-center py-8 text-gray-500">Loading...</div>
+          ) : partnerships.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">No partnership requests</div>
+          ) : (
+            <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+              {partnerships.map((partnership) => (
+                <button
+                  key={partnership.id}
+                  onClick={() => handleSelect(partnership)}
+                  className={`w-full text-left p-4 rounded-lg border-2 transition-all ${
+                    selected?.id === partnership.id ? 'border-primary bg-primary bg-opacity-10' : 'border-gray-200 hover:border-primary'
+                  } ${!partnership.is_read ? 'font-semibold' : ''}`}
+                >
+                  <p className="text-sm truncate">{partnership.organization_name}</p>
+                  <p className="text-xs text-gray-600 truncate">{partnership.contact_person}</p>
+                  <div className="flex items-center justify-between mt-2">
+                    <span className={`px-2 py-1 rounded-full text-xs ${statusInfo(partnership.status).style}`}>
+                      {statusInfo(partnership.status).label}
+                    </span>
+                    <span className="text-xs text-gray-500">{new Date(partnership.created_at).toLocaleDateString()}</span>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
+          {selected ? (
+            <>
+              <div className="flex justify-between items-start mb-6 pb-6 border-b border-gray-200">
+                <div>
+                  <h2 className="text-2xl font-bold text-primary mb-1">{selected.organization_name}</h2>
+                  <p className="text-sm text-gray-600">{selected.contact_person} · {selected.email}</p>
+                  {selected.phone && <p className="text-sm text-gray-600">{selected.phone}</p>}
+                  {selected.partnership_type && (
+                    <p className="text-sm text-gray-800 mt-2">Type: <span className="font-semibold">{selected.partnership_type}</span></p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">Received {new Date(selected.created_at).toLocaleString()}</p>
+                </div>
+                <button
+                  onClick={() => setShowDeleteConfirm(true)}
+                  className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
+                >
+                  Delete
+                </button>
+              </div>
+
+              <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                <p className="text-gray-800 whitespace-pre-wrap">{selected.message || 'No message provided.'}</p>
+              </div>
+
+              <form onSubmit={handleSave} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+                  <select
+                    value={editForm.status}
+                    onChange={(e) => setEditForm({ ...editForm, status: e.target.value })}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+                  >
+                    {STATUSES.map((status) => (
+                      <option key={status.value} value={status.value}>{status.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Internal Notes</label>
+                  <textarea
+                    value={editForm.notes}
+                    onChange={(e) => setEditForm({ ...editForm, notes: e.target.value })}
+                    rows="5"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    placeholder="Meeting notes, agreed terms, follow-up dates..."
+                  />
+                </div>
+                <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+              </form>
+            </>
+          ) : (
+            <div className="h-full flex items-center justify-center text-gray-500">
+              <p className="text-center">Select a request to view details and track its progress</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={showDeleteConfirm}
+        onClose={() => setShowDeleteConfirm(false)}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Partnership Request"
+        message={`Are you sure you want to delete the request from "${selected?.organization_name}"? This action cannot be undone.`}
+        confirmText="Delete"
+      />
+    </div>
+  )
+}
@@ -1,7 +1,7 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { clearAuth, getApiHeaders, getApiUrl } from '@/lib/auth'
 import { Dialog, ConfirmDialog } from '@/components/admin/Dialog'
 
 export default function AdminPrograms() {
@@ -28,14 +28,14 @@ export default function AdminPrograms() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/programs`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
         const data = await response.json()
         setPrograms(Array.isArray(data) ? data : [])
       } else if (response.status === 401) {
-        localStorage.removeItem('adminToken')
-        localStorage.removeItem('adminUser')
+        clearAuth()
         window.location.href = '/admin/members/login'
       }
     } catch (error) {
@@ -57,6 +57,7 @@ export default function AdminPrograms() {
       const response = await fetch(url, {
         method: editingProgram ? 'PUT' : 'POST',
         headers: getApiHeaders(),
+        credentials: 'include',
         body: JSON.stringify(formData),
       })
 
@@ -97,6 +98,7 @@ export default function AdminPrograms() {
       const response = await fetch(`${apiUrl}/api/admin/programs/${programToDelete.id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -0,0 +1,13 @@
+import ResetPassword from '@/components/admin/ResetPassword'
+
+export const metadata = {
+  title: 'Reset Password | BUCCUSA Admin',
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-950 via-blue-900 to-blue-800 flex items-center justify-center p-4">
+      <ResetPassword />
+    </div>
+  )
+}
@@ -0,0 +1,257 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { Dialog } from '@/components/admin/Dialog'
+import { BackupCodes, TwoFactorSetup } from '@/components/admin/TwoFactorSetup'
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent'
+
+export default function SecuritySettings() {
+  const [status, setStatus] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [success, setSuccess] = useState('')
+  // One of 'setup', 'backup-codes', 'regenerate' or 'disable' while a dialog is open
+  const [dialog, setDialog] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [backupCodes, setBackupCodes] = useState([])
+  const [confirmation, setConfirmation] = useState('')
+  const [dialogError, setDialogError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const fetchStatus = async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/2fa`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        setStatus(await response.json())
+      }
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const post = (path, body = {}) => fetch(`${getApiUrl()}/api/admin/2fa${path}`, {
+    method: 'POST',
+    headers: getApiHeaders(),
+    credentials: 'include',
+    body: JSON.stringify(body),
+  })
+
+  const openDialog = (name) => {
+    setDialog(name)
+    setConfirmation('')
+    setDialogError('')
+    setSuccess('')
+  }
+
+  const closeDialog = () => {
+    setDialog(null)
+    setSetup(null)
+    setBackupCodes([])
+    fetchStatus()
+  }
+
+  const handleStartSetup = async () => {
+    openDialog('setup')
+    try {
+      const response = await post('/setup')
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        setSetup(data)
+      } else {
+        setDialogError(data.message || 'Unable to start two-factor setup')
+      }
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error)
+      setDialogError('An error occurred while starting the setup')
+    }
+  }
+
+  // Runs one of the dialog actions; those that return backup codes show them next
+  const submit = async (path, body, successMessage) => {
+    setIsSubmitting(true)
+    setDialogError('')
+    try {
+      const response = await post(path, body)
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        setDialogError(data.message || 'Something went wrong. Please try again.')
+      } else if (data.backup_codes) {
+        setBackupCodes(data.backup_codes)
+        setDialog('backup-codes')
+        setSuccess(successMessage)
+      } else {
+        closeDialog()
+        setSuccess(successMessage)
+      }
+    } catch (error) {
+      console.error('Error updating two-factor authentication:', error)
+      setDialogError('An error occurred. Please try again.')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-white">Loading...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        <h1 className="text-3xl font-bold text-white mb-2">Account Security</h1>
+        <p className="text-gray-300">Protect your admin account with a second sign-in step.</p>
+      </motion.div>
+
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      {status && (
+        <div className="bg-white rounded-lg shadow-lg p-6 max-w-2xl space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h2 className="text-xl font-bold text-primary">Two-factor authentication</h2>
+            <span className={`px-2 py-1 rounded-full text-xs font-semibold ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+              {status.enabled ? 'On' : 'Off'}
+            </span>
+          </div>
+
+          {status.enabled ? (
+            <>
+              <p className="text-gray-600">
+                Signing in asks for a code from your authenticator app
+                {status.enabled_at && ` (on since ${new Date(status.enabled_at).toLocaleDateString()})`}.
+                You have {status.backup_codes_remaining} unused backup {status.backup_codes_remaining === 1 ? 'code' : 'codes'}.
+              </p>
+              {status.required && (
+                <p className="text-sm text-gray-500">Super admins must keep two-factor authentication on.</p>
+              )}
+              <div className="flex flex-wrap gap-3">
+                <button onClick={() => openDialog('regenerate')} className="btn-primary">
+                  New Backup Codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={() => openDialog('disable')}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-gray-600">
+                With two-factor authentication on, signing in also needs a code from an authenticator app on your
+                phone, so a leaked password alone is not enough to get into your account.
+              </p>
+              <button onClick={handleStartSetup} className="btn-primary">
+                Set Up
+              </button>
+            </>
+          )}
+
+          <p className="text-sm text-gray-500">
+            If you lose your device and your backup codes, reset your password from the sign-in page. That also
+            turns two-factor authentication off so you can set it up again.
+          </p>
+        </div>
+      )}
+
+      <Dialog isOpen={dialog === 'setup'} onClose={closeDialog} title="Set up two-factor authentication">
+        {setup ? (
+          <TwoFactorSetup
+            setup={setup}
+            onConfirm={(code) => submit('/enable', { code }, 'Two-factor authentication is on')}
+            isSubmitting={isSubmitting}
+            error={dialogError}
+          />
+        ) : dialogError ? (
+          <p className="text-red-700">{dialogError}</p>
+        ) : (
+          <p className="text-gray-500">Loading...</p>
+        )}
+      </Dialog>
+
+      <Dialog isOpen={dialog === 'backup-codes'} onClose={closeDialog} title="Your backup codes">
+        <BackupCodes codes={backupCodes} onDone={closeDialog} />
+      </Dialog>
+
+      <Dialog isOpen={dialog === 'regenerate'} onClose={closeDialog} title="New backup codes">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault()
+            submit('/backup-codes', { code: confirmation }, 'New backup codes created; the old ones no longer work')
+          }}
+          className="space-y-4"
+        >
+          <p className="text-sm text-gray-600">Enter a code from your authenticator app. Your current backup codes will stop working.</p>
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            required
+            className={`${inputClass} tracking-widest text-center`}
+            placeholder="123456"
+          />
+          {dialogError && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{dialogError}</div>
+          )}
+          <button type="submit" disabled={isSubmitting} className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+            {isSubmitting ? 'Creating...' : 'Create New Codes'}
+          </button>
+        </form>
+      </Dialog>
+
+      <Dialog isOpen={dialog === 'disable'} onClose={closeDialog} title="Turn off two-factor authentication">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault()
+            submit('/disable', { password: confirmation }, 'Two-factor authentication is off')
+          }}
+          className="space-y-4"
+        >
+          <p className="text-sm text-gray-600">Enter your password to confirm.</p>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            required
+            className={inputClass}
+            placeholder="Password"
+          />
+          {dialogError && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{dialogError}</div>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Turning off...' : 'Turn Off'}
+          </button>
+        </form>
+      </Dialog>
+    </div>
+  )
+}
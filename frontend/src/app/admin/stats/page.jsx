@@ -1,7 +1,7 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { clearAuth, getApiHeaders, getApiUrl } from '@/lib/auth'
 import { Dialog, ConfirmDialog } from '@/components/admin/Dialog'
 
 export default function AdminStats() {
@@ -27,14 +27,14 @@ export default function AdminStats() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/impact-stats`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
         const data = await response.json()
         setStats(Array.isArray(data) ? data : [])
       } else if (response.status === 401) {
-        localStorage.removeItem('adminToken')
-        localStorage.removeItem('adminUser')
+        clearAuth()
         window.location.href = '/admin/members/login'
       }
     } catch (error) {
@@ -56,6 +56,7 @@ export default function AdminStats() {
       const response = await fetch(url, {
         method: editingStat ? 'PUT' : 'POST',
         headers: getApiHeaders(),
+        credentials: 'include',
         body: JSON.stringify(formData),
       })
 
@@ -95,6 +96,7 @@ export default function AdminStats() {
       const response = await fetch(`${apiUrl}/api/admin/impact-stats/${statToDelete.id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -1,7 +1,7 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { clearAuth, getApiHeaders, getApiUrl } from '@/lib/auth'
 import { Dialog, ConfirmDialog } from '@/components/admin/Dialog'
 
 export default function AdminTestimonials() {
@@ -28,14 +28,14 @@ export default function AdminTestimonials() {
       const apiUrl = getApiUrl()
       const response = await fetch(`${apiUrl}/api/admin/testimonials`, {
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
         const data = await response.json()
         setTestimonials(Array.isArray(data) ? data : [])
       } else if (response.status === 401) {
-        localStorage.removeItem('adminToken')
-        localStorage.removeItem('adminUser')
+        clearAuth()
         window.location.href = '/admin/members/login'
       }
     } catch (error) {
@@ -68,6 +68,7 @@ export default function AdminTestimonials() {
       const response = await fetch(`${apiUrl}/api/admin/testimonials/${testimonialToDelete.id}`, {
         method: 'DELETE',
         headers: getApiHeaders(),
+        credentials: 'include',
       })
 
       if (response.ok) {
@@ -94,6 +95,7 @@ export default function AdminTestimonials() {
       const response = await fetch(url, {
         method: editingTestimonial ? 'PUT' : 'POST',
         headers: getApiHeaders(),
+        credentials: 'include',
         body: JSON.stringify(formData),
       })
 
@@ -0,0 +1,351 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { ConfirmDialog } from '@/components/admin/Dialog'
+import { VOLUNTEER_INTERESTS } from '@/components/VolunteerForm'
+
+const splitInterests = (interests) => (interests || '').split(',').map(i => i.trim()).filter(Boolean)
+
+export default function AdminVolunteers() {
+  const [volunteers, setVolunteers] = useState([])
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filters, setFilters] = useState({ interest: '', read: 'all', search: '' })
+  const [selected, setSelected] = useState(null)
+  const [assignForm, setAssignForm] = useState({ event_id: '', role: '' })
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+
+  useEffect(() => {
+    fetchVolunteers()
+  }, [filters])
+
+  useEffect(() => {
+    fetchEvents()
+  }, [])
+
+  const fetchVolunteers = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const params = new URLSearchParams({ limit: 100 })
+      if (filters.interest) params.set('interest', filters.interest)
+      if (filters.read !== 'all') params.set('read', filters.read)
+      if (filters.search) params.set('search', filters.search)
+      const response = await fetch(`${apiUrl}/api/admin/volunteers?${params}`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setVolunteers(data.volunteers || [])
+        setSelected(current => current && (data.volunteers || []).find(v => v.id === current.id) || current)
+      }
+    } catch (error) {
+      console.error('Error fetching volunteers:', error)
+      setError('Failed to load volunteers')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchEvents = async () => {
+    try {
+      // One entry per event row: recurring series once, not every date
+      const response = await fetch(`${getApiUrl()}/api/admin/events`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setEvents(data.filter(event => !event.series_id))
+      }
+    } catch (error) {
+      console.error('Error fetching events:', error)
+    }
+  }
+
+  const flash = (setter, text) => {
+    setter(text)
+    setTimeout(() => setter(''), 3000)
+  }
+
+  const setReadState = async (volunteer, isRead) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/volunteers/${volunteer.id}`, {
+        method: 'PATCH',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ is_read: isRead }),
+      })
+      if (response.ok) {
+        setVolunteers(current => current.map(v => v.id === volunteer.id ? { ...v, is_read: isRead } : v))
+        setSelected(current => current?.id === volunteer.id ? { ...current, is_read: isRead } : current)
+      }
+    } catch (error) {
+      console.error('Error updating volunteer:', error)
+    }
+  }
+
+  const handleSelect = (volunteer) => {
+    setSelected(volunteer)
+    setAssignForm({ event_id: '', role: '' })
+    if (!volunteer.is_read) setReadState(volunteer, true)
+  }
+
+  const handleAssign = async (e) => {
+    e.preventDefault()
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/volunteers/${selected.id}/assignments`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(assignForm),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        flash(setSuccess, data.message || 'Volunteer assigned')
+        setAssignForm({ event_id: '', role: '' })
+        fetchVolunteers()
+      } else {
+        flash(setError, data.message || 'Failed to assign volunteer')
+      }
+    } catch (error) {
+      console.error('Error assigning volunteer:', error)
+      flash(setError, 'An error occurred while assigning')
+    }
+  }
+
+  const handleUnassign = async (eventId) => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/volunteers/${selected.id}/assignments/${eventId}`, {
+        method: 'DELETE',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        flash(setSuccess, 'Assignment removed')
+        fetchVolunteers()
+      } else {
+        flash(setError, 'Failed to remove assignment')
+      }
+    } catch (error) {
+      console.error('Error removing assignment:', error)
+      flash(setError, 'An error occurred while removing the assignment')
+    }
+  }
+
+  const handleDeleteConfirm = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/volunteers/${selected.id}`, {
+        method: 'DELETE',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        flash(setSuccess, 'Volunteer deleted')
+        setSelected(null)
+        fetchVolunteers()
+      } else {
+        flash(setError, 'Failed to delete volunteer')
+      }
+    } catch (error) {
+      console.error('Error deleting volunteer:', error)
+      flash(setError, 'An error occurred while deleting')
+    }
+  }
+
+  const assignedIds = new Set((selected?.assignments || []).map(a => a.event_id))
+
+  return (
+    <div className="w-full min-h-screen bg-blue-950 space-y-8 p-4 sm:p-6 md:p-8">
+      <motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }}>
+        <h1 className="text-3xl font-bold text-white mb-2">Volunteers</h1>
+        <p className="text-gray-300">Review volunteer sign-ups and assign them to upcoming events.</p>
+      </motion.div>
+
+      <div className="bg-white rounded-lg shadow-lg p-4 flex flex-col md:flex-row gap-4">
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+          placeholder="Search by name or email"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+        />
+        <select
+          value={filters.interest}
+          onChange={(e) => setFilters({ ...filters, interest: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">All interests</option>
+          {VOLUNTEER_INTERESTS.map((interest) => (
+            <option key={interest} value={interest}>{interest}</option>
+          ))}
+        </select>
+        <select
+          value={filters.read}
+          onChange={(e) => setFilters({ ...filters, read: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="all">Read & unread</option>
+          <option value="unread">Unread only</option>
+          <option value="read">Read only</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{success}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-1 bg-white rounded-lg shadow-lg p-6">
+          <h2 className="text-lg font-bold text-primary mb-4">Sign-ups ({volunteers.length})</h2>
+          {loading ? (
+            <div className="text-center py-8 text-gray-500">Loading...</div>
+          ) : volunteers.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">No volunteers found</div>
+          ) : (
+            <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+              {volunteers.map((volunteer) => (
+                <button
+                  key={volunteer.id}
+                  onClick={() => handleSelect(volunteer)}
+                  className={`w-full text-left p-4 rounded-lg border-2 transition-all ${
+                    selected?.id === volunteer.id ? 'border-primary bg-primary bg-opacity-10' : 'border-gray-200 hover:border-primary'
+                  } ${!volunteer.is_read ? 'font-semibold' : ''}`}
+                >
+                  <p className="text-sm truncate">{volunteer.name}</p>
+                  <p className="text-xs text-gray-600 truncate">{volunteer.email}</p>
+                  <div className="flex items-center justify-between mt-2">
+                    <span className="text-xs text-gray-600">
+                      {volunteer.assignments.length} event{volunteer.assignments.length === 1 ? '' : 's'}
+                    </span>
+                    <span className="text-xs text-gray-500">{new Date(volunteer.created_at).toLocaleDateString()}</span>
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
+          {selected ? (
+            <>
+              <div className="flex justify-between items-start mb-6 pb-6 border-b border-gray-200">
+                <div>
+                  <h2 className="text-2xl font-bold text-primary mb-1">{selected.name}</h2>
+                  <p className="text-sm text-gray-600">{selected.email}</p>
+                  {selected.phone && <p className="text-sm text-gray-600">{selected.phone}</p>}
+                  <p className="text-xs text-gray-500 mt-1">Signed up {new Date(selected.created_at).toLocaleString()}</p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setReadState(selected, !selected.is_read)}
+                    className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm"
+                  >
+                    Mark {selected.is_read ? 'Unread' : 'Read'}
+                  </button>
+                  <button
+                    onClick={() => setShowDeleteConfirm(true)}
+                    className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              <div className="mb-6">
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Interests</h3>
+                {splitInterests(selected.interests).length > 0 ? (
+                  <div className="flex flex-wrap gap-2">
+                    {splitInterests(selected.interests).map((interest) => (
+                      <span key={interest} className="px-3 py-1 rounded-full text-xs bg-blue-100 text-blue-800">{interest}</span>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">No interests selected.</p>
+                )}
+              </div>
+
+              <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                <p className="text-gray-800 whitespace-pre-wrap">{selected.experience || 'No experience provided.'}</p>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Event Assignments</h3>
+                {selected.assignments.length === 0 ? (
+                  <p className="text-sm text-gray-500 mb-4">Not assigned to any events yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 mb-4">
+                    {selected.assignments.map((assignment) => (
+                      <li key={assignment.id} className="py-2 flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{assignment.event.title}</p>
+                          <p className="text-xs text-gray-500">
+                            {new Date(assignment.event.event_date).toLocaleDateString()}
+                            {assignment.role && ` · ${assignment.role}`}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => handleUnassign(assignment.event_id)}
+                          className="text-sm text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <form onSubmit={handleAssign} className="flex flex-col md:flex-row gap-3">
+                  <select
+                    value={assignForm.event_id}
+                    onChange={(e) => setAssignForm({ ...assignForm, event_id: e.target.value })}
+                    required
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+                  >
+                    <option value="">Select an event</option>
+                    {events.filter(event => !assignedIds.has(event.id)).map((event) => (
+                      <option key={event.id} value={event.id}>
+                        {event.title} ({new Date(event.event_date).toLocaleDateString()})
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={assignForm.role}
+                    onChange={(e) => setAssignForm({ ...assignForm, role: e.target.value })}
+                    placeholder="Role (optional)"
+                    className="px-4 py-2 border border-gray-300 rounded-lg"
+                  />
+                  <button type="submit" className="btn-primary">Assign</button>
+                </form>
+              </div>
+            </>
+          ) : (
+            <div className="h-full flex items-center justify-center text-gray-500">
+              <p className="text-center">Select a volunteer to view details and assign them to events</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={showDeleteConfirm}
+        onClose={() => setShowDeleteConfirm(false)}
+        onConfirm={handleDeleteConfirm}
+        title="Delete Volunteer"
+        message={`Are you sure you want to delete the sign-up from "${selected?.name}"? This action cannot be undone.`}
+        confirmText="Delete"
+      />
+    </div>
+  )
+}
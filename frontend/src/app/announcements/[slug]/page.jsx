@@ -0,0 +1,111 @@
+import Link from 'next/link'
+import Image from 'next/image'
+import { notFound, permanentRedirect } from 'next/navigation'
+import { getApiUrl } from '@/lib/auth'
+import { getPostPath, getPostDate } from '@/lib/posts'
+import { Footer } from '@/components/Footer'
+
+async function getPost(slug) {
+  const apiUrl = getApiUrl()
+  const res = await fetch(`${apiUrl}/api/posts/${encodeURIComponent(slug)}`, { next: { revalidate: 60 } }) // Revalidate every 60 seconds
+  if (!res.ok) {
+    return null
+  }
+  return res.json()
+}
+
+export async function generateMetadata({ params }) {
+  const post = await getPost(params.slug)
+  if (!post) {
+    return {
+      title: 'Announcement Not Found'
+    }
+  }
+  const description = post.excerpt || post.content_text?.substring(0, 150) || 'News from BUCCUSA.'
+  return {
+    title: `${post.title} | BUCCUSA Announcements`,
+    description,
+    openGraph: {
+      title: post.title,
+      description,
+      type: 'article',
+      url: getPostPath(post),
+      publishedTime: getPostDate(post),
+      images: post.image_url && !post.image_url.startsWith('/') ? [post.image_url] : undefined,
+    },
+  }
+}
+
+export default async function AnnouncementPage({ params }) {
+  const post = await getPost(params.slug)
+
+  if (!post) {
+    notFound()
+  }
+
+  // Old ids and renamed slugs resolve to the same post; send visitors to the canonical URL
+  if (post.slug && decodeURIComponent(params.slug) !== post.slug) {
+    permanentRedirect(getPostPath(post))
+  }
+
+  const imageUrl = post.image_url?.startsWith('/')
+    ? `${getApiUrl()}${post.image_url}`
+    : post.image_url
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString)
+    return date.toLocaleDateString('en-US', { dateStyle: 'long' })
+  }
+
+  return (
+    <>
+      <main className="pt-24 bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12 md:py-20">
+          <Link href="/announcements" className="inline-block text-accent font-semibold hover:text-primary transition-colors mb-6">
+            ← All announcements
+          </Link>
+          <article>
+            <header className="mb-8">
+              <span className="inline-block text-xs font-semibold text-white bg-accent px-3 py-1 rounded-full mb-4">
+                News
+              </span>
+              <h1 className="text-3xl md:text-5xl font-heading font-bold text-primary mb-4">{post.title}</h1>
+              <p className="text-gray-600">Published on <time dateTime={getPostDate(post)}>{formatDate(getPostDate(post))}</time></p>
+            </header>
+
+            {imageUrl && (
+              <div className="relative h-64 md:h-96 rounded-2xl overflow-hidden mb-8 shadow-lg">
+                <Image src={imageUrl} alt={post.title} fill className="object-cover" quality={90} />
+              </div>
+            )}
+
+            {/* content_html is rendered from Markdown and sanitized by the API */}
+            {post.content_html ? (
+              <div className="rich-text text-lg" dangerouslySetInnerHTML={{ __html: post.content_html }} />
+            ) : (
+              <p className="text-lg text-gray-800">{post.excerpt}</p>
+            )}
+          </article>
+
+          {(post.previous || post.next) && (
+            <nav className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-16 pt-8 border-t border-gray-200" aria-label="More announcements">
+              {post.next ? (
+                <Link href={getPostPath(post.next)} className="p-4 bg-white rounded-xl border border-gray-200 hover:border-primary transition-colors">
+                  <p className="text-xs text-gray-500 mb-1">← Newer</p>
+                  <p className="font-semibold text-primary">{post.next.title}</p>
+                </Link>
+              ) : <div />}
+              {post.previous && (
+                <Link href={getPostPath(post.previous)} className="p-4 bg-white rounded-xl border border-gray-200 hover:border-primary transition-colors md:text-right">
+                  <p className="text-xs text-gray-500 mb-1">Older →</p>
+                  <p className="font-semibold text-primary">{post.previous.title}</p>
+                </Link>
+              )}
+            </nav>
+          )}
+        </div>
+      </main>
+      <Footer />
+    </>
+  )
+}
@@ -0,0 +1,124 @@
+import Link from 'next/link'
+import Image from 'next/image'
+import { getApiUrl } from '@/lib/auth'
+import { getPostPath, getPostDate } from '@/lib/posts'
+import { Footer } from '@/components/Footer'
+
+export const metadata = {
+  title: 'Announcements | BUCCUSA',
+  description: 'The latest news and announcements from the Bungoma County College and University Students Association.',
+  openGraph: {
+    title: 'BUCCUSA Announcements',
+    description: 'The latest news and announcements from the Bungoma County College and University Students Association.',
+    type: 'website',
+  },
+}
+
+async function getPosts(page) {
+  const apiUrl = getApiUrl()
+  try {
+    const res = await fetch(`${apiUrl}/api/posts?page=${page}`, { next: { revalidate: 60 } })
+    if (!res.ok) return null
+    return res.json()
+  } catch (error) {
+    console.error('Error fetching announcements:', error)
+    return null
+  }
+}
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString)
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+}
+
+export default async function AnnouncementsPage({ searchParams }) {
+  const page = Math.max(parseInt(searchParams?.page, 10) || 1, 1)
+  const data = await getPosts(page)
+  const posts = data?.posts || []
+  const totalPages = data?.pagination?.totalPages || 1
+
+  const pageHref = (number) => number === 1 ? '/announcements' : `/announcements?page=${number}`
+
+  return (
+    <>
+      <main>
+        <section className="bg-primary pt-32 pb-16 text-white">
+          <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+            <h1 className="text-4xl md:text-5xl font-heading font-bold mb-4">Announcements</h1>
+            <p className="text-lg text-gray-200 max-w-2xl mx-auto">
+              Stay updated with the latest news and announcements from BUCCUSA.
+            </p>
+          </div>
+        </section>
+
+        <section className="bg-slate-50 py-12 md:py-16">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            {posts.length === 0 ? (
+              <p className="text-center text-gray-600 py-12">
+                {data ? 'No announcements yet. Check back soon.' : 'Announcements are unavailable right now. Please try again later.'}
+              </p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                {posts.map((post) => (
+                  <Link
+                    key={post.id}
+                    href={getPostPath(post)}
+                    className="bg-white rounded-2xl shadow-lg hover:shadow-2xl transition-all duration-300 overflow-hidden border border-gray-100 flex flex-col group"
+                  >
+                    {post.image_url && (
+                      <div className="relative h-48 overflow-hidden">
+                        <Image
+                          src={post.image_url}
+                          alt={post.title}
+                          fill
+                          className="object-cover transition-transform duration-300 group-hover:scale-105"
+                        />
+                      </div>
+                    )}
+                    <div className="p-6 flex flex-col flex-grow">
+                      <p className="text-xs text-gray-500 mb-2">{formatDate(getPostDate(post))}</p>
+                      <h2 className="text-xl font-bold text-primary mb-3 group-hover:text-accent transition-colors">{post.title}</h2>
+                      {(post.excerpt || post.content_text) && (
+                        <p className="text-gray-600 text-sm leading-relaxed line-clamp-3">{post.excerpt || post.content_text}</p>
+                      )}
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            )}
+
+            {totalPages > 1 && (
+              <nav className="flex flex-wrap justify-center items-center gap-2 mt-12" aria-label="Pagination">
+                {page > 1 && (
+                  <Link href={pageHref(page - 1)} className="px-4 py-2 rounded-lg bg-white border border-gray-200 text-primary hover:bg-gray-100">
+                    ← Newer
+                  </Link>
+                )}
+                {Array.from({ length: totalPages }, (_, i) => i + 1).map((number) => (
+                  <Link
+                    key={number}
+                    href={pageHref(number)}
+                    aria-current={number === page ? 'page' : undefined}
+                    className={`px-4 py-2 rounded-lg border ${
+                      number === page
+                        ? 'bg-primary text-white border-primary'
+                        : 'bg-white border-gray-200 text-primary hover:bg-gray-100'
+                    }`}
+                  >
+                    {number}
+                  </Link>
+                ))}
+                {page < totalPages && (
+                  <Link href={pageHref(page + 1)} className="px-4 py-2 rounded-lg bg-white border border-gray-200 text-primary hover:bg-gray-100">
+                    Older →
+                  </Link>
+                )}
+              </nav>
+            )}
+          </div>
+        </section>
+      </main>
+      <Footer />
+    </>
+  )
+}
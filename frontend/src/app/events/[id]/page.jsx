@@ -0,0 +1,161 @@
+import { getApiUrl } from '@/lib/auth'
+import Image from 'next/image'
+import Link from 'next/link'
+import { notFound, permanentRedirect } from 'next/navigation'
+import { Footer } from '@/components/Footer'
+import { RsvpForm } from '@/components/RsvpForm'
+import { AddToCalendar } from '@/components/AddToCalendar'
+import { describeRecurrence, formatEventSchedule, getEventKey, getEventPath } from '@/lib/events'
+
+// `occurrence` picks one date of a recurring event; the API redirects to the
+// separate event when that date was edited on its own
+async function getEvent(id, occurrence) {
+  const apiUrl = getApiUrl()
+  const query = occurrence ? `?occurrence=${encodeURIComponent(occurrence)}` : ''
+  const res = await fetch(`${apiUrl}/api/events/${encodeURIComponent(id)}${query}`, { next: { revalidate: 60 } }) // Revalidate every 60 seconds
+  if (!res.ok) {
+    return null
+  }
+  return res.json()
+}
+
+export async function generateMetadata({ params, searchParams }) {
+    const event = await getEvent(params.id, searchParams.occurrence)
+    if (!event) {
+        return {
+            title: 'Event Not Found'
+        }
+    }
+    const description = event.description_text?.substring(0, 150) || `Join BUCCUSA for ${event.title}.`
+    return {
+        title: `${event.title} | BUCCUSA Events`,
+        description,
+        openGraph: {
+            title: event.title,
+            description,
+            type: 'article',
+            url: getEventPath(event),
+            images: event.image_url && !event.image_url.startsWith('/') ? [event.image_url] : undefined,
+        },
+    }
+}
+
+export default async function EventPage({ params, searchParams }) {
+  const event = await getEvent(params.id, searchParams.occurrence)
+
+  if (!event) {
+    notFound()
+  }
+
+  // Old ids and renamed slugs resolve to the same event; send visitors to the canonical URL
+  if (event.slug && decodeURIComponent(params.id) !== event.slug) {
+    permanentRedirect(getEventPath(event))
+  }
+
+  const recurrence = describeRecurrence(event)
+  
+  const imageUrl = event.image_url?.startsWith('/')
+    ? `${getApiUrl()}${event.image_url}`
+    : event.image_url
+
+  return (
+    <>
+      <main className="pt-24 bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12 md:py-20">
+          <article>
+            <header className="mb-8">
+              {event.status === 'past' && (
+                <span className="inline-block mb-3 px-3 py-1 bg-gray-200 text-gray-700 rounded-full text-xs font-semibold uppercase tracking-wide">
+                  Past event
+                </span>
+              )}
+              <h1 className="text-3xl md:text-5xl font-heading font-bold text-primary mb-4">{event.title}</h1>
+              <div className="flex flex-wrap gap-x-6 gap-y-2 text-gray-600">
+                <p>📅 <span className="font-medium">{formatEventSchedule(event)}</span></p>
+                {event.location && <p>📍 <span className="font-medium">{event.location}</span></p>}
+                {recurrence && <p>🔁 <span className="font-medium">{recurrence}</span></p>}
+              </div>
+              {event.series && (
+                <p className="mt-2 text-sm text-gray-500">
+                  This date is part of{' '}
+                  <Link href={getEventPath(event.series)} className="text-accent font-semibold hover:text-primary transition-colors">
+                    {event.series.title}
+                  </Link>
+                  , with its own details.
+                </p>
+              )}
+              {event.status === 'upcoming' && (
+                <div className="mt-6">
+                  <AddToCalendar event={event} />
+                </div>
+              )}
+            </header>
+
+            {imageUrl && (
+              <div className="relative h-64 md:h-96 rounded-2xl overflow-hidden mb-8 shadow-lg">
+                <Image src={imageUrl} alt={event.title} fill className="object-cover" quality={90} />
+              </div>
+            )}
+
+            {/* description_html is rendered from Markdown and sanitized by the API */}
+            <div className="rich-text text-lg" dangerouslySetInnerHTML={{ __html: event.description_html }} />
+
+            {event.upcoming_dates?.length > 0 && (
+              <section className="mt-12">
+                <h2 className="text-2xl font-heading font-bold text-primary mb-4">Upcoming Dates</h2>
+                <ul className="divide-y divide-gray-200 bg-white border border-gray-100 rounded-2xl">
+                  {event.upcoming_dates.map((date) => (
+                    <li key={getEventKey(date)}>
+                      <Link
+                        href={getEventPath(date)}
+                        className="flex items-center justify-between gap-4 px-6 py-4 text-gray-700 hover:text-accent transition-colors"
+                      >
+                        <span>{formatEventSchedule(date)}</span>
+                        <span aria-hidden="true">→</span>
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {event.registration?.open && <RsvpForm event={event} />}
+            {event.status === 'upcoming' && event.registration && !event.registration.open && (
+              <p className="mt-12 p-4 bg-gray-100 rounded-xl text-gray-600 text-center">
+                {event.recurrence_frequency
+                  ? 'Online registration is not available for recurring events.'
+                  : 'Registration for this event is closed.'}
+              </p>
+            )}
+
+            {event.photos?.length > 0 && (
+              <section className="mt-12">
+                <h2 className="text-2xl font-heading font-bold text-primary mb-6">Photo Recap</h2>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                  {event.photos.map((photo) => (
+                    <a
+                      key={photo.id}
+                      href={photo.image_url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="relative aspect-square rounded-xl overflow-hidden bg-gray-200 group"
+                    >
+                      <Image
+                        src={photo.image_url}
+                        alt={photo.title || `${event.title} photo`}
+                        fill
+                        sizes="(max-width: 768px) 50vw, 33vw"
+                        className="object-cover transition-transform duration-300 group-hover:scale-105"
+                      />
+                    </a>
+                  ))}
+                </div>
+              </section>
+            )}
+          </article>
+        </div>
+      </main>
+      <Footer />
+    </>
+  )
+}
\ No newline at end of file
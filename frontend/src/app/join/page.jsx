@@ -0,0 +1,31 @@
+import { JoinForm } from '@/components/JoinForm'
+import { Footer } from '@/components/Footer'
+
+export const metadata = {
+  title: 'Join BUCCUSA | Membership Application',
+  description: 'Apply to become a member of the Bungoma County College and University Students Association.',
+}
+
+export default function JoinPage() {
+  return (
+    <>
+      <main>
+        <section className="bg-primary pt-32 pb-16 text-white">
+          <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+            <h1 className="text-4xl md:text-5xl font-heading font-bold mb-4">Join BUCCUSA</h1>
+            <p className="text-lg text-gray-200 max-w-2xl mx-auto">
+              Are you a Bungoma student at a college or university? Fill in the form below and our
+              membership team will review your application.
+            </p>
+          </div>
+        </section>
+        <section className="bg-gray-50 py-12 md:py-16">
+          <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+            <JoinForm />
+          </div>
+        </section>
+      </main>
+      <Footer />
+    </>
+  )
+}
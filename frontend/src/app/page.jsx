@@ -3,7 +3,9 @@ import { About } from '@/components/About'
 import { Programs } from '@/components/Programs'
 import { Leaders } from '@/components/Leaders'
 import { Events } from '@/components/Events'
+import { PastEvents } from '@/components/PastEvents'
 import { Announcements } from '@/components/Announcements'
+import { Gallery } from '@/components/Gallery'
 import { Impact } from '@/components/Impact'
 import { Contact } from '@/components/Contact'
 import { Footer } from '@/components/Footer'
@@ -16,7 +18,9 @@ export default function Home() {
       <Programs />
       <Leaders />
       <Events />
+      <PastEvents />
       <Announcements />
+      <Gallery />
       <Impact />
       <Contact />
       <Footer />
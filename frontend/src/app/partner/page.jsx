@@ -0,0 +1,31 @@
+import { PartnerForm } from '@/components/PartnerForm'
+import { Footer } from '@/components/Footer'
+
+export const metadata = {
+  title: 'Partner With Us | BUCCUSA',
+  description: 'Sponsor an event, fund scholarships or run programs with the Bungoma County College and University Students Association.',
+}
+
+export default function PartnerPage() {
+  return (
+    <>
+      <main>
+        <section className="bg-primary pt-32 pb-16 text-white">
+          <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+            <h1 className="text-4xl md:text-5xl font-heading font-bold mb-4">Partner With Us</h1>
+            <p className="text-lg text-gray-200 max-w-2xl mx-auto">
+              Organizations, sponsors and institutions help us reach students across Bungoma County.
+              Tell us how you would like to work together.
+            </p>
+          </div>
+        </section>
+        <section className="bg-gray-50 py-12 md:py-16">
+          <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+            <PartnerForm />
+          </div>
+        </section>
+      </main>
+      <Footer />
+    </>
+  )
+}
@@ -0,0 +1,30 @@
+import { RsvpTicket } from '@/components/RsvpTicket'
+import { Footer } from '@/components/Footer'
+
+export const metadata = {
+  title: 'Your Registration | BUCCUSA',
+  robots: { index: false },
+}
+
+export default function RsvpPage({ searchParams }) {
+  return (
+    <>
+      <main>
+        <section className="bg-primary pt-32 pb-16 text-white">
+          <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+            <h1 className="text-4xl md:text-5xl font-heading font-bold mb-4">Your Registration</h1>
+            <p className="text-lg text-gray-200 max-w-2xl mx-auto">
+              Show your ticket at the entrance. Can&apos;t make it? Cancelling frees your place for someone on the waitlist.
+            </p>
+          </div>
+        </section>
+        <section className="bg-gray-50 py-12 md:py-16">
+          <div className="max-w-xl mx-auto px-4 sm:px-6 lg:px-8">
+            <RsvpTicket token={searchParams.token} />
+          </div>
+        </section>
+      </main>
+      <Footer />
+    </>
+  )
+}
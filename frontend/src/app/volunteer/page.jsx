@@ -0,0 +1,31 @@
+import { VolunteerForm } from '@/components/VolunteerForm'
+import { Footer } from '@/components/Footer'
+
+export const metadata = {
+  title: 'Volunteer | BUCCUSA',
+  description: 'Give your time to outreach days, mentorship sessions and events run by the Bungoma County College and University Students Association.',
+}
+
+export default function VolunteerPage() {
+  return (
+    <>
+      <main>
+        <section className="bg-primary pt-32 pb-16 text-white">
+          <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
+            <h1 className="text-4xl md:text-5xl font-heading font-bold mb-4">Volunteer With Us</h1>
+            <p className="text-lg text-gray-200 max-w-2xl mx-auto">
+              Our outreach days and events run on the energy of volunteers.
+              Tell us where you would like to help and we will match you with upcoming activities.
+            </p>
+          </div>
+        </section>
+        <section className="bg-gray-50 py-12 md:py-16">
+          <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+            <VolunteerForm />
+          </div>
+        </section>
+      </main>
+      <Footer />
+    </>
+  )
+}
@@ -0,0 +1,41 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getApiUrl } from '@/lib/auth'
+import { getCalendarLinks, getEventPath } from '@/lib/events'
+
+export function AddToCalendar({ event, compact = false }) {
+  const [pageUrl, setPageUrl] = useState('')
+
+  // The public page URL is only known in the browser
+  useEffect(() => {
+    setPageUrl(`${window.location.origin}${getEventPath(event)}`)
+  }, [event])
+
+  const links = getCalendarLinks(event, { apiUrl: getApiUrl(), pageUrl })
+  const options = [
+    { label: 'Google', href: links.google, external: true },
+    { label: 'Outlook', href: links.outlook, external: true },
+    { label: 'Apple', href: links.ics },
+  ]
+
+  const linkClass = compact
+    ? 'text-xs px-2 py-1 rounded-md bg-slate-100 text-gray-700 hover:bg-accent hover:text-white transition-colors'
+    : 'px-4 py-2 rounded-lg border border-gray-200 bg-white text-gray-700 font-medium hover:border-accent hover:text-accent transition-colors'
+
+  return (
+    <div className={`flex flex-wrap items-center ${compact ? 'gap-1.5' : 'gap-3'}`}>
+      <span className={compact ? 'text-xs text-gray-500 mr-1' : 'text-sm font-medium text-gray-600 mr-1'}>🗓️ Add to calendar:</span>
+      {options.map((option) => (
+        <a
+          key={option.label}
+          href={option.href}
+          className={linkClass}
+          {...(option.external && { target: '_blank', rel: 'noopener noreferrer' })}
+        >
+          {option.label}
+        </a>
+      ))}
+    </div>
+  )
+}
@@ -2,12 +2,14 @@
 
 import { useState, useEffect } from 'react'
 import Image from 'next/image'
-import { motion, AnimatePresence } from 'framer-motion'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
 import { getApiUrl } from '@/lib/auth'
+import { getPostPath, getPostDate } from '@/lib/posts'
 
 export function Announcements() {
   const [announcements, setAnnouncements] = useState([])
-  const [selectedAnnouncement, setSelectedAnnouncement] = useState(null)
+  const [hasMore, setHasMore] = useState(false)
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
@@ -17,10 +19,11 @@ export function Announcements() {
   const fetchAnnouncements = async () => {
     try {
       const apiUrl = getApiUrl()
-      const response = await fetch(`${apiUrl}/api/posts`)
+      const response = await fetch(`${apiUrl}/api/posts?limit=6`)
       if (response.ok) {
         const data = await response.json()
-        setAnnouncements(data)
+        setAnnouncements(data.posts)
+        setHasMore(data.pagination.totalPages > 1)
       }
     } catch (error) {
       console.error('Error fetching announcements:', error)
@@ -126,7 +129,7 @@ export function Announcements() {
                   <span className="inline-block text-xs font-semibold text-white bg-accent px-3 py-1 rounded-full">
                     News
                   </span>
-                  <p className="text-xs text-gray-500 mt-2">{formatDate(announcement.published_at)}</p>
+                  <p className="text-xs text-gray-500 mt-2">{formatDate(getPostDate(announcement))}</p>
                 </motion.div>
 
                 <motion.h3
@@ -135,7 +138,9 @@ export function Announcements() {
                   transition={{ delay: 0.2 }}
                   className="text-xl font-bold text-primary mb-3"
                 >
-                  {announcement.title}
+                  <Link href={getPostPath(announcement)} className="hover:text-accent transition-colors">
+                    {announcement.title}
+                  </Link>
                 </motion.h3>
 
                 {announcement.excerpt && (
@@ -144,14 +149,14 @@ export function Announcements() {
                   </p>
                 )}
 
-                {announcement.content && !announcement.excerpt && (
+                {announcement.content_text && !announcement.excerpt && (
                   <p className="text-gray-600 text-sm leading-relaxed mb-4 line-clamp-3">
-                    {announcement.content}
+                    {announcement.content_text}
                   </p>
                 )}
 
-                <button
-                  onClick={() => setSelectedAnnouncement(announcement)}
+                <Link
+                  href={getPostPath(announcement)}
                   className="inline-flex items-center text-accent font-semibold hover:text-primary transition-colors group/link mt-auto self-start text-left"
                 >
                   Read More
@@ -160,69 +165,20 @@ export function Announcements() {
                     fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                   </motion.svg>
-                </button>
+                </Link>
               </div>
             </motion.div>
           )})}
         </motion.div>
-      </div>
-
-      {/* Announcement Details Modal */}
-      <AnimatePresence>
-        {selectedAnnouncement && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            onClick={() => setSelectedAnnouncement(null)}
-            className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
-          >
-            <motion.div
-              initial={{ scale: 0.9, opacity: 0, y: 20 }}
-              animate={{ scale: 1, opacity: 1, y: 0 }}
-              exit={{ scale: 0.9, opacity: 0, y: 20 }}
-              onClick={(e) => e.stopPropagation()}
-              className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto relative"
-            >
-              <button 
-                onClick={() => setSelectedAnnouncement(null)}
-                className="absolute top-4 right-4 z-10 p-2 bg-white/80 rounded-full hover:bg-white transition-colors"
-              >
-                <svg className="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-
-              {selectedAnnouncement.image_url && (
-                <div className="relative h-64 w-full">
-                  <Image
-                    src={selectedAnnouncement.image_url.startsWith('/') ? `${getApiUrl()}${selectedAnnouncement.image_url}` : selectedAnnouncement.image_url}
-                    alt={selectedAnnouncement.title}
-                    fill
-                    className="object-cover"
-                  />
-                </div>
-              )}
 
-              <div className="p-8">
-                <div className="mb-4">
-                  <span className="inline-block text-xs font-semibold text-white bg-accent px-3 py-1 rounded-full mb-2">
-                    News
-                  </span>
-                  <h3 className="text-3xl font-bold text-primary">{selectedAnnouncement.title}</h3>
-                  <p className="text-sm text-gray-500 mt-2">
-                    Published on {formatDate(selectedAnnouncement.published_at)}
-                  </p>
-                </div>
-                
-                <div className="prose prose-blue max-w-none text-gray-700">
-                  <p className="whitespace-pre-wrap">{selectedAnnouncement.content}</p>
-                </div>
-              </div>
-            </motion.div>
-          </motion.div>
+        {hasMore && (
+          <div className="text-center mt-12">
+            <Link href="/announcements" className="btn-primary">
+              View All Announcements
+            </Link>
+          </div>
         )}
-      </AnimatePresence>
+      </div>
     </section>
   )
 }
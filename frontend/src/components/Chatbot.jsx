@@ -83,7 +83,7 @@ export function Chatbot() {
 
     // Apply/Join
     if (websiteKnowledge.apply.some(word => message.includes(word))) {
-      return "We'd love to have you join BUCCUSA! Please visit our Contact page to reach out with your interest in joining or get more information about membership requirements."
+      return "We'd love to have you join BUCCUSA! You can apply for membership on our Join page (/join) by sharing your institution, course, year of study, sub-county and ward. Our membership team will review your application and get back to you."
     }
 
     // Impact
@@ -2,12 +2,14 @@
 
 import { useState, useEffect } from 'react'
 import Image from 'next/image'
-import { motion, AnimatePresence } from 'framer-motion'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
 import { getApiUrl } from '@/lib/auth'
+import { describeRecurrence, firstDatePerSeries, formatEventDate, getCalendarFeedUrl, getEventPath } from '@/lib/events'
+import { AddToCalendar } from '@/components/AddToCalendar'
 
 export function Events() {
   const [events, setEvents] = useState([])
-  const [selectedEvent, setSelectedEvent] = useState(null)
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
@@ -17,12 +19,11 @@ export function Events() {
   const fetchEvents = async () => {
     try {
       const apiUrl = getApiUrl()
-      const response = await fetch(`${apiUrl}/api/events`)
+      // The API derives status from each event's date, so finished events drop off on their own.
+      // Recurring events are listed once, at their next date.
+      const response = await fetch(`${apiUrl}/api/events?status=upcoming`)
       if (response.ok) {
-        const data = await response.json()
-        // Filter upcoming events and sort by date
-        const upcomingEvents = data.filter(e => e.is_upcoming).sort((a, b) => new Date(a.event_date) - new Date(b.event_date))
-        setEvents(upcomingEvents)
+        setEvents(firstDatePerSeries(await response.json()))
       }
     } catch (error) {
       console.error('Error fetching events:', error)
@@ -68,11 +69,6 @@ export function Events() {
     },
   }
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString)
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-  }
-
   return (
     <section id="events" className="py-20 bg-slate-50 overflow-hidden">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 w-full">
@@ -86,6 +82,12 @@ export function Events() {
           <p className="text-lg text-gray-600 max-w-2xl mx-auto">
             Join us for upcoming events and activities designed to build leadership and create positive impact.
           </p>
+          <a
+            href={getCalendarFeedUrl(getApiUrl())}
+            className="inline-block mt-4 text-sm font-semibold text-accent hover:text-primary transition-colors"
+          >
+            🗓️ Subscribe to our events calendar
+          </a>
         </motion.div>
 
         <motion.div
@@ -125,14 +127,22 @@ export function Events() {
                   transition={{ delay: 0.2 }}
                   className="text-xl font-bold text-primary mb-3"
                 >
-                  {event.title}
+                  <Link href={getEventPath(event)} className="hover:text-accent transition-colors">
+                    {event.title}
+                  </Link>
                 </motion.h3>
                 
                 <div className="flex flex-wrap gap-3 mb-4 text-sm text-gray-600">
                   <div className="flex items-center space-x-2">
                     <span className="text-accent font-semibold">📅</span>
-                    <span>{formatDate(event.event_date)}</span>
+                    <span>{formatEventDate(event.event_date, event.timezone)}</span>
                   </div>
+                  {describeRecurrence(event) && (
+                    <div className="flex items-center space-x-2">
+                      <span className="text-accent font-semibold">🔁</span>
+                      <span>{describeRecurrence(event)}</span>
+                    </div>
+                  )}
                   {event.location && (
                     <div className="flex items-center space-x-2">
                       <span className="text-accent font-semibold">📍</span>
@@ -141,13 +151,17 @@ export function Events() {
                   )}
                 </div>
 
-                {event.description && (
-                  <p className="text-gray-600 text-sm leading-relaxed mb-4 line-clamp-3">{event.description}</p>
+                {event.description_text && (
+                  <p className="text-gray-600 text-sm leading-relaxed mb-4 line-clamp-3">{event.description_text}</p>
                 )}
 
-                <button 
-                  onClick={() => setSelectedEvent(event)}
-                  className="inline-flex items-center text-accent font-semibold hover:text-primary transition-colors group/link mt-auto self-start"
+                <div className="mt-auto mb-4">
+                  <AddToCalendar event={event} compact />
+                </div>
+
+                <Link
+                  href={getEventPath(event)}
+                  className="inline-flex items-center text-accent font-semibold hover:text-primary transition-colors group/link self-start"
                 >
                   Learn More
                   <motion.svg 
@@ -155,73 +169,12 @@ export function Events() {
                     fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                   </motion.svg>
-                </button>
+                </Link>
               </div>
             </motion.div>
           )})}
         </motion.div>
       </div>
-
-      {/* Event Details Modal */}
-      <AnimatePresence>
-        {selectedEvent && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            onClick={() => setSelectedEvent(null)}
-            className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm"
-          >
-            <motion.div
-              initial={{ scale: 0.9, opacity: 0, y: 20 }}
-              animate={{ scale: 1, opacity: 1, y: 0 }}
-              exit={{ scale: 0.9, opacity: 0, y: 20 }}
-              onClick={(e) => e.stopPropagation()}
-              className="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto relative"
-            >
-              <button 
-                onClick={() => setSelectedEvent(null)}
-                className="absolute top-4 right-4 z-10 p-2 bg-white/80 rounded-full hover:bg-white transition-colors"
-              >
-                <svg className="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-
-              {selectedEvent.image_url && (
-                <div className="relative h-64 w-full">
-                  <Image
-                    src={selectedEvent.image_url.startsWith('/') ? `${getApiUrl()}${selectedEvent.image_url}` : selectedEvent.image_url}
-                    alt={selectedEvent.title}
-                    fill
-                    className="object-cover"
-                  />
-                </div>
-              )}
-
-              <div className="p-8">
-                <h3 className="text-3xl font-bold text-primary mb-2">{selectedEvent.title}</h3>
-                <div className="flex flex-wrap gap-4 mb-6 text-sm text-gray-600">
-                  <div className="flex items-center space-x-2">
-                    <span className="text-accent font-semibold">📅</span>
-                    <span>{formatDate(selectedEvent.event_date)}</span>
-                  </div>
-                  {selectedEvent.location && (
-                    <div className="flex items-center space-x-2">
-                      <span className="text-accent font-semibold">📍</span>
-                      <span>{selectedEvent.location}</span>
-                    </div>
-                  )}
-                </div>
-                
-                <div className="prose prose-blue max-w-none text-gray-700">
-                  <p className="whitespace-pre-wrap">{selectedEvent.description}</p>
-                </div>
-              </div>
-            </motion.div>
-          </motion.div>
-        )}
-      </AnimatePresence>
     </section>
   )
 }
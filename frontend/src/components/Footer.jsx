@@ -125,6 +125,15 @@ export function Footer() {
                   Our Impact
                 </motion.a>
               </li>
+              <li>
+                <motion.a
+                  href="/announcements"
+                  className="text-gray-300 hover:text-white transition-colors duration-200"
+                  whileHover={{ x: 5 }}
+                >
+                  Announcements
+                </motion.a>
+              </li>
               <li>
                 <motion.a
                   href="#contact"
@@ -134,6 +143,24 @@ export function Footer() {
                   Contact
                 </motion.a>
               </li>
+              <li>
+                <motion.a
+                  href="/partner"
+                  className="text-gray-300 hover:text-white transition-colors duration-200"
+                  whileHover={{ x: 5 }}
+                >
+                  Partner With Us
+                </motion.a>
+              </li>
+              <li>
+                <motion.a
+                  href="/volunteer"
+                  className="text-gray-300 hover:text-white transition-colors duration-200"
+                  whileHover={{ x: 5 }}
+                >
+                  Volunteer
+                </motion.a>
+              </li>
             </ul>
           </motion.div>
 
@@ -0,0 +1,192 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Image from 'next/image'
+import { motion, AnimatePresence } from 'framer-motion'
+import { getApiUrl } from '@/lib/auth'
+
+export function Gallery() {
+  const [images, setImages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [activeCategory, setActiveCategory] = useState('All')
+  const [lightboxIndex, setLightboxIndex] = useState(null)
+
+  useEffect(() => {
+    fetchGallery()
+  }, [])
+
+  const fetchGallery = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/gallery`)
+      if (response.ok) {
+        setImages(await response.json())
+      }
+    } catch (error) {
+      console.error('Error fetching gallery:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const categories = ['All', ...new Set(images.map(image => image.category).filter(Boolean))]
+  const visibleImages = activeCategory === 'All'
+    ? images
+    : images.filter(image => image.category === activeCategory)
+
+  const closeLightbox = () => setLightboxIndex(null)
+  const showPrevious = useCallback(() => {
+    setLightboxIndex(index => (index - 1 + visibleImages.length) % visibleImages.length)
+  }, [visibleImages.length])
+  const showNext = useCallback(() => {
+    setLightboxIndex(index => (index + 1) % visibleImages.length)
+  }, [visibleImages.length])
+
+  useEffect(() => {
+    if (lightboxIndex === null) return
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closeLightbox()
+      if (e.key === 'ArrowLeft') showPrevious()
+      if (e.key === 'ArrowRight') showNext()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [lightboxIndex, showPrevious, showNext])
+
+  if (loading || images.length === 0) {
+    return null
+  }
+
+  const current = lightboxIndex !== null ? visibleImages[lightboxIndex] : null
+
+  return (
+    <section id="gallery" className="py-20 bg-white overflow-hidden">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 w-full">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="text-center mb-10"
+        >
+          <h2 className="text-4xl font-heading font-bold text-primary mb-4">Gallery</h2>
+          <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+            Moments from our outreach days, mentorship sessions and events across Bungoma County.
+          </p>
+        </motion.div>
+
+        {categories.length > 2 && (
+          <div className="flex flex-wrap justify-center gap-2 mb-10">
+            {categories.map((category) => (
+              <button
+                key={category}
+                onClick={() => setActiveCategory(category)}
+                className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                  activeCategory === category
+                    ? 'bg-primary text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {category}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <motion.div layout className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+          <AnimatePresence>
+            {visibleImages.map((image, index) => (
+              <motion.button
+                key={image.id}
+                layout
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                exit={{ opacity: 0, scale: 0.95 }}
+                onClick={() => setLightboxIndex(index)}
+                className="relative aspect-square rounded-xl overflow-hidden group"
+              >
+                <Image
+                  src={image.image_url}
+                  alt={image.title || image.category || 'Gallery image'}
+                  fill
+                  sizes="(max-width: 768px) 50vw, (max-width: 1024px) 33vw, 25vw"
+                  className="object-cover transition-transform duration-300 group-hover:scale-105"
+                />
+                {image.title && (
+                  <div className="absolute inset-x-0 bottom-0 p-3 bg-gradient-to-t from-black/70 to-transparent text-left text-white text-sm opacity-0 group-hover:opacity-100 transition-opacity">
+                    {image.title}
+                  </div>
+                )}
+              </motion.button>
+            ))}
+          </AnimatePresence>
+        </motion.div>
+      </div>
+
+      {/* Lightbox */}
+      <AnimatePresence>
+        {current && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={closeLightbox}
+            className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/90"
+          >
+            <button
+              onClick={closeLightbox}
+              className="absolute top-4 right-4 p-2 text-white hover:text-accent transition-colors"
+              aria-label="Close"
+            >
+              <svg className="w-8 h-8" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+            {visibleImages.length > 1 && (
+              <>
+                <button
+                  onClick={(e) => { e.stopPropagation(); showPrevious() }}
+                  className="absolute left-2 md:left-6 p-2 text-white hover:text-accent transition-colors"
+                  aria-label="Previous image"
+                >
+                  <svg className="w-10 h-10" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                  </svg>
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); showNext() }}
+                  className="absolute right-2 md:right-6 p-2 text-white hover:text-accent transition-colors"
+                  aria-label="Next image"
+                >
+                  <svg className="w-10 h-10" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                  </svg>
+                </button>
+              </>
+            )}
+            <motion.div
+              key={current.id}
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              onClick={(e) => e.stopPropagation()}
+              className="relative w-full max-w-5xl h-[75vh]"
+            >
+              <Image
+                src={current.image_url}
+                alt={current.title || current.category || 'Gallery image'}
+                fill
+                sizes="100vw"
+                className="object-contain"
+              />
+            </motion.div>
+            <div className="absolute bottom-6 inset-x-0 text-center text-white">
+              {current.title && <p className="font-semibold">{current.title}</p>}
+              <p className="text-sm text-gray-300">
+                {current.category && `${current.category} · `}{lightboxIndex + 1} / {visibleImages.length}
+              </p>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </section>
+  )
+}
@@ -0,0 +1,141 @@
+'use client'
+
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { getApiUrl } from '@/lib/auth'
+
+const SUB_COUNTIES = [
+  'Bumula',
+  'Kabuchai',
+  'Kanduyi',
+  'Kimilili',
+  'Mt. Elgon',
+  'Sirisia',
+  'Tongaren',
+  'Webuye East',
+  'Webuye West',
+]
+
+const initialForm = {
+  name: '',
+  email: '',
+  phone: '',
+  institution: '',
+  course: '',
+  year_of_study: '',
+  sub_county: '',
+  ward: '',
+}
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-primary focus:border-transparent transition-all bg-gray-50 focus:bg-white'
+
+export function JoinForm() {
+  const [formData, setFormData] = useState(initialForm)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setStatus({ type: '', message: '' })
+
+    try {
+      const response = await fetch(`${getApiUrl()}/api/membership-applications`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (response.ok) {
+        setStatus({ type: 'success', message: data.message || 'Application submitted successfully!' })
+        setFormData(initialForm)
+      } else {
+        setStatus({ type: 'error', message: data.message || 'Failed to submit application. Please try again.' })
+      }
+    } catch (error) {
+      console.error('Membership application error:', error)
+      setStatus({ type: 'error', message: 'Unable to connect to server. Please check your connection and try again.' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      onSubmit={handleSubmit}
+      className="bg-white border border-gray-100 rounded-2xl shadow-xl p-8 space-y-6"
+    >
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">Full Name *</label>
+          <input type="text" id="name" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+          <input type="email" id="email" name="email" value={formData.email} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+          <input type="tel" id="phone" name="phone" value={formData.phone} onChange={handleChange} placeholder="+2547..." className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="institution" className="block text-sm font-medium text-gray-700 mb-2">Institution *</label>
+          <input type="text" id="institution" name="institution" value={formData.institution} onChange={handleChange} required placeholder="College or university" className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="course" className="block text-sm font-medium text-gray-700 mb-2">Course *</label>
+          <input type="text" id="course" name="course" value={formData.course} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="year_of_study" className="block text-sm font-medium text-gray-700 mb-2">Year of Study *</label>
+          <select id="year_of_study" name="year_of_study" value={formData.year_of_study} onChange={handleChange} required className={inputClass}>
+            <option value="">Select year</option>
+            {[1, 2, 3, 4, 5, 6, 7].map((year) => (
+              <option key={year} value={year}>Year {year}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="sub_county" className="block text-sm font-medium text-gray-700 mb-2">Sub-County *</label>
+          <select id="sub_county" name="sub_county" value={formData.sub_county} onChange={handleChange} required className={inputClass}>
+            <option value="">Select sub-county</option>
+            {SUB_COUNTIES.map((subCounty) => (
+              <option key={subCounty} value={subCounty}>{subCounty}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="ward" className="block text-sm font-medium text-gray-700 mb-2">Ward *</label>
+          <input type="text" id="ward" name="ward" value={formData.ward} onChange={handleChange} required className={inputClass} />
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSubmitting ? 'Submitting...' : 'Submit Application'}
+      </button>
+
+      {status.message && (
+        <p className={`text-center ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+          {status.message}
+        </p>
+      )}
+    </motion.form>
+  )
+}
@@ -25,6 +25,7 @@ export function Navigation() {
     { href: '#about', label: 'About' },
     { href: '#programs', label: 'Programs' },
     { href: '#impact', label: 'Impact' },
+    { href: '#gallery', label: 'Gallery' },
     { href: '#contact', label: 'Contact' },
   ]
 
@@ -66,7 +67,7 @@ export function Navigation() {
               </Link>
             ))}
             <Link
-              href="#contact"
+              href="/join"
               className={`btn-secondary ${
                 isScrolled
                   ? 'bg-accent text-primary'
@@ -144,7 +145,7 @@ export function Navigation() {
                 </Link>
               ))}
               <Link
-                href="#contact"
+                href="/join"
                 onClick={() => setIsMobileMenuOpen(false)}
                 className="block mt-4 btn-secondary text-center"
               >
@@ -0,0 +1,123 @@
+'use client'
+
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { getApiUrl } from '@/lib/auth'
+
+const PARTNERSHIP_TYPES = [
+  'Event sponsorship',
+  'Scholarships & bursaries',
+  'Mentorship & internships',
+  'Community outreach',
+  'Media & publicity',
+  'Other',
+]
+
+const initialForm = {
+  organization_name: '',
+  contact_person: '',
+  email: '',
+  phone: '',
+  partnership_type: '',
+  message: '',
+}
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-primary focus:border-transparent transition-all bg-gray-50 focus:bg-white'
+
+export function PartnerForm() {
+  const [formData, setFormData] = useState(initialForm)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setStatus({ type: '', message: '' })
+
+    try {
+      const response = await fetch(`${getApiUrl()}/api/partnership-requests`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (response.ok) {
+        setStatus({ type: 'success', message: data.message || 'Request sent successfully!' })
+        setFormData(initialForm)
+      } else {
+        setStatus({ type: 'error', message: data.message || 'Failed to send request. Please try again.' })
+      }
+    } catch (error) {
+      console.error('Partnership request error:', error)
+      setStatus({ type: 'error', message: 'Unable to connect to server. Please check your connection and try again.' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      onSubmit={handleSubmit}
+      className="bg-white border border-gray-100 rounded-2xl shadow-xl p-8 space-y-6"
+    >
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <label htmlFor="organization_name" className="block text-sm font-medium text-gray-700 mb-2">Organization *</label>
+          <input type="text" id="organization_name" name="organization_name" value={formData.organization_name} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="contact_person" className="block text-sm font-medium text-gray-700 mb-2">Contact Person *</label>
+          <input type="text" id="contact_person" name="contact_person" value={formData.contact_person} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+          <input type="email" id="email" name="email" value={formData.email} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+          <input type="tel" id="phone" name="phone" value={formData.phone} onChange={handleChange} className={inputClass} />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="partnership_type" className="block text-sm font-medium text-gray-700 mb-2">Type of Partnership</label>
+        <select id="partnership_type" name="partnership_type" value={formData.partnership_type} onChange={handleChange} className={inputClass}>
+          <option value="">Select a type</option>
+          {PARTNERSHIP_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="message" className="block text-sm font-medium text-gray-700 mb-2">How would you like to work with us?</label>
+        <textarea id="message" name="message" value={formData.message} onChange={handleChange} rows={5} maxLength={5000} className={inputClass}></textarea>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSubmitting ? 'Sending...' : 'Send Partnership Request'}
+      </button>
+
+      {status.message && (
+        <p className={`text-center ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+          {status.message}
+        </p>
+      )}
+    </motion.form>
+  )
+}
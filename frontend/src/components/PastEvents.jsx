@@ -0,0 +1,124 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Image from 'next/image'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import { getApiUrl } from '@/lib/auth'
+import { firstDatePerSeries, formatEventDate, getEventPath } from '@/lib/events'
+
+const INITIAL_COUNT = 6
+
+export function PastEvents() {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showAll, setShowAll] = useState(false)
+
+  useEffect(() => {
+    fetchPastEvents()
+  }, [])
+
+  const fetchPastEvents = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/events?status=past`)
+      // Newest first, so a recurring event is listed at its most recent date
+      if (response.ok) {
+        setEvents(firstDatePerSeries(await response.json()))
+      }
+    } catch (error) {
+      console.error('Error fetching past events:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading || events.length === 0) {
+    return null
+  }
+
+  const visibleEvents = showAll ? events : events.slice(0, INITIAL_COUNT)
+
+  return (
+    <section id="past-events" className="py-20 bg-white overflow-hidden">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 w-full">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6 }}
+          className="text-center mb-16"
+        >
+          <h2 className="text-4xl font-heading font-bold text-primary mb-4">Past Events</h2>
+          <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+            A look back at the summits, service days and workshops we have held, with photos from each.
+          </p>
+        </motion.div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+          {visibleEvents.map((event) => {
+            const cover = event.image_url || event.photos[0]?.image_url
+            const extraPhotos = event.photo_count - event.photos.length
+
+            return (
+              <motion.article
+                key={event.id}
+                initial={{ opacity: 0, y: 20 }}
+                whileInView={{ opacity: 1, y: 0 }}
+                viewport={{ once: true }}
+                transition={{ duration: 0.5 }}
+                className="bg-slate-50 rounded-2xl overflow-hidden border border-gray-100 flex flex-col"
+              >
+                {cover && (
+                  <div className="relative h-44">
+                    <Image src={cover} alt={event.title} fill sizes="(max-width: 768px) 100vw, 33vw" className="object-cover" />
+                  </div>
+                )}
+                <div className="p-6 flex flex-col flex-grow">
+                  <p className="text-sm text-gray-500 mb-2">
+                    📅 {formatEventDate(event.event_date, event.timezone)}
+                    {event.location && <span> · 📍 {event.location}</span>}
+                  </p>
+                  <h3 className="text-xl font-bold text-primary mb-4">
+                    <Link href={getEventPath(event)} className="hover:text-accent transition-colors">
+                      {event.title}
+                    </Link>
+                  </h3>
+
+                  {event.photos.length > 0 && (
+                    <div className="grid grid-cols-4 gap-2 mb-4">
+                      {event.photos.map((photo, index) => (
+                        <div key={photo.id} className="relative aspect-square rounded-lg overflow-hidden bg-gray-200">
+                          <Image src={photo.image_url} alt={photo.title || `${event.title} photo`} fill sizes="80px" className="object-cover" />
+                          {index === event.photos.length - 1 && extraPhotos > 0 && (
+                            <div className="absolute inset-0 bg-black/60 flex items-center justify-center text-white text-sm font-semibold">
+                              +{extraPhotos}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <Link
+                    href={getEventPath(event)}
+                    className="text-accent font-semibold hover:text-primary transition-colors mt-auto self-start"
+                  >
+                    {event.photo_count > 0 ? `View recap (${event.photo_count} photos) →` : 'Read more →'}
+                  </Link>
+                </div>
+              </motion.article>
+            )
+          })}
+        </div>
+
+        {events.length > INITIAL_COUNT && (
+          <div className="text-center mt-12">
+            <button onClick={() => setShowAll(!showAll)} className="btn-primary">
+              {showAll ? 'Show Fewer' : `Show All ${events.length} Past Events`}
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
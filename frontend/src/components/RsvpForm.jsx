@@ -0,0 +1,104 @@
+'use client'
+
+import { useState } from 'react'
+import { getApiUrl } from '@/lib/auth'
+
+const initialForm = {
+  name: '',
+  email: '',
+  phone: '',
+}
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-primary focus:border-transparent transition-all bg-gray-50 focus:bg-white'
+
+export function RsvpForm({ event }) {
+  const [formData, setFormData] = useState(initialForm)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+  const { registration } = event
+  const isFull = registration.spots_left === 0
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setStatus({ type: '', message: '' })
+
+    try {
+      const response = await fetch(`${getApiUrl()}/api/events/${event.id}/rsvps`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (response.ok) {
+        setStatus({ type: 'success', message: data.message || 'You are registered!' })
+        setFormData(initialForm)
+      } else {
+        setStatus({ type: 'error', message: data.message || 'Registration failed. Please try again.' })
+      }
+    } catch (error) {
+      console.error('RSVP error:', error)
+      setStatus({ type: 'error', message: 'Unable to connect to server. Please check your connection and try again.' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <section id="register" className="mt-12 bg-white border border-gray-100 rounded-2xl shadow-xl p-8">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+        <h2 className="text-2xl font-heading font-bold text-primary">Register to Attend</h2>
+        {registration.capacity !== null && (
+          <p className={`text-sm font-semibold ${isFull ? 'text-red-600' : 'text-green-700'}`}>
+            {isFull
+              ? 'Fully booked · join the waitlist'
+              : `${registration.spots_left} of ${registration.capacity} places left`}
+          </p>
+        )}
+      </div>
+
+      {status.type === 'success' ? (
+        <p className="text-green-700 bg-green-50 border border-green-200 rounded-xl p-4">{status.message}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="rsvp-name" className="block text-sm font-medium text-gray-700 mb-2">Full Name *</label>
+              <input type="text" id="rsvp-name" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="rsvp-email" className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+              <input type="email" id="rsvp-email" name="email" value={formData.email} onChange={handleChange} required className={inputClass} />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="rsvp-phone" className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+            <input type="tel" id="rsvp-phone" name="phone" value={formData.phone} onChange={handleChange} className={inputClass} />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Registering...' : isFull ? 'Join the Waitlist' : 'Register'}
+          </button>
+
+          {status.type === 'error' && (
+            <p className="text-center text-red-600">{status.message}</p>
+          )}
+        </form>
+      )}
+    </section>
+  )
+}
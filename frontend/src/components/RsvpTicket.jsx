@@ -0,0 +1,109 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { getApiUrl } from '@/lib/auth'
+import { formatEventSchedule, getEventPath } from '@/lib/events'
+
+export function RsvpTicket({ token }) {
+  const [rsvp, setRsvp] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  useEffect(() => {
+    if (!token) {
+      setLoading(false)
+      return
+    }
+    const fetchRsvp = async () => {
+      try {
+        const response = await fetch(`${getApiUrl()}/api/rsvps/${encodeURIComponent(token)}`)
+        const data = await response.json().catch(() => ({}))
+        if (response.ok) {
+          setRsvp(data)
+        } else {
+          setStatus({ type: 'error', message: data.message || 'This registration link is invalid or has expired' })
+        }
+      } catch (error) {
+        console.error('Error fetching registration:', error)
+        setStatus({ type: 'error', message: 'Unable to connect to server. Please try again later.' })
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchRsvp()
+  }, [token])
+
+  const handleCancel = async () => {
+    setIsSubmitting(true)
+    try {
+      const response = await fetch(`${getApiUrl()}/api/rsvps/${encodeURIComponent(token)}/cancel`, { method: 'POST' })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        setRsvp({ ...rsvp, status: 'cancelled', ticket: null })
+        setStatus({ type: 'success', message: data.message || 'Your registration has been cancelled' })
+      } else {
+        setStatus({ type: 'error', message: data.message || 'Failed to cancel your registration' })
+      }
+    } catch (error) {
+      console.error('Error cancelling registration:', error)
+      setStatus({ type: 'error', message: 'Unable to connect to server. Please try again later.' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-center text-gray-500">Loading...</p>
+  }
+
+  if (!token) {
+    return <p className="text-center text-red-600">Invalid or missing registration link.</p>
+  }
+
+  return (
+    <div className="bg-white border border-gray-100 rounded-2xl shadow-xl p-8 space-y-6 text-center">
+      {rsvp && (
+        <>
+          <div>
+            <p className="text-gray-600 mb-1">Registration for {rsvp.name}</p>
+            <h2 className="text-2xl font-heading font-bold text-primary">
+              <Link href={getEventPath(rsvp.event)} className="hover:text-accent transition-colors">{rsvp.event.title}</Link>
+            </h2>
+            <p className="text-sm text-gray-500 mt-2">📅 {formatEventSchedule(rsvp.event)}</p>
+            {rsvp.event.location && <p className="text-sm text-gray-500">📍 {rsvp.event.location}</p>}
+          </div>
+          {rsvp.ticket && (
+            <div className="border-2 border-dashed border-gray-200 rounded-2xl p-6">
+              {/* qr_code is a PNG data URL generated by the API */}
+              <img src={rsvp.ticket.qr_code} alt="Check-in QR code" width={240} height={240} className="mx-auto" />
+              <p className="mt-4 text-sm text-gray-500">Check-in code</p>
+              <p className="text-2xl font-mono font-bold tracking-widest text-primary">{rsvp.ticket.code}</p>
+              {rsvp.ticket.checked_in_at && (
+                <p className="mt-2 text-sm text-green-700">Checked in {new Date(rsvp.ticket.checked_in_at).toLocaleString()}</p>
+              )}
+            </div>
+          )}
+          {rsvp.status === 'waitlisted' && !status.message && (
+            <p className="text-gray-600">You are on the waitlist. We will email your ticket if a place opens up.</p>
+          )}
+          {rsvp.status === 'cancelled' ? (
+            !status.message && <p className="text-gray-600">This registration has already been cancelled.</p>
+          ) : (
+            <button
+              onClick={handleCancel}
+              disabled={isSubmitting}
+              className="w-full px-6 py-3 bg-red-600 text-white font-semibold rounded-xl hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              {isSubmitting ? 'Cancelling...' : rsvp.status === 'waitlisted' ? 'Leave the Waitlist' : 'Cancel My Registration'}
+            </button>
+          )}
+        </>
+      )}
+      {status.message && (
+        <p className={status.type === 'success' ? 'text-green-600' : 'text-red-600'}>{status.message}</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,135 @@
+'use client'
+
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { getApiUrl } from '@/lib/auth'
+
+export const VOLUNTEER_INTERESTS = [
+  'Community outreach',
+  'Mentorship',
+  'Event planning',
+  'Media & publicity',
+  'Fundraising',
+  'Environmental action',
+  'Health & wellness',
+]
+
+const initialForm = {
+  name: '',
+  email: '',
+  phone: '',
+  interests: [],
+  experience: '',
+}
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-primary focus:border-transparent transition-all bg-gray-50 focus:bg-white'
+
+export function VolunteerForm() {
+  const [formData, setFormData] = useState(initialForm)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [status, setStatus] = useState({ type: '', message: '' })
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    })
+  }
+
+  const toggleInterest = (interest) => {
+    setFormData({
+      ...formData,
+      interests: formData.interests.includes(interest)
+        ? formData.interests.filter((item) => item !== interest)
+        : [...formData.interests, interest]
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSubmitting(true)
+    setStatus({ type: '', message: '' })
+
+    try {
+      const response = await fetch(`${getApiUrl()}/api/volunteer-submissions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(formData),
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (response.ok) {
+        setStatus({ type: 'success', message: data.message || 'Thank you for volunteering!' })
+        setFormData(initialForm)
+      } else {
+        setStatus({ type: 'error', message: data.message || 'Failed to submit. Please try again.' })
+      }
+    } catch (error) {
+      console.error('Volunteer submission error:', error)
+      setStatus({ type: 'error', message: 'Unable to connect to server. Please check your connection and try again.' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      onSubmit={handleSubmit}
+      className="bg-white border border-gray-100 rounded-2xl shadow-xl p-8 space-y-6"
+    >
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="md:col-span-2">
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">Full Name *</label>
+          <input type="text" id="name" name="name" value={formData.name} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+          <input type="email" id="email" name="email" value={formData.email} onChange={handleChange} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+          <input type="tel" id="phone" name="phone" value={formData.phone} onChange={handleChange} className={inputClass} />
+        </div>
+      </div>
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-2">Where would you like to help?</legend>
+        <div className="grid sm:grid-cols-2 gap-3">
+          {VOLUNTEER_INTERESTS.map((interest) => (
+            <label key={interest} className="flex items-center gap-3 px-4 py-3 border border-gray-200 rounded-xl bg-gray-50 cursor-pointer hover:bg-white">
+              <input
+                type="checkbox"
+                checked={formData.interests.includes(interest)}
+                onChange={() => toggleInterest(interest)}
+                className="w-4 h-4 accent-primary"
+              />
+              <span className="text-gray-700">{interest}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <div>
+        <label htmlFor="experience" className="block text-sm font-medium text-gray-700 mb-2">Relevant experience</label>
+        <textarea id="experience" name="experience" value={formData.experience} onChange={handleChange} rows={4} maxLength={5000} className={inputClass} placeholder="Previous volunteering, skills, or anything else we should know"></textarea>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSubmitting ? 'Submitting...' : 'Sign Up to Volunteer'}
+      </button>
+
+      {status.message && (
+        <p className={`text-center ${status.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>
+          {status.message}
+        </p>
+      )}
+    </motion.form>
+  )
+}
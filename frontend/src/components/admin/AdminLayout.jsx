@@ -3,51 +3,118 @@
 import { useState, useEffect } from 'react'
 import { useRouter, usePathname } from 'next/navigation'
 import Link from 'next/link'
-import { clearAuth, getAdminUser } from '@/lib/auth'
+import {
+  clearAuth,
+  ensureFreshToken,
+  getAdminUser,
+  setAdminUser as storeAdminUser,
+  getApiHeaders,
+  getApiUrl,
+  hasPermission,
+  getRoleLabel,
+  logout,
+} from '@/lib/auth'
+import { ConfirmDialog } from '@/components/admin/Dialog'
+
+// Admin routes that must stay reachable without a session
+const PUBLIC_PATHS = ['/admin/members/login', '/admin/forgot-password', '/admin/reset-password']
+
+// How often to check whether the access token needs refreshing
+const TOKEN_CHECK_INTERVAL_MS = 30 * 1000
 
 export function AdminLayout({ children }) {
   const router = useRouter()
   const pathname = usePathname()
   const [adminUser, setAdminUser] = useState(null)
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false)
+  const [showLogoutAllConfirm, setShowLogoutAllConfirm] = useState(false)
 
+  // The session cookie is httpOnly, so ask the API who is signed in. Doing this on
+  // every navigation also picks up role and permission changes made by a super
+  // admin without re-login.
   useEffect(() => {
-    // Don't redirect on login page
-    if (pathname === '/admin/members/login') {
+    // Don't redirect on login and password recovery pages
+    if (PUBLIC_PATHS.includes(pathname)) {
       return
     }
-    
-    const user = getAdminUser()
-    if (!user) {
-      router.push('/admin/members/login')
-    } else {
-      setAdminUser(user)
+
+    const cached = getAdminUser()
+    if (cached) setAdminUser(cached)
+
+    const loadAdmin = async () => {
+      try {
+        const response = await ensureFreshToken()
+          && await fetch(`${getApiUrl()}/api/admin/me`, { headers: getApiHeaders(), credentials: 'include' })
+        if (response && response.ok) {
+          const data = await response.json()
+          storeAdminUser(data)
+          setAdminUser(data)
+        } else if (!response || response.status === 401 || response.status === 403) {
+          clearAuth()
+          router.push('/admin/members/login')
+        }
+      } catch (error) {
+        console.error('Error loading admin profile:', error)
+      }
     }
+    loadAdmin()
   }, [router, pathname])
 
-  const handleLogout = () => {
-    clearAuth()
+  // Access tokens are short-lived, so keep them fresh while the panel is open and
+  // when the tab comes back from the background. Pages call the API directly and
+  // rely on this to always find a valid token.
+  const signedIn = !!adminUser
+  useEffect(() => {
+    if (PUBLIC_PATHS.includes(pathname) || !signedIn) return
+
+    const keepFresh = async () => {
+      if (!await ensureFreshToken()) {
+        clearAuth()
+        router.push('/admin/members/login')
+      }
+    }
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') keepFresh()
+    }
+    const interval = setInterval(keepFresh, TOKEN_CHECK_INTERVAL_MS)
+    document.addEventListener('visibilitychange', handleVisibility)
+    return () => {
+      clearInterval(interval)
+      document.removeEventListener('visibilitychange', handleVisibility)
+    }
+  }, [router, pathname, signedIn])
+
+  const handleLogout = async (everywhere = false) => {
+    await logout({ everywhere })
     router.push('/admin/members/login')
   }
 
   const menuItems = [
     { href: '/admin/dashboard', label: 'Dashboard', icon: '📊' },
-    { href: '/admin/programs', label: 'Programs', icon: '📚' },
-    { href: '/admin/events', label: 'Events', icon: '📅' },
-    { href: '/admin/leaders', label: 'Officials', icon: '👔' },
-    { href: '/admin/messages', label: 'Messages', icon: '💬' },
-    { href: '/admin/announcements', label: 'Announcements', icon: '📢' },
-    { href: '/admin/testimonials', label: 'Testimonials', icon: '⭐' },
-    { href: '/admin/stats', label: 'Impact Stats', icon: '📈' },
-  ]
-
-  // Don't render layout on login page
-  if (pathname === '/admin/members/login') {
+    { href: '/admin/programs', label: 'Programs', icon: '📚', permission: 'content' },
+    { href: '/admin/events', label: 'Events', icon: '📅', permission: 'content' },
+    { href: '/admin/leaders', label: 'Officials', icon: '👔', permission: 'content' },
+    { href: '/admin/gallery', label: 'Gallery', icon: '🖼️', permission: 'content' },
+    { href: '/admin/members', label: 'Members', icon: '👥', permission: 'members' },
+    { href: '/admin/applications', label: 'Applications', icon: '📝', permission: 'members' },
+    { href: '/admin/volunteers', label: 'Volunteers', icon: '🙋', permission: 'members' },
+    { href: '/admin/messages', label: 'Messages', icon: '💬', permission: 'messages' },
+    { href: '/admin/contacts', label: 'Contacts', icon: '📇', permission: 'messages' },
+    { href: '/admin/partnerships', label: 'Partnerships', icon: '🤝', permission: 'messages' },
+    { href: '/admin/announcements', label: 'Announcements', icon: '📢', permission: 'announcements' },
+    { href: '/admin/testimonials', label: 'Testimonials', icon: '⭐', permission: 'content' },
+    { href: '/admin/stats', label: 'Impact Stats', icon: '📈', permission: 'content' },
+    { href: '/admin/admins', label: 'Admins', icon: '🛡️', permission: 'admins' },
+    { href: '/admin/security', label: 'Security', icon: '🔐' },
+  ].filter(item => hasPermission(adminUser, item.permission))
+
+  // Don't render layout on login and password recovery pages
+  if (PUBLIC_PATHS.includes(pathname)) {
     return <>{children}</>
   }
 
   // Show loading while checking authentication
-  if (!adminUser && pathname !== '/admin/members/login') {
+  if (!adminUser) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-blue-950">
         <div className="text-center">
@@ -84,7 +151,7 @@ export function AdminLayout({ children }) {
 
           <nav className="space-y-2">
             {menuItems.map((item) => {
-              const isActive = pathname === item.href
+              const isActive = pathname === item.href || pathname.startsWith(`${item.href}/`)
               return (
                 <Link
                   key={item.href}
@@ -107,15 +174,21 @@ export function AdminLayout({ children }) {
           <div className="flex items-center justify-between mb-4">
             <div className="overflow-hidden">
               <p className="font-semibold truncate">{adminUser?.username}</p>
-              <p className="text-xs text-gray-400 truncate">{adminUser?.email || 'Admin'}</p>
+              <p className="text-xs text-gray-400 truncate">{getRoleLabel(adminUser?.role)}</p>
             </div>
           </div>
           <button
-            onClick={handleLogout}
+            onClick={() => handleLogout()}
             className="w-full bg-red-500/20 hover:bg-red-500/30 text-red-200 hover:text-white border border-red-500/30 px-4 py-2 rounded-lg transition-all duration-200 flex items-center justify-center space-x-2"
           >
             <span>Logout</span>
           </button>
+          <button
+            onClick={() => setShowLogoutAllConfirm(true)}
+            className="block w-full mt-3 text-center text-xs text-gray-400 hover:text-red-200 transition-colors"
+          >
+            Sign out all devices
+          </button>
           <Link
             href="/"
             target="_blank"
@@ -139,7 +212,7 @@ export function AdminLayout({ children }) {
               </div>
               <nav className="space-y-2">
                 {menuItems.map((item) => {
-                  const isActive = pathname === item.href
+                  const isActive = pathname === item.href || pathname.startsWith(`${item.href}/`)
                   return (
                     <Link
                       key={item.href}
@@ -162,15 +235,21 @@ export function AdminLayout({ children }) {
               <div className="flex items-center justify-between mb-4">
                 <div className="overflow-hidden">
                   <p className="font-semibold truncate">{adminUser?.username}</p>
-                  <p className="text-xs text-gray-400 truncate">{adminUser?.email || 'Admin'}</p>
+                  <p className="text-xs text-gray-400 truncate">{getRoleLabel(adminUser?.role)}</p>
                 </div>
               </div>
               <button
-                onClick={handleLogout}
+                onClick={() => handleLogout()}
                 className="w-full bg-red-500/20 hover:bg-red-500/30 text-red-200 hover:text-white border border-red-500/30 px-4 py-2 rounded-lg transition-all duration-200"
               >
                 Logout
               </button>
+              <button
+                onClick={() => setShowLogoutAllConfirm(true)}
+                className="block w-full mt-3 text-center text-xs text-gray-400 hover:text-red-200 transition-colors"
+              >
+                Sign out all devices
+              </button>
             </div>
           </div>
         </div>
@@ -180,6 +259,15 @@ export function AdminLayout({ children }) {
       <main className="md:ml-64 min-h-screen transition-all duration-300">
         {children}
       </main>
+
+      <ConfirmDialog
+        isOpen={showLogoutAllConfirm}
+        onClose={() => setShowLogoutAllConfirm(false)}
+        onConfirm={() => handleLogout(true)}
+        title="Sign Out All Devices"
+        message="This signs you out everywhere, including this browser. You will need to sign in again on each device."
+        confirmText="Sign Out Everywhere"
+      />
     </div>
   )
 }
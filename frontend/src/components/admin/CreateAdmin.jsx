@@ -1,13 +1,14 @@
 'use client';
 
 import { useState } from 'react';
-import { getApiUrl, getApiHeaders } from '../../lib/auth';
+import { getApiUrl, getApiHeaders, ADMIN_ROLES } from '../../lib/auth';
 
-export default function CreateAdmin() {
+export default function CreateAdmin({ onCreated }) {
   const [formData, setFormData] = useState({
     username: '',
     email: '',
-    password: ''
+    password: '',
+    role: 'content_editor'
   });
   const [status, setStatus] = useState({ type: '', message: '' });
   const [loading, setLoading] = useState(false);
@@ -25,6 +26,7 @@ export default function CreateAdmin() {
       const response = await fetch(`${getApiUrl()}/api/admin/create-admin`, {
         method: 'POST',
         headers: getApiHeaders(),
+        credentials: 'include',
         body: JSON.stringify(formData),
       });
 
@@ -32,7 +34,8 @@ export default function CreateAdmin() {
 
       if (response.ok) {
         setStatus({ type: 'success', message: 'New admin created successfully!' });
-        setFormData({ username: '', email: '', password: '' });
+        setFormData({ username: '', email: '', password: '', role: 'content_editor' });
+        if (onCreated) onCreated();
       } else {
         setStatus({ type: 'error', message: data.message || 'Failed to create admin' });
       }
@@ -62,7 +65,16 @@ export default function CreateAdmin() {
         </div>
         <div>
           <label className="block text-sm font-medium text-gray-700">Password</label>
-          <input name="password" type="password" value={formData.password} onChange={handleChange} required className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border" />
+          <input name="password" type="password" value={formData.password} onChange={handleChange} required minLength={8} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border" />
+          <p className="mt-1 text-xs text-gray-500">At least 8 characters with uppercase and lowercase letters, a number and a symbol.</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Role</label>
+          <select name="role" value={formData.role} onChange={handleChange} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border">
+            {ADMIN_ROLES.map((role) => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
         </div>
         <button type="submit" disabled={loading} className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50">
           {loading ? 'Creating...' : 'Create Admin'}
@@ -0,0 +1,137 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { describeRecurrence, formatEventSchedule } from '@/lib/events'
+import { Dialog } from '@/components/admin/Dialog'
+
+const STATUS_BADGES = {
+  scheduled: { label: 'Scheduled', className: 'bg-green-100 text-green-700' },
+  skipped: { label: 'Skipped', className: 'bg-red-100 text-red-700' },
+  edited: { label: 'Edited', className: 'bg-blue-100 text-blue-700' },
+}
+
+// Dates of a recurring event, from the last month to a year ahead. `onEdit` is
+// called with an occurrence to edit that date on its own; occurrences that were
+// already edited carry the separate event as `override`.
+export function EventOccurrences({ isOpen, onClose, series, onEdit, onChanged }) {
+  const [occurrences, setOccurrences] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (isOpen && series) fetchOccurrences()
+  }, [isOpen, series])
+
+  const fetchOccurrences = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/events/${series.id}/occurrences`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setOccurrences(data.occurrences)
+      } else {
+        setError('Failed to load dates')
+      }
+    } catch (error) {
+      console.error('Error fetching occurrences:', error)
+      setError('Failed to load dates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateException = async (occurrence, skip) => {
+    setError('')
+    try {
+      const apiUrl = getApiUrl()
+      const response = skip
+        ? await fetch(`${apiUrl}/api/admin/events/${series.id}/exceptions`, {
+            method: 'POST',
+            headers: getApiHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({ occurrence_date: occurrence.occurrence_date }),
+          })
+        : await fetch(`${apiUrl}/api/admin/events/${series.id}/exceptions/${encodeURIComponent(occurrence.occurrence_date)}`, {
+            method: 'DELETE',
+            headers: getApiHeaders(),
+            credentials: 'include',
+          })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        fetchOccurrences()
+        onChanged?.(data.message)
+      } else {
+        setError(data.message || 'Failed to update date')
+      }
+    } catch (error) {
+      console.error('Error updating occurrence:', error)
+      setError('An error occurred while updating the date')
+    }
+  }
+
+  return (
+    <Dialog isOpen={isOpen} onClose={onClose} title={`Dates: ${series?.title || ''}`} size="lg">
+      {series && <p className="text-sm text-gray-500 mb-4">{describeRecurrence(series)}</p>}
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <p className="text-center py-8 text-gray-500">Loading dates...</p>
+      ) : occurrences.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No dates in the coming year.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {occurrences.map((occurrence) => {
+            const badge = STATUS_BADGES[occurrence.status]
+            const shown = occurrence.override || occurrence
+
+            return (
+              <li key={occurrence.occurrence_date} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                <div className={occurrence.past ? 'opacity-60' : ''}>
+                  <p className={`text-sm text-gray-800 ${occurrence.status === 'skipped' ? 'line-through' : ''}`}>
+                    {formatEventSchedule({ ...shown, timezone: series.timezone })}
+                  </p>
+                  <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-semibold ${badge.className}`}>
+                    {badge.label}{occurrence.override && occurrence.override.title !== series.title ? ` · ${occurrence.override.title}` : ''}
+                  </span>
+                </div>
+                <div className="flex gap-2">
+                  {occurrence.status === 'skipped' ? (
+                    <button
+                      onClick={() => updateException(occurrence, false)}
+                      className="px-3 py-1.5 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors text-sm"
+                    >
+                      Restore
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => onEdit(occurrence)}
+                        className="px-3 py-1.5 bg-primary text-white rounded-lg hover:bg-opacity-90 transition-colors text-sm"
+                      >
+                        Edit
+                      </button>
+                      {occurrence.status === 'scheduled' && (
+                        <button
+                          onClick={() => updateException(occurrence, true)}
+                          className="px-3 py-1.5 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm"
+                        >
+                          Skip
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </Dialog>
+  )
+}
@@ -0,0 +1,168 @@
+'use client'
+
+import { useRef, useState } from 'react'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+
+// Each action wraps the current selection (or a placeholder) in Markdown syntax
+const TOOLBAR = [
+  { label: 'H', title: 'Heading', before: '\n## ', after: '\n', placeholder: 'Heading' },
+  { label: 'B', title: 'Bold', before: '**', after: '**', placeholder: 'bold text', className: 'font-bold' },
+  { label: 'I', title: 'Italic', before: '_', after: '_', placeholder: 'italic text', className: 'italic' },
+  { label: '• List', title: 'Bulleted list', before: '\n- ', after: '\n', placeholder: 'List item' },
+  { label: '1. List', title: 'Numbered list', before: '\n1. ', after: '\n', placeholder: 'List item' },
+  { label: 'Link', title: 'Link', before: '[', after: '](https://)', placeholder: 'link text' },
+]
+
+export function MarkdownEditor({ value, onChange, rows = 8, placeholder }) {
+  const textareaRef = useRef(null)
+  const fileInputRef = useRef(null)
+  const [mode, setMode] = useState('write')
+  const [previewHtml, setPreviewHtml] = useState('')
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState('')
+
+  const insert = (before, after = '', placeholderText = '') => {
+    const textarea = textareaRef.current
+    const start = textarea ? textarea.selectionStart : value.length
+    const end = textarea ? textarea.selectionEnd : value.length
+    const selected = value.slice(start, end) || placeholderText
+    onChange(value.slice(0, start) + before + selected + after + value.slice(end))
+
+    requestAnimationFrame(() => {
+      if (!textarea) return
+      textarea.focus()
+      textarea.setSelectionRange(start + before.length, start + before.length + selected.length)
+    })
+  }
+
+  const showPreview = async () => {
+    setMode('preview')
+    setPreviewLoading(true)
+    try {
+      const response = await fetch(`${getApiUrl()}/api/admin/markdown-preview`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ markdown: value }),
+      })
+      const data = await response.json().catch(() => ({}))
+      setPreviewHtml(response.ok ? data.html : '')
+      if (!response.ok) setError(data.message || 'Failed to load preview')
+    } catch (error) {
+      console.error('Error loading preview:', error)
+      setError('Failed to load preview')
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.type) || file.size > 5 * 1024 * 1024) {
+      setError('Images must be JPEG, PNG or WebP and smaller than 5MB')
+      return
+    }
+
+    setUploading(true)
+    setError('')
+    try {
+      const body = new FormData()
+      body.append('file', file)
+      const response = await fetch(`${getApiUrl()}/api/admin/upload`, {
+        method: 'POST',
+        headers: getApiHeaders({ json: false }),
+        credentials: 'include',
+        body,
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        const alt = file.name.replace(/\.[^.]+$/, '').replace(/[[\]]/g, '')
+        insert(`\n![${alt}](${data.url})\n`)
+      } else {
+        setError(data.message || 'Failed to upload image')
+      }
+    } catch (error) {
+      console.error('Error uploading image:', error)
+      setError('An error occurred while uploading the image')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <div className="border border-gray-300 rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-primary">
+      <div className="flex flex-wrap items-center gap-1 px-2 py-1 bg-gray-50 border-b border-gray-200">
+        <button
+          type="button"
+          onClick={() => setMode('write')}
+          className={`px-3 py-1 rounded text-sm ${mode === 'write' ? 'bg-white shadow-sm text-primary font-medium' : 'text-gray-600'}`}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          onClick={showPreview}
+          className={`px-3 py-1 rounded text-sm ${mode === 'preview' ? 'bg-white shadow-sm text-primary font-medium' : 'text-gray-600'}`}
+        >
+          Preview
+        </button>
+        {mode === 'write' && (
+          <>
+            <span className="mx-1 h-5 border-l border-gray-300" />
+            {TOOLBAR.map((action) => (
+              <button
+                key={action.title}
+                type="button"
+                title={action.title}
+                onClick={() => insert(action.before, action.after, action.placeholder)}
+                className={`px-2 py-1 rounded text-sm text-gray-700 hover:bg-gray-200 ${action.className || ''}`}
+              >
+                {action.label}
+              </button>
+            ))}
+            <button
+              type="button"
+              title="Insert image"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={uploading}
+              className="px-2 py-1 rounded text-sm text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+            >
+              {uploading ? 'Uploading...' : 'Image'}
+            </button>
+            <input ref={fileInputRef} type="file" accept="image/jpeg,image/png,image/webp" onChange={handleImageUpload} className="hidden" />
+          </>
+        )}
+      </div>
+
+      {mode === 'write' ? (
+        <textarea
+          ref={textareaRef}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows={rows}
+          placeholder={placeholder}
+          className="w-full px-4 py-2 border-0 focus:outline-none focus:ring-0 font-mono text-sm"
+        />
+      ) : (
+        <div className="px-4 py-3 min-h-[10rem] max-h-96 overflow-y-auto">
+          {previewLoading ? (
+            <p className="text-sm text-gray-500">Loading preview...</p>
+          ) : previewHtml ? (
+            <div className="rich-text text-sm" dangerouslySetInnerHTML={{ __html: previewHtml }} />
+          ) : (
+            <p className="text-sm text-gray-500">Nothing to preview</p>
+          )}
+        </div>
+      )}
+
+      <div className="px-3 py-1 bg-gray-50 border-t border-gray-200 text-xs text-gray-500 flex justify-between gap-2">
+        <span>Markdown supported: ## headings, **bold**, - lists, [links](https://) and images.</span>
+        {error && <span className="text-red-600">{error}</span>}
+      </div>
+    </div>
+  )
+}
@@ -36,7 +36,7 @@ function ResetPasswordForm() {
 
       if (response.ok) {
         setMessage('Password reset successful! Redirecting to login...');
-        setTimeout(() => router.push('/admin/login'), 3000);
+        setTimeout(() => router.push('/admin/members/login'), 3000);
       } else {
         setError(data.message);
       }
@@ -57,6 +57,7 @@ function ResetPasswordForm() {
       <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
         <input type="password" required className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm mb-4" placeholder="New Password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} />
         <input type="password" required className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm" placeholder="Confirm New Password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} />
+        <p className="text-xs text-gray-500">At least 8 characters with uppercase and lowercase letters, a number and a symbol.</p>
         <button type="submit" disabled={loading} className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 mt-4">
           {loading ? 'Resetting...' : 'Reset Password'}
         </button>
@@ -0,0 +1,186 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { getApiHeaders, getApiUrl } from '@/lib/auth'
+import { diffLines } from '@/lib/diff'
+import { Dialog, ConfirmDialog } from '@/components/admin/Dialog'
+
+const ACTION_LABELS = {
+  original: 'Original version',
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString()
+  return String(value)
+}
+
+// `resource` is the admin API collection ('posts' or 'events'); `fields` lists the
+// tracked fields to show, with `multiline` fields rendered as a line diff.
+export function RevisionHistory({ isOpen, onClose, resource, item, fields, onRestored }) {
+  const [revisions, setRevisions] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [showRestoreConfirm, setShowRestoreConfirm] = useState(false)
+
+  useEffect(() => {
+    if (isOpen && item) fetchRevisions()
+  }, [isOpen, item])
+
+  const fetchRevisions = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/${resource}/${item.id}/revisions`, {
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setRevisions(data)
+        setSelectedId(data[0]?.id ?? null)
+      } else {
+        setError('Failed to load history')
+      }
+    } catch (error) {
+      console.error('Error fetching revisions:', error)
+      setError('Failed to load history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRestore = async () => {
+    try {
+      const apiUrl = getApiUrl()
+      const response = await fetch(`${apiUrl}/api/admin/${resource}/${item.id}/revisions/${selectedId}/restore`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+      const data = await response.json().catch(() => ({}))
+      if (response.ok) {
+        fetchRevisions()
+        onRestored?.(data.message)
+      } else {
+        setError(data.message || 'Failed to restore revision')
+      }
+    } catch (error) {
+      console.error('Error restoring revision:', error)
+      setError('An error occurred while restoring')
+    }
+  }
+
+  const selectedIndex = revisions.findIndex(r => r.id === selectedId)
+  const selected = revisions[selectedIndex]
+  // Revisions are newest first, so the version this one replaced is the next entry
+  const previous = revisions[selectedIndex + 1]
+  const shownFields = selected
+    ? fields.filter(field => !previous || selected.changed_fields.includes(field.key))
+    : []
+
+  return (
+    <>
+      <Dialog isOpen={isOpen} onClose={onClose} title={`History: ${item?.title || ''}`} size="xl">
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">{error}</div>
+        )}
+        {loading ? (
+          <p className="text-center py-8 text-gray-500">Loading history...</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No changes have been recorded yet.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <ul className="space-y-2 md:max-h-[60vh] overflow-y-auto">
+              {revisions.map((revision, index) => (
+                <li key={revision.id}>
+                  <button
+                    onClick={() => setSelectedId(revision.id)}
+                    className={`w-full text-left p-3 rounded-lg border-2 transition-all ${
+                      revision.id === selectedId ? 'border-primary bg-primary bg-opacity-10' : 'border-gray-200 hover:border-primary'
+                    }`}
+                  >
+                    <p className="text-sm font-semibold text-gray-900">
+                      {ACTION_LABELS[revision.action] || revision.action}
+                      {index === 0 && <span className="ml-2 text-xs font-normal text-green-700">Current</span>}
+                    </p>
+                    <p className="text-xs text-gray-600">
+                      {revision.admin?.username || 'Unknown'} · {new Date(revision.created_at).toLocaleString()}
+                    </p>
+                    {revision.changed_fields.length > 0 && revision.action !== 'create' && (
+                      <p className="text-xs text-gray-500 mt-1 truncate">Changed: {revision.changed_fields.join(', ')}</p>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="md:col-span-2 md:max-h-[60vh] overflow-y-auto">
+              {selected && (
+                <>
+                  <div className="flex items-center justify-between mb-4">
+                    <p className="text-sm text-gray-600">
+                      {previous ? 'Changes compared with the version before it' : 'Full contents of this version'}
+                    </p>
+                    {selectedIndex > 0 && (
+                      <button onClick={() => setShowRestoreConfirm(true)} className="btn-primary text-sm">
+                        Restore this version
+                      </button>
+                    )}
+                  </div>
+                  {shownFields.length === 0 && <p className="text-sm text-gray-500">No tracked fields changed.</p>}
+                  <div className="space-y-4">
+                    {shownFields.map((field) => (
+                      <div key={field.key}>
+                        <p className="text-sm font-semibold text-gray-700 mb-1">{field.label}</p>
+                        {field.multiline && previous ? (
+                          <pre className="text-xs bg-gray-50 border border-gray-200 rounded-lg p-3 whitespace-pre-wrap font-mono">
+                            {diffLines(previous.data[field.key], selected.data[field.key]).map((line, i) => (
+                              <div
+                                key={i}
+                                className={
+                                  line.type === 'added' ? 'bg-green-100 text-green-800'
+                                    : line.type === 'removed' ? 'bg-red-100 text-red-800 line-through'
+                                      : 'text-gray-700'
+                                }
+                              >
+                                {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                              </div>
+                            ))}
+                          </pre>
+                        ) : previous ? (
+                          <p className="text-sm">
+                            <span className="bg-red-100 text-red-800 line-through px-1 rounded">{formatValue(previous.data[field.key])}</span>
+                            <span className="mx-2 text-gray-400">→</span>
+                            <span className="bg-green-100 text-green-800 px-1 rounded">{formatValue(selected.data[field.key])}</span>
+                          </p>
+                        ) : (
+                          <p className="text-sm text-gray-800 whitespace-pre-wrap">{formatValue(selected.data[field.key])}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </Dialog>
+
+      <ConfirmDialog
+        isOpen={showRestoreConfirm}
+        onClose={() => setShowRestoreConfirm(false)}
+        onConfirm={handleRestore}
+        title="Restore Version"
+        message="The current content will be replaced with this version. The current version stays in the history, so this can be undone."
+        confirmText="Restore"
+      />
+    </>
+  )
+}
@@ -0,0 +1,103 @@
+'use client'
+
+import { useState } from 'react'
+
+// Enrolment step shared by the login page and the security settings: scan the
+// QR code (or type the key) into an authenticator app, then confirm a code
+export function TwoFactorSetup({ setup, onConfirm, isSubmitting, error, submitLabel = 'Turn On' }) {
+  const [code, setCode] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onConfirm(code)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <ol className="list-decimal list-inside text-sm text-gray-600 space-y-1">
+        <li>Open an authenticator app such as Google Authenticator, Authy or 1Password.</li>
+        <li>Scan this QR code, or enter the key below by hand.</li>
+        <li>Type the 6-digit code the app shows.</li>
+      </ol>
+
+      {/* qr_code is a PNG data URL generated by the API */}
+      <img src={setup.qr_code} alt="Authenticator QR code" width={200} height={200} className="mx-auto" />
+      <p className="text-center font-mono text-sm text-gray-700 break-all bg-gray-50 rounded-lg p-2">{setup.secret}</p>
+
+      <div>
+        <label htmlFor="totp-setup-code" className="block text-sm font-medium text-gray-700 mb-2">Code from the app</label>
+        <input
+          type="text"
+          id="totp-setup-code"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="[0-9 ]{6,7}"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          required
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent tracking-widest text-center"
+          placeholder="123456"
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+
+      <button type="submit" disabled={isSubmitting} className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+        {isSubmitting ? 'Checking...' : submitLabel}
+      </button>
+    </form>
+  )
+}
+
+// Shown once after enrolment or regeneration; the API only keeps hashes
+export function BackupCodes({ codes, onDone, doneLabel = 'I have saved these codes' }) {
+  const [copied, setCopied] = useState(false)
+  const text = codes.join('\n')
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+    } catch (error) {
+      console.error('Error copying backup codes:', error)
+    }
+  }
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`BUCCUSA admin backup codes\n\n${text}\n`], { type: 'text/plain' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'buccusa-backup-codes.txt'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Keep these backup codes somewhere safe. Each one signs you in once if you lose your authenticator.
+        They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-center bg-gray-50 rounded-lg p-4">
+        {codes.map((code) => (
+          <li key={code} className="text-gray-800">{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-3">
+        <button type="button" onClick={handleCopy} className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors">
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button type="button" onClick={handleDownload} className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors">
+          Download
+        </button>
+      </div>
+      {onDone && (
+        <button type="button" onClick={onDone} className="w-full btn-primary">
+          {doneLabel}
+        </button>
+      )}
+    </div>
+  )
+}
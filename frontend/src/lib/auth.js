@@ -1,50 +1,128 @@
 // Authentication utilities for admin panel
+// The session itself lives in httpOnly cookies set by the API, out of reach of
+// page scripts. The browser only keeps the signed-in admin's profile and the
+// CSRF token that must accompany every change, both in memory: a reload asks
+// the API for them again.
 
-export const getAuthToken = () => {
-  if (typeof window !== 'undefined') {
-    return localStorage.getItem('token')
-  }
-  return null
+let adminUser = null
+let csrfToken = null
+let tokenExpiresAt = 0
+
+export const getAdminUser = () => adminUser
+
+export const setAdminUser = (user) => {
+  adminUser = user
 }
 
-export const getAdminUser = () => {
+// Stores what login and refresh return: the CSRF token and the access token's lifetime
+export const setAuthSession = ({ csrf_token, expires_in }) => {
+  csrfToken = csrf_token
+  tokenExpiresAt = Date.now() + expires_in * 1000
+  // Sessions from before cookie sign-in kept their tokens here
   if (typeof window !== 'undefined') {
-    const user = localStorage.getItem('user')
-    return user ? JSON.parse(user) : null
+    ['token', 'refreshToken', 'tokenExpiresAt', 'user'].forEach(key => localStorage.removeItem(key))
   }
-  return null
 }
 
-export const setAuthToken = (token) => {
-  if (typeof window !== 'undefined') {
-    localStorage.setItem('token', token)
-  }
+export const clearAuth = () => {
+  adminUser = null
+  csrfToken = null
+  tokenExpiresAt = 0
 }
 
-export const setAdminUser = (user) => {
-  if (typeof window !== 'undefined') {
-    localStorage.setItem('user', JSON.stringify(user))
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000
+// A refresh that lost a race with another tab waits this long for that tab's new cookies
+const REFRESH_RETRY_DELAY_MS = 1000
+
+let refreshing = null
+
+const requestRefresh = () => fetch(`${getApiUrl()}/api/admin/refresh`, {
+  method: 'POST',
+  credentials: 'include',
+})
+
+// Swaps the refresh cookie for new session cookies. Concurrent callers share one
+// request. Resolves false when the session is over.
+export const refreshAuthToken = () => {
+  if (typeof window === 'undefined') return Promise.resolve(false)
+  if (!refreshing) {
+    refreshing = (async () => {
+      try {
+        let response = await requestRefresh()
+        if (response.status === 409) {
+          await new Promise(resolve => setTimeout(resolve, REFRESH_RETRY_DELAY_MS))
+          response = await requestRefresh()
+        }
+        if (!response.ok) return false
+        setAuthSession(await response.json())
+        return true
+      } catch (error) {
+        console.error('Error refreshing session:', error)
+        return false
+      }
+    })().finally(() => {
+      refreshing = null
+    })
   }
+  return refreshing
 }
 
-export const clearAuth = () => {
-  if (typeof window !== 'undefined') {
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
+// Refreshes the session if the access token is about to expire, or if this page
+// has not seen it yet (e.g. after a reload)
+export const ensureFreshToken = async () => {
+  if (typeof window === 'undefined') return false
+  if (csrfToken && tokenExpiresAt - Date.now() > REFRESH_MARGIN_MS) return true
+  return refreshAuthToken()
+}
+
+// Ends the session on the server (or every session with `everywhere`) before
+// forgetting it locally
+export const logout = async ({ everywhere = false } = {}) => {
+  try {
+    if (await ensureFreshToken()) {
+      await fetch(`${getApiUrl()}/api/admin/${everywhere ? 'logout-all' : 'logout'}`, {
+        method: 'POST',
+        headers: getApiHeaders(),
+        credentials: 'include',
+      })
+    }
+  } catch (error) {
+    console.error('Error signing out:', error)
+  } finally {
+    clearAuth()
   }
 }
 
+export const ADMIN_ROLES = [
+  { value: 'super_admin', label: 'Super Admin' },
+  { value: 'content_editor', label: 'Content Editor' },
+  { value: 'communications_officer', label: 'Communications Officer' },
+  { value: 'membership_secretary', label: 'Membership Secretary' },
+]
+
+export const getRoleLabel = (role) => {
+  return ADMIN_ROLES.find(r => r.value === role)?.label || 'Admin'
+}
+
+export const hasPermission = (user, permission) => {
+  if (!permission) return true
+  return !!user?.permissions?.includes(permission)
+}
+
 export const isAuthenticated = () => {
-  return !!getAuthToken()
+  return !!adminUser
 }
 
-export const getApiHeaders = () => {
-  const token = getAuthToken()
-  const headers = {
-    'Content-Type': 'application/json',
+// Admin requests also need `credentials: 'include'` so the session cookies are
+// sent. Pass { json: false } for multipart uploads.
+export const getApiHeaders = ({ json = true } = {}) => {
+  const headers = {}
+  if (json) {
+    headers['Content-Type'] = 'application/json'
   }
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`
+  if (csrfToken) {
+    headers['X-CSRF-Token'] = csrfToken
   }
   return headers
 }
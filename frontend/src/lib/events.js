@@ -0,0 +1,136 @@
+// A generated date of a recurring series keeps the series' id and is told apart
+// from a date that was edited on its own (which has its own id) by series_id
+export const isOccurrence = (event) => Boolean(event.occurrence_date) && event.series_id === event.id
+
+// Shareable event URLs use the slug, falling back to the id for events saved before slugs existed.
+// A single date of a series is the series page with ?occurrence=<start time>.
+export const getEventPath = (event) => {
+  const path = `/events/${event.slug || event.id}`
+  if (!isOccurrence(event)) return path
+  return `${path}?occurrence=${encodeURIComponent(new Date(event.occurrence_date).toISOString())}`
+}
+
+// List key that stays unique when a series appears once per date
+export const getEventKey = (event) => (isOccurrence(event) ? `${event.id}-${event.occurrence_date}` : String(event.id))
+
+// Keeps only the first listed date of each series, so a weekly event appears once
+// in a list rather than once a week
+export const firstDatePerSeries = (events) => {
+  const seen = new Set()
+  return events.filter((event) => {
+    if (!isOccurrence(event)) return true
+    if (seen.has(event.id)) return false
+    seen.add(event.id)
+    return true
+  })
+}
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+]
+
+export const DEFAULT_EVENT_TIMEZONE = 'Africa/Nairobi'
+
+export const EVENT_TIMEZONES = [
+  'Africa/Nairobi',
+  'Africa/Kampala',
+  'Africa/Dar_es_Salaam',
+  'Africa/Lagos',
+  'Africa/Johannesburg',
+  'Europe/London',
+  'America/New_York',
+  'UTC',
+]
+
+// Formats an event time in the event's own timezone so every visitor sees the local schedule
+export const formatEventDate = (value, timeZone, options = {}) =>
+  new Date(value).toLocaleString('en-US', {
+    timeZone: timeZone || DEFAULT_EVENT_TIMEZONE,
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    ...options,
+  })
+
+// "Repeats every 2 weeks until Jun 30, 2026"; null for one-off events
+export const describeRecurrence = (event) => {
+  const frequency = RECURRENCE_FREQUENCIES.find(option => option.value === event.recurrence_frequency)
+  if (!frequency) return null
+  const interval = event.recurrence_interval || 1
+  const every = interval > 1 ? `every ${interval} ${frequency.unit}s` : frequency.label.toLowerCase()
+  if (event.recurrence_until) return `Repeats ${every} until ${formatEventDate(event.recurrence_until, event.timezone)}`
+  if (event.recurrence_count) return `Repeats ${every}, ${event.recurrence_count} times`
+  return `Repeats ${every}`
+}
+
+// "Mar 10, 2026, 10:00 AM – 4:00 PM GMT+3"; the end date is repeated only when it falls on another day
+export const formatEventSchedule = (event) => {
+  const timeZone = event.timezone || DEFAULT_EVENT_TIMEZONE
+  const withTime = { hour: 'numeric', minute: '2-digit' }
+  const start = formatEventDate(event.event_date, timeZone, withTime)
+  const zone = formatEventDate(event.end_date || event.event_date, timeZone, { timeZoneName: 'short' }).split(', ').pop()
+  if (!event.end_date) return `${start} ${zone}`
+
+  const sameDay = formatEventDate(event.event_date, timeZone) === formatEventDate(event.end_date, timeZone)
+  const end = sameDay
+    ? formatEventDate(event.end_date, timeZone, { year: undefined, month: undefined, day: undefined, ...withTime })
+    : formatEventDate(event.end_date, timeZone, withTime)
+  return `${start} – ${end} ${zone}`
+}
+
+// Value for a datetime-local input showing the wall-clock time in the event's timezone
+export const toEventInputValue = (value, timeZone) => {
+  if (!value) return ''
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || DEFAULT_EVENT_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).formatToParts(new Date(value)).map(part => [part.type, part.value])
+  )
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`
+}
+
+// Events without an end date get this length in calendar apps, matching the API's .ics export
+const DEFAULT_EVENT_DURATION_MS = 2 * 60 * 60 * 1000
+
+const toCalendarDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+// "Add to calendar" targets for one event. Google and Outlook take the details in
+// the URL; Apple Calendar (and anything else) opens the .ics file from the API.
+export const getCalendarLinks = (event, { apiUrl, pageUrl = '' }) => {
+  const start = new Date(event.event_date)
+  const end = event.end_date ? new Date(event.end_date) : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MS)
+  // Long descriptions are trimmed so the links stay within URL length limits
+  const details = [event.description_text?.slice(0, 500), pageUrl].filter(Boolean).join('\n\n')
+  const location = event.location || ''
+
+  return {
+    google: `https://calendar.google.com/calendar/render?${new URLSearchParams({
+      action: 'TEMPLATE',
+      text: event.title,
+      dates: `${toCalendarDate(start)}/${toCalendarDate(end)}`,
+      details,
+      location,
+    })}`,
+    outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${new URLSearchParams({
+      path: '/calendar/action/compose',
+      rru: 'addevent',
+      subject: event.title,
+      startdt: start.toISOString(),
+      enddt: end.toISOString(),
+      body: details,
+      location,
+    })}`,
+    ics: `${apiUrl}/api/events/${encodeURIComponent(event.slug || event.id)}.ics`,
+  }
+}
+
+// webcal:// makes calendar apps subscribe to the feed instead of importing a one-off copy
+export const getCalendarFeedUrl = (apiUrl) => `${apiUrl.replace(/^https?:/, 'webcal:')}/api/events.ics`
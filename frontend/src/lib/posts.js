@@ -0,0 +1,5 @@
+// Shareable announcement URLs use the slug, falling back to the id for posts saved before slugs existed
+export const getPostPath = (post) => `/announcements/${post.slug || post.id}`
+
+// Older posts were published without a published_at timestamp
+export const getPostDate = (post) => post.published_at || post.created_at
@@ -1,19 +1,21 @@
 // Centralized API utility with error handling
-import { getApiHeaders, getApiUrl, clearAuth } from '@/lib/auth'
+import { getApiHeaders, getApiUrl, clearAuth, ensureFreshToken, refreshAuthToken } from '@/lib/auth'
 
 export const apiRequest = async (endpoint, options = {}) => {
   const apiUrl = getApiUrl()
   const url = `${apiUrl}${endpoint}`
-  
-  const defaultOptions = {
-    headers: getApiHeaders(),
-    ...options,
-  }
+  const send = () => fetch(url, { headers: getApiHeaders(), credentials: 'include', ...options })
 
   try {
-    const response = await fetch(url, defaultOptions)
-    
-    // Handle 401 Unauthorized - token expired or invalid
+    await ensureFreshToken()
+    let response = await send()
+
+    // An access token rejected early (e.g. the clock is off) gets one refresh and retry
+    if (response.status === 401 && await refreshAuthToken()) {
+      response = await send()
+    }
+
+    // Handle 401 Unauthorized - session expired or revoked
     if (response.status === 401) {
       clearAuth()
       if (typeof window !== 'undefined' && !window.location.pathname.includes('/admin/login')) {